@@ -0,0 +1,464 @@
+/* ============================================================================
+   CODEX NOVA NEBULA - Airtable Proxy Server
+   Keeps the Airtable token on the server and exposes the Config.PROXY
+   endpoints with server-side caching. Only uses Node's built-in modules.
+
+   Run from the repository root:
+     AIRTABLE_API_KEY=pat... node server/airtableProxy.js
+   then open http://localhost:8080 (the app in src/ is served as well).
+
+   Environment: AIRTABLE_API_KEY (required), AIRTABLE_BASE_ID (defaults to
+   Config.AIRTABLE.BASE_ID), PORT (8080), PROXY_CACHE_DURATION in ms
+   (defaults to Config.API.CACHE_DURATION), PROXY_ALLOWED_ORIGINS (comma-separated
+   origins, besides the proxy's own, that may write), PROXY_WRITE_TOKEN
+
+   Writes (Promocode_History) use the server's key, so only pages served by the
+   proxy (or PROXY_ALLOWED_ORIGINS) may send them. Set PROXY_WRITE_TOKEN when the
+   port is reachable by others: writes must then carry it in X-Proxy-Token, which
+   the app sends from localStorage (codex_proxy_token).
+
+   The token once committed to src/js/config.js is in the git history:
+   revoke it in Airtable and start the proxy with a new one.
+   ============================================================================ */
+
+const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const vm = require('vm');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+// Write request bodies are at most one batch of records
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// Every filterByFormula/offset combination is its own cache entry
+const MAX_CACHE_ENTRIES = 500;
+
+/**
+ * Run browser scripts from src/js in a shared context, so the server uses the
+ * app's own configuration and request scheduler.
+ * Options: console, globals (extra browser globals, e.g. localStorage)
+ * Returns the context, e.g. context.Config, context.RequestScheduler
+ */
+function loadBrowserScripts(files, options = {}) {
+    const context = {
+        console: options.console || { log() {}, warn: console.warn, error: console.error },
+        fetch, AbortSignal, URLSearchParams, setTimeout, clearTimeout,
+        location: { hostname: 'server' },
+        ...options.globals
+    };
+    context.window = context;
+    vm.createContext(context);
+
+    files.forEach(file => {
+        const source = fs.readFileSync(path.join(SRC_DIR, 'js', file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+
+    return context;
+}
+
+class AirtableProxy {
+    /**
+     * Options: config (the app's Config), apiKey, baseId, baseUrl, scheduler, cacheDuration,
+     * maxCacheEntries, allowedOrigins (besides the proxy's own), writeToken
+     */
+    constructor(options = {}) {
+        this.config = options.config;
+        this.apiKey = options.apiKey;
+        this.baseId = options.baseId || this.config.AIRTABLE.BASE_ID;
+        this.baseUrl = options.baseUrl || this.config.AIRTABLE.BASE_URL;
+        this.basePath = this.config.PROXY.BASE_URL;
+        this.scheduler = options.scheduler;
+        this.cacheDuration = options.cacheDuration ?? this.config.API.CACHE_DURATION;
+        this.maxCacheEntries = options.maxCacheEntries ?? MAX_CACHE_ENTRIES;
+        this.allowedOrigins = options.allowedOrigins || [];
+        this.writeToken = options.writeToken || null;
+
+        this.cache = new Map();
+        this.pendingRequests = new Map();
+        this.routes = this.buildRoutes();
+    }
+
+    /**
+     * Map each Config.PROXY endpoint to its table
+     */
+    buildRoutes() {
+        const { ENDPOINTS, WRITABLE, UNCACHED } = this.config.PROXY;
+        const routes = new Map();
+
+        Object.entries(ENDPOINTS).forEach(([key, endpoint]) => {
+            routes.set(endpoint, {
+                tableName: this.config.AIRTABLE.TABLES[key],
+                writable: WRITABLE.includes(key),
+                cacheable: !UNCACHED.includes(key)
+            });
+        });
+
+        return routes;
+    }
+
+    /**
+     * Handle a request: API calls under the proxy path, static files otherwise
+     */
+    async handle(request, response) {
+        const url = new URL(request.url, 'http://localhost');
+
+        if (url.pathname.startsWith(`${this.basePath}/`)) {
+            return this.handleApi(request, response, url);
+        }
+
+        if (request.method === 'GET' || request.method === 'HEAD') {
+            return this.serveStatic(request, response, url.pathname);
+        }
+
+        this.sendError(response, 405, 'METHOD_NOT_ALLOWED', `${request.method} is not supported`);
+    }
+
+    /**
+     * Forward an endpoint request to the matching Airtable table.
+     * Accepts /endpoint and /endpoint/recXXXX; the query string is passed through.
+     */
+    async handleApi(request, response, url) {
+        if (url.pathname === `${this.basePath}${this.config.PROXY.SCHEMA_ENDPOINT}`) {
+            return this.handleSchema(request, response);
+        }
+
+        const match = url.pathname.slice(this.basePath.length).match(/^(\/[a-z-]+)(?:\/(rec[A-Za-z0-9]+))?$/);
+        const route = match ? this.routes.get(match[1]) : null;
+
+        if (!route) {
+            return this.sendError(response, 404, 'NOT_FOUND', `Unknown endpoint ${url.pathname}`);
+        }
+
+        const recordPath = match[2] ? `/${match[2]}` : '';
+        const targetUrl = `${this.baseUrl}/${this.baseId}/${encodeURIComponent(route.tableName)}${recordPath}${url.search}`;
+
+        if (request.method === 'GET') {
+            const result = route.cacheable
+                ? await this.fetchCached(targetUrl)
+                : await this.forward('GET', targetUrl);
+            return this.sendJson(response, result.status, result.body, result.cacheStatus);
+        }
+
+        if (!['POST', 'PATCH', 'PUT', 'DELETE'].includes(request.method)) {
+            return this.sendError(response, 405, 'METHOD_NOT_ALLOWED', `${request.method} is not supported`);
+        }
+
+        if (!route.writable) {
+            return this.sendError(response, 405, 'METHOD_NOT_ALLOWED', `${route.tableName} is read-only through the proxy`);
+        }
+
+        const denied = this.checkWriteAccess(request);
+        if (denied) {
+            return this.sendError(response, denied.status, denied.type, denied.message);
+        }
+
+        let body;
+        try {
+            body = await this.readBody(request);
+        } catch (error) {
+            return this.sendError(response, 413, 'REQUEST_TOO_LARGE', error.message);
+        }
+
+        const result = await this.forward(request.method, targetUrl, body);
+
+        // Cached reads of this table are now stale
+        if (result.status < 400) {
+            this.clearCache(route.tableName);
+        }
+
+        this.sendJson(response, result.status, result.body);
+    }
+
+    /**
+     * Writes must come from the app's own origin and, when a write token is set, carry it.
+     * Returns null when allowed, else { status, type, message }
+     */
+    checkWriteAccess(request) {
+        const origin = request.headers.origin;
+        const ownOrigins = [`http://${request.headers.host}`, `https://${request.headers.host}`];
+
+        if (origin && !ownOrigins.includes(origin) && !this.allowedOrigins.includes(origin)) {
+            return { status: 403, type: 'FORBIDDEN_ORIGIN', message: `Writes from ${origin} are not allowed` };
+        }
+
+        if (this.writeToken) {
+            const token = String(request.headers['x-proxy-token'] || '');
+            if (!this.tokensMatch(token, this.writeToken)) {
+                return {
+                    status: 401,
+                    type: 'PROXY_TOKEN_REQUIRED',
+                    message: `Writes need the proxy token: localStorage.setItem('${this.config.STORAGE.PROXY_TOKEN}', '<token>')`
+                };
+            }
+            return null;
+        }
+
+        // Without a token only browsers on an allowed origin may write (they always send Origin on writes)
+        if (!origin) {
+            return { status: 403, type: 'FORBIDDEN_ORIGIN', message: 'Writes need an Origin header or PROXY_WRITE_TOKEN' };
+        }
+
+        return null;
+    }
+
+    /**
+     * Compare tokens in constant time
+     */
+    tokensMatch(token, expected) {
+        const tokenBuffer = Buffer.from(token);
+        const expectedBuffer = Buffer.from(expected);
+        return tokenBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(tokenBuffer, expectedBuffer);
+    }
+
+    /**
+     * Table and field names of the base, from the metadata API
+     */
+    async handleSchema(request, response) {
+        if (request.method !== 'GET') {
+            return this.sendError(response, 405, 'METHOD_NOT_ALLOWED', 'The schema is read-only');
+        }
+
+        const result = await this.fetchCached(`${this.baseUrl}/meta/bases/${this.baseId}/tables`);
+        this.sendJson(response, result.status, result.body, result.cacheStatus);
+    }
+
+    /**
+     * GET through the cache, sharing in-flight requests for the same URL
+     */
+    async fetchCached(targetUrl) {
+        const cached = this.cache.get(targetUrl);
+        if (cached && Date.now() - cached.timestamp < this.cacheDuration) {
+            // Move to the end: the Map's order is least to most recently used
+            this.cache.delete(targetUrl);
+            this.cache.set(targetUrl, cached);
+            return { ...cached, cacheStatus: 'HIT' };
+        }
+
+        if (this.pendingRequests.has(targetUrl)) {
+            return this.pendingRequests.get(targetUrl);
+        }
+
+        const requestPromise = this.forward('GET', targetUrl).then(result => {
+            if (result.status === 200) {
+                this.storeCached(targetUrl, result);
+            }
+            return { ...result, cacheStatus: 'MISS' };
+        });
+
+        this.pendingRequests.set(targetUrl, requestPromise);
+
+        try {
+            return await requestPromise;
+        } finally {
+            this.pendingRequests.delete(targetUrl);
+        }
+    }
+
+    /**
+     * Cache a response, dropping expired entries first and then the least
+     * recently used ones beyond maxCacheEntries
+     */
+    storeCached(targetUrl, result) {
+        const now = Date.now();
+
+        for (const [key, entry] of this.cache) {
+            if (now - entry.timestamp >= this.cacheDuration) {
+                this.cache.delete(key);
+            }
+        }
+
+        this.cache.delete(targetUrl);
+        this.cache.set(targetUrl, { ...result, timestamp: now });
+
+        while (this.cache.size > this.maxCacheEntries) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+    }
+
+    /**
+     * Send a request to Airtable with the server-side token.
+     * Returns { status, body } with Airtable's own body, or a 502 if Airtable can't be reached.
+     */
+    async forward(method, targetUrl, body = null) {
+        try {
+            const response = await this.scheduler.fetch(targetUrl, {
+                method: method,
+                headers: {
+                    'Authorization': `Bearer ${this.apiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                body: body || undefined
+            });
+
+            return { status: response.status, body: await response.text() };
+        } catch (error) {
+            console.error(`❌ ${method} ${targetUrl} failed:`, error.message);
+            return {
+                status: 502,
+                body: JSON.stringify({ error: { type: 'PROXY_ERROR', message: 'Could not reach Airtable' } })
+            };
+        }
+    }
+
+    /**
+     * Clear cached responses for a table (all of them if no table is given)
+     */
+    clearCache(tableName = null) {
+        const prefix = tableName
+            ? `${this.baseUrl}/${this.baseId}/${encodeURIComponent(tableName)}`
+            : '';
+
+        for (const [key] of this.cache) {
+            if (key.startsWith(prefix)) {
+                this.cache.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Read a request body, rejecting oversized ones
+     */
+    readBody(request) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+
+            request.on('data', chunk => {
+                size += chunk.length;
+                if (size > MAX_BODY_SIZE) {
+                    reject(new Error('Request body too large'));
+                    request.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+            request.on('error', reject);
+        });
+    }
+
+    /**
+     * Serve a file from src/, refusing paths outside it
+     */
+    serveStatic(request, response, pathname) {
+        let filePath;
+        try {
+            filePath = path.join(SRC_DIR, path.normalize(decodeURIComponent(pathname)));
+        } catch (error) {
+            return this.sendText(response, 400, 'Bad request');
+        }
+
+        if (filePath !== SRC_DIR && !filePath.startsWith(SRC_DIR + path.sep)) {
+            return this.sendText(response, 403, 'Forbidden');
+        }
+
+        if (filePath === SRC_DIR || filePath.endsWith(path.sep)) {
+            filePath = path.join(filePath, 'index.html');
+        }
+
+        fs.readFile(filePath, (error, data) => {
+            if (error) {
+                return this.sendText(response, 404, 'Not found');
+            }
+
+            response.writeHead(200, {
+                'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream',
+                'Content-Length': data.length
+            });
+            response.end(request.method === 'HEAD' ? undefined : data);
+        });
+    }
+
+    /**
+     * Send a JSON body (already serialized)
+     */
+    sendJson(response, status, body, cacheStatus = null) {
+        const headers = {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Cache-Control': 'no-store'
+        };
+        if (cacheStatus) {
+            headers['X-Proxy-Cache'] = cacheStatus;
+        }
+
+        response.writeHead(status, headers);
+        response.end(body);
+    }
+
+    /**
+     * Send an error shaped like Airtable's, so the client reports it the same way
+     */
+    sendError(response, status, type, message) {
+        this.sendJson(response, status, JSON.stringify({ error: { type, message } }));
+    }
+
+    /**
+     * Send a plain text response
+     */
+    sendText(response, status, text) {
+        response.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+        response.end(text);
+    }
+
+    /**
+     * Start listening
+     */
+    listen(port) {
+        const server = http.createServer((request, response) => {
+            this.handle(request, response).catch(error => {
+                console.error('❌ Proxy error:', error);
+                if (!response.headersSent) {
+                    this.sendError(response, 500, 'PROXY_ERROR', 'Internal proxy error');
+                } else {
+                    response.end();
+                }
+            });
+        });
+
+        return new Promise(resolve => {
+            server.listen(port, () => resolve(server));
+        });
+    }
+}
+
+module.exports = { AirtableProxy, loadBrowserScripts };
+
+if (require.main === module) {
+    const apiKey = process.env.AIRTABLE_API_KEY;
+    if (!apiKey) {
+        console.error('❌ AIRTABLE_API_KEY is not set');
+        process.exit(1);
+    }
+
+    // One scheduler for every browser using the proxy: Airtable's limit is per base
+    const { Config, RequestScheduler } = loadBrowserScripts(['config.js', 'services/requestScheduler.js']);
+    const port = Number(process.env.PORT) || 8080;
+
+    const proxy = new AirtableProxy({
+        config: Config,
+        apiKey: apiKey,
+        baseId: process.env.AIRTABLE_BASE_ID,
+        scheduler: new RequestScheduler(),
+        cacheDuration: process.env.PROXY_CACHE_DURATION ? Number(process.env.PROXY_CACHE_DURATION) : undefined,
+        allowedOrigins: (process.env.PROXY_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean),
+        writeToken: process.env.PROXY_WRITE_TOKEN || null
+    });
+
+    proxy.listen(port).then(() => {
+        console.log(`🛡️ Airtable proxy listening on http://localhost:${port} (API at ${Config.PROXY.BASE_URL})`);
+    });
+}
@@ -0,0 +1,221 @@
+/* ============================================================================
+   CODEX NOVA NEBULA - Headless Fixture Runner
+   Runs the Tests_Fixtures golden cases from Node with the app's own generator,
+   parser and conformance runner, e.g. in CI before a ruleset goes live.
+
+   Run from the repository root:
+     AIRTABLE_API_KEY=pat... node server/runFixtures.js [--ruleset 3]
+     node server/runFixtures.js --catalog data/catalog.json
+     node server/runFixtures.js --mock
+   --ruleset runs fixtures without a pinned version against that version
+   (e.g. a draft), --json prints the full report, --verbose shows the app's
+   own logging. --roundtrip also checks that generated codes parse back to
+   their inputs (promocodeRoundTrip.js) for --iterations random inputs per
+   casing (200), repeatable with --seed. --mock and --catalog run offline:
+   any network request fails the run. Exits with 1 if any check fails.
+
+   Environment: AIRTABLE_API_KEY and AIRTABLE_BASE_ID (defaults to
+   Config.AIRTABLE.BASE_ID), or AIRTABLE_PROXY_URL to read through a running
+   proxy (e.g. http://localhost:8080/api/airtable) instead
+   ============================================================================ */
+
+const fs = require('fs');
+const { loadBrowserScripts } = require('./airtableProxy');
+
+const SCRIPTS = [
+    'config.js',
+    'utils/csvUtils.js',
+    'data/mockCatalog.js',
+    'services/requestScheduler.js',
+    'services/persistentCache.js',
+    'services/airtableRecords.js',
+    'services/airtableService.js',
+    'services/dataSources/airtableDataSource.js',
+    'services/dataSources/staticDataSource.js',
+    'services/dataSources/catalogExportDataSource.js',
+    'services/dataSource.js',
+    'services/brandService.js',
+    'services/productService.js',
+    'services/ratePlanService.js',
+    'services/codeTypeService.js',
+    'services/promocodeHistoryService.js',
+    'modules/promocode/promocodeSegments.js',
+    'modules/promocode/promocodeGenerator.js',
+    'modules/promocode/promocodeParser.js',
+    'modules/promocode/promocodeBulkGenerator.js',
+    'modules/promocode/promocodeRoundTrip.js',
+    'modules/rules/conformanceRunner.js'
+];
+
+/**
+ * In-memory stand-in for localStorage (nothing is kept between runs)
+ */
+function createMemoryStorage() {
+    const items = new Map();
+
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        key: index => Array.from(items.keys())[index] ?? null,
+        get length() {
+            return items.size;
+        }
+    };
+}
+
+/**
+ * Parse --flag and --option value arguments
+ */
+function parseArgs(argv) {
+    const args = {
+        ruleset: null, catalog: null, mock: false, json: false, verbose: false,
+        roundtrip: false, iterations: 200, seed: null
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--ruleset':
+                args.ruleset = argv[++i];
+                break;
+            case '--catalog':
+                args.catalog = argv[++i];
+                break;
+            case '--mock':
+                args.mock = true;
+                break;
+            case '--json':
+                args.json = true;
+                break;
+            case '--verbose':
+                args.verbose = true;
+                break;
+            case '--roundtrip':
+                args.roundtrip = true;
+                break;
+            case '--iterations':
+                args.iterations = Number(argv[++i]);
+                break;
+            case '--seed':
+                args.seed = Number(argv[++i]);
+                break;
+            default:
+                throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+
+    return args;
+}
+
+/**
+ * Load the app's scripts and point its data source at the chosen fixtures
+ */
+function createContext(args, env = process.env) {
+    const offline = args.mock || Boolean(args.catalog);
+    const networkRequests = [];
+    const globals = {
+        localStorage: createMemoryStorage(),
+        navigator: { onLine: true },
+        addEventListener() {}
+    };
+
+    if (offline) {
+        // Static catalogs must never reach Airtable: record and refuse every request
+        globals.fetch = async url => {
+            networkRequests.push(String(url));
+            throw new Error(`Unexpected network request: ${url}`);
+        };
+    }
+
+    const context = loadBrowserScripts(SCRIPTS, {
+        // Rejected codes are expected here, so the parser's error logging is noise
+        console: args.verbose ? console : { log() {}, warn() {}, error() {}, table() {} },
+        globals: globals
+    });
+    context.networkRequests = networkRequests;
+
+    if (args.mock) {
+        context.dataSource.use(new context.StaticDataSource({ catalog: context.MockCatalog, type: 'mock' }));
+    } else if (args.catalog) {
+        const catalog = JSON.parse(fs.readFileSync(args.catalog, 'utf8'));
+        context.dataSource.use(new context.StaticDataSource({ catalog }));
+    } else if (env.AIRTABLE_PROXY_URL) {
+        const service = new context.AirtableService({ useProxy: true, proxyUrl: env.AIRTABLE_PROXY_URL });
+        context.dataSource.use(new context.AirtableDataSource(service));
+    } else if (env.AIRTABLE_API_KEY) {
+        const service = new context.AirtableService({
+            useProxy: false,
+            apiKey: env.AIRTABLE_API_KEY,
+            baseId: env.AIRTABLE_BASE_ID
+        });
+        context.dataSource.use(new context.AirtableDataSource(service));
+    } else {
+        throw new Error('Set AIRTABLE_API_KEY or AIRTABLE_PROXY_URL, or use --catalog or --mock');
+    }
+
+    return context;
+}
+
+/**
+ * Run the round-trip property check against the --ruleset version, else the current ruleset
+ */
+async function runRoundTrip(context, args) {
+    const { promocodeRoundTrip, promocodeGenerator } = context;
+    const options = { iterations: args.iterations };
+    if (args.seed !== null) {
+        options.seed = args.seed;
+    }
+    if (args.ruleset) {
+        options.ruleset = promocodeGenerator.rulesets.find(ruleset => ruleset.version === String(args.ruleset));
+    }
+
+    return promocodeRoundTrip.run(options);
+}
+
+/**
+ * Run the fixtures and print the report. Resolves to the process exit code.
+ */
+async function main(argv = process.argv.slice(2)) {
+    const args = parseArgs(argv);
+    const context = createContext(args);
+    const { conformanceRunner } = context;
+    const report = await conformanceRunner.run({ rulesetVersion: args.ruleset });
+    const roundTrip = args.roundtrip ? await runRoundTrip(context, args) : null;
+    const { networkRequests } = context;
+
+    if (args.json) {
+        console.log(JSON.stringify({
+            ...report,
+            ...(roundTrip ? { roundTrip } : {}),
+            ...(networkRequests.length > 0 ? { networkRequests } : {})
+        }, null, 2));
+    } else {
+        report.results.forEach(result => console.log(conformanceRunner.describeResult(result)));
+        console.log(`\n${report.passed} passed, ${report.failed} failed, ${report.skipped} skipped of ${report.total}` +
+            (report.rulesetVersion ? ` (ruleset v${report.rulesetVersion})` : ''));
+
+        if (roundTrip) {
+            roundTrip.failures.slice(0, 20).forEach(failure =>
+                console.log(`FAIL round trip [${failure.casing}] ${failure.code || '(no code)'} - ${failure.error}`));
+            console.log(`Round trip: ${roundTrip.passed} passed, ${roundTrip.rejected} rejected, ` +
+                `${roundTrip.failures.length} failed of ${roundTrip.total} (seed ${roundTrip.seed})`);
+        }
+
+        networkRequests.forEach(url => console.log(`FAIL network request without Airtable: ${url}`));
+    }
+
+    return report.failed > 0 || roundTrip?.failures.length > 0 || networkRequests.length > 0 ? 1 : 0;
+}
+
+module.exports = { createContext, main };
+
+if (require.main === module) {
+    main()
+        .then(exitCode => {
+            process.exitCode = exitCode;
+        })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exitCode = 1;
+        });
+}
@@ -12,8 +12,11 @@ const Config = {
         // Base ID - Your actual Airtable Base ID
         BASE_ID: 'appr4aDlV77V3BT74',
         
-        // API Key - For production, use a proxy server to hide this key
-        API_KEY: 'patWVD735YtGc1idE.e3c011153b30619b2104b848bb11b4487342f4205666308ed37ff318300b942f',
+        // API Key - Only needed with FEATURES.USE_PROXY off. Never commit a token:
+        // the proxy (server/airtableProxy.js) reads it from AIRTABLE_API_KEY.
+        // The token that used to be committed here (patWVD735...) is still in the git
+        // history: it must be revoked in Airtable and replaced with a new one.
+        API_KEY: '',
         
         // Table Names - UPDATED TO MATCH YOUR ACTUAL AIRTABLE
         TABLES: {
@@ -30,9 +33,15 @@ const Config = {
             VOCAB_CODE_TYPES: 'Promocode_Code_Types',  // Using your existing table
             BRAND_OVERRIDES: 'Brand_Overrides',  // May need to create this
             TESTS_FIXTURES: 'Tests_Fixtures',  // May need to create this
+            BRAZE_OBJECT_TYPES: 'Braze_Object_Types',  // May need to create this
+            BRAZE_CODE_CLASSES: 'Braze_Code_Classes',  // May need to create this
             CHANGELOG: 'Changelog'  // May need to create this
         },
         
+        // Tables the app works without (defaults are used); others must exist
+        OPTIONAL_TABLES: ['RATE_PLAN_TYPES', 'PROMOCODE_CODE_TYPES', 'RULESETS', 'RULE_COMPONENTS', 'BRAND_OVERRIDES', 'TESTS_FIXTURES',
+            'BRAZE_OBJECT_TYPES', 'BRAZE_CODE_CLASSES'],
+        
         // Field Mappings for each table
         // NOTE: These are GUESSES - you need to update them with your actual field names
         FIELDS: {
@@ -41,7 +50,8 @@ const Config = {
                 BRAND_CODE: 'Code',  // Could be: 'Brand_Code', 'Brand Code', 'code'
                 BRAND_NAME: 'Name',  // Could be: 'Brand_Name', 'Brand Name', 'name'
                 COUNTRY: 'Country',  // Could be: 'country', 'Country_Code'
-                BRAZE_CODE: 'Braze_Code'  // Might not exist yet
+                BRAZE_CODE: 'Braze_Code',  // Might not exist yet
+                PRODUCTS: 'Products'  // Reverse link from Products.Brand
             },
             PRODUCTS: {
                 // Update these with your actual column names
@@ -49,7 +59,8 @@ const Config = {
                 PRODUCT_TYPE: 'Type',  // Could be: 'Product_Type', 'Category'
                 PRODUCT_CODE: 'Code',  // Could be: 'Product_Code', 'SKU'
                 BRAND: 'Brand',  // Link to Brands table - could be 'Brand_ID'
-                PROMOCODE_ID: 'Promocode_ID'  // Could be: 'Promo_ID'
+                PROMOCODE_ID: 'Promocode_ID',  // Could be: 'Promo_ID'
+                RATE_PLANS: 'Rate_Plans'  // Reverse link from Rate_Plans.Product
             },
             RATE_PLANS: {
                 // Update these with your actual column names
@@ -79,13 +90,15 @@ const Config = {
                 GENERATED_DATE: 'Generated_Date',
                 GENERATED_BY: 'Generated_By',
                 BRAND: 'Brand',
-                PRODUCT: 'Product'
+                PRODUCT: 'Product',
+                RULESET_VERSION: 'Ruleset_Version',
+                INPUTS: 'Inputs'  // Long text, JSON of the structured inputs
             },
             RULESETS: {
                 TYPE: 'Type',
                 NAME: 'Name',
                 VERSION: 'Version',
-                STATUS: 'Status',
+                STATUS: 'Status',  // Draft, Active or Retired; empty counts as Active
                 EFFECTIVE_FROM: 'Effective_From',
                 EFFECTIVE_TO: 'Effective_To',
                 DEFAULT_FOR_BRANDS: 'Default_For_Brands',
@@ -99,6 +112,56 @@ const Config = {
                 PRICE_TYPE_MAP: 'Price_Type_Map_JSON',
                 FREETEXT_MAX_LENGTH: 'Freetext_Max_Length',
                 FREETEXT_SANITIZATION: 'Freetext_Sanitization'
+            },
+            BRAND_OVERRIDES: {
+                // Per-brand ruleset overrides - empty fields keep the ruleset value
+                BRAND: 'Brand',  // Link to Brands table
+                RULESET: 'Ruleset',  // Optional link to Rulesets - empty applies to all
+                SEPARATOR: 'Separator',
+                CASING: 'Casing',
+                FREETEXT_MAX_LENGTH: 'Freetext_Max_Length',
+                INITIAL_OFFER_REGEX: 'InitialOffer_Regex',
+                RENEWAL_PLAN_REGEX: 'RenewalPlan_Regex',
+                PERIOD_MAP: 'Period_Map_JSON',
+                TERM_MAP: 'Term_Map_JSON',
+                PRICE_TYPE_MAP: 'Price_Type_Map_JSON'
+            },
+            RULE_COMPONENTS: {
+                // One record per promocode segment
+                NAME: 'Name',  // BRAND, PRODUCT, INITIAL_OFFER, ...
+                LABEL: 'Label',  // Human-readable name
+                FIELD: 'Field',  // Input/parsed field key, e.g. campaignText
+                POSITION: 'Position',  // Used when the ruleset has no Segments_Order
+                REQUIRED: 'Required',  // Checkbox field
+                REGEX: 'Regex',
+                VOCABULARY_SOURCE: 'Vocabulary_Source',  // BRANDS, PRODUCTS, CODE_TYPES, RENEWAL_TYPES
+                RULESET: 'Ruleset'  // Link to Rulesets table
+            },
+            TESTS_FIXTURES: {
+                // Golden cases for the conformance runner (Rules section, server/runFixtures.js)
+                NAME: 'Name',
+                KIND: 'Kind',  // Generate (Inputs -> Code) or Parse (Code -> Expected)
+                INPUTS: 'Inputs',  // JSON, same shape as Promocode_History.Inputs
+                CODE: 'Code',  // Expected code (Generate) or code to decode (Parse)
+                EXPECTED: 'Expected',  // JSON of expected decoded fields, e.g. {"price": 249}
+                EXPECTED_ERROR: 'Expected_Error',  // Error code or message part the case must fail with
+                RULESET_VERSION: 'Ruleset_Version',  // Pin a version; empty uses the ruleset in force
+                DATE: 'Date',  // Parse as of this date; empty uses today
+                SKIP: 'Skip'  // Checkbox field
+            },
+            BRAZE_OBJECT_TYPES: {
+                // Replaces BRAZE.OBJECT_TYPES when the table has active records
+                CODE: 'Code',  // CMP, CAN, SEG, TPL, PCL
+                LABEL: 'Label',
+                DESCRIPTION: 'Description',
+                ACTIVE: 'Active'  // Checkbox field
+            },
+            BRAZE_CODE_CLASSES: {
+                // Replaces BRAZE.CODE_CLASSES when the table has active records
+                CODE: 'Code',  // 1000, 2000, ... or YYYY for one-off sends
+                LABEL: 'Label',
+                DESCRIPTION: 'Description',
+                ACTIVE: 'Active'  // Checkbox field
             }
         },
         
@@ -116,15 +179,44 @@ const Config = {
         // Cache duration in milliseconds (5 minutes)
         CACHE_DURATION: 5 * 60 * 1000,
         
+        // Tables kept across page loads (keyed like AIRTABLE.TABLES), with the
+        // age after which they are refreshed in the background
+        CACHE_TTL: {
+            BRANDS: 60 * 60 * 1000,
+            PRODUCTS: 60 * 60 * 1000,
+            RATE_PLANS: 30 * 60 * 1000,
+            PROMOCODE_CODE_TYPES: 60 * 60 * 1000,
+            RULESETS: 15 * 60 * 1000,
+            RULE_COMPONENTS: 15 * 60 * 1000,
+            BRAND_OVERRIDES: 15 * 60 * 1000,
+            BRAZE_OBJECT_TYPES: 60 * 60 * 1000,
+            BRAZE_CODE_CLASSES: 60 * 60 * 1000
+        },
+        
+        // Persisted data older than this is discarded, even when offline (7 days)
+        CACHE_MAX_AGE: 7 * 24 * 60 * 60 * 1000,
+        
         // Request timeout in milliseconds
         TIMEOUT: 10000,
         
         // Max records to fetch per request
         MAX_RECORDS: 100,
         
-        // Retry configuration
+        // Max records per create/update/delete request (Airtable limit)
+        WRITE_BATCH_SIZE: 10,
+        
+        // Retry configuration (RETRY_DELAY is the base of the exponential backoff)
         RETRY_ATTEMPTS: 3,
-        RETRY_DELAY: 1000
+        RETRY_DELAY: 1000,
+        
+        // Queued history writes are given up (moved to the failed list) after this many attempts
+        HISTORY_QUEUE_MAX_ATTEMPTS: 10,
+        
+        // Airtable allows 5 requests per second per base
+        RATE_LIMIT: {
+            REQUESTS_PER_SECOND: 5,
+            MAX_RETRY_DELAY: 30000
+        }
     },
     
     // Promocode Configuration
@@ -157,17 +249,43 @@ const Config = {
             E: 'Evergreen'
         },
         
-        // Code types - these should match your Promocode_Code_Types table
+        // Ruleset lifecycle statuses (Rulesets.Status)
+        RULESET_STATUSES: {
+            DRAFT: 'Draft',
+            ACTIVE: 'Active',
+            RETIRED: 'Retired'
+        },
+        
+        // Fallback code types, used when the Promocode_Code_Types table can't be loaded
         CODE_TYPES: ['WB', 'HB', 'CMP', 'FREE', 'EMP', 'KS'],
+        CODE_TYPE_LABELS: {
+            'WB': 'Winback',
+            'HB': 'Holdback',
+            'CMP': 'Campaign',
+            'FREE': 'Free',
+            'EMP': 'Employee',
+            'KS': 'Kompis'
+        },
         
         // Validation patterns
         PATTERNS: {
             INITIAL_OFFER: /^(\d+)([MUQY])(\d+)([KP])$/,
             RENEWAL_PLAN: /^([MQYU])(\d+)$/,
-            FREETEXT: /^[A-Z0-9]*$/,
-            CODE_TYPE: /^(WB|HB|CMP|FREE|EMP|KS)$/
+            FREETEXT: /^[A-Z0-9]*$/
         },
         
+        // Default segment definitions, in order (used when Rule_Components is unavailable)
+        // A null regex falls back to the ruleset's regex or PATTERNS for that segment
+        SEGMENTS: [
+            { name: 'BRAND', label: 'Brand', field: 'brand', position: 1, required: true, regex: '^[A-Z0-9]+$', vocabularySource: 'BRANDS' },
+            { name: 'PRODUCT', label: 'Product', field: 'product', position: 2, required: true, regex: '^[A-Z0-9]+$', vocabularySource: 'PRODUCTS' },
+            { name: 'INITIAL_OFFER', label: 'Initial Offer', field: 'initialOffer', position: 3, required: true, regex: null, vocabularySource: null },
+            { name: 'RENEWAL_TYPE', label: 'Renewal Type', field: 'renewalType', position: 4, required: true, regex: '^[A-Z]$', vocabularySource: 'RENEWAL_TYPES' },
+            { name: 'FREETEXT', label: 'Campaign', field: 'campaignText', position: 5, required: false, regex: '^[A-Z0-9]+$', vocabularySource: null },
+            { name: 'CODE_TYPE', label: 'Code Type', field: 'codeType', position: 6, required: false, regex: null, vocabularySource: 'CODE_TYPES' },
+            { name: 'RENEWAL_PLAN', label: 'Renewal Plan', field: 'renewalPlan', position: 7, required: true, regex: null, vocabularySource: null }
+        ],
+        
         // Max lengths
         MAX_LENGTHS: {
             FREETEXT: 15,
@@ -181,17 +299,20 @@ const Config = {
         CASING: 'UPPER'
     },
     
-    // Braze Configuration (for future use)
+    // Braze Configuration
+    // Names read OBJECT_CODECLASS_BRAND_Description[_FLAGS], e.g. CMP_2000_VG_Onboarding
     BRAZE: {
-        // Object types
+        // Object types (defaults, see AIRTABLE.TABLES.BRAZE_OBJECT_TYPES)
         OBJECT_TYPES: {
             CMP: 'Campaign',
             CAN: 'Canvas',
             SEG: 'Segment',
-            TPL: 'Template'
+            TPL: 'Template',
+            PCL: 'Promotion Code List'
         },
         
-        // Code classes
+        // Code classes (defaults, see AIRTABLE.TABLES.BRAZE_CODE_CLASSES).
+        // 'YYYY' is written as the year of a one-off send, e.g. CMP_2025_VG_BlackFriday
         CODE_CLASSES: {
             1000: 'Transactional',
             2000: 'Marketing/Journey',
@@ -204,10 +325,29 @@ const Config = {
         // Default separator
         SEPARATOR: '_',
         
+        // Promotion code lists exported from generated promocodes,
+        // named e.g. PCL_2000_NOVA_Plus3m199kTSummerWbM249.
+        // PCL must also be an active row in Braze_Object_Types when that table is used.
+        PROMOTION_LIST: {
+            OBJECT_TYPE: 'PCL',
+            CODE_CLASS: '2000'
+        },
+        
+        // Joins several flags inside the flags segment (e.g. AB-SE)
+        FLAG_SEPARATOR: '-',
+        
         // Max lengths
         MAX_LENGTHS: {
             DESCRIPTION: 50,
             FLAGS: 30
+        },
+        
+        // Words in legacy names that point to a code class (bulk audit renames; anything else is 2000)
+        CODE_CLASS_KEYWORDS: {
+            1000: ['receipt', 'order', 'confirmation', 'password', 'invoice', 'payment', 'kvitto', 'bekraftelse'],
+            3000: ['service', 'maintenance', 'outage', 'delivery', 'driftinfo', 'leverans'],
+            4000: ['gdpr', 'consent', 'terms', 'privacy', 'legal', 'villkor', 'samtycke'],
+            9000: ['test', 'sandbox', 'demo', 'qa']
         }
     },
     
@@ -269,31 +409,67 @@ const Config = {
     STORAGE: {
         HISTORY: 'codex_promocode_history',
         USER_PREFS: 'codex_user_preferences',
+        HISTORY_QUEUE: 'codex_history_queue',
+        HISTORY_FAILED: 'codex_history_failed',
         CACHE_PREFIX: 'codex_cache_',
         LAST_BRAND: 'codex_last_brand',
         LAST_PRODUCT: 'codex_last_product',
-        FORM_STATE: 'promocode_form_state'
+        FORM_STATE: 'promocode_form_state',
+        BRAZE_HISTORY: 'codex_braze_history',
+        PROXY_TOKEN: 'codex_proxy_token'  // Sent to the proxy started with PROXY_WRITE_TOKEN
     },
     
     // Feature Flags
     FEATURES: {
         USE_CACHE: true,
-        USE_PROXY: false,  // Set to true in production
+        // Requests go through server/airtableProxy.js. Migration: the app must now be opened
+        // through the proxy (http://localhost:8080), not as a file; for local development
+        // without it, set this to false and put a token in AIRTABLE.API_KEY (never commit it)
+        USE_PROXY: true,
         ENABLE_HISTORY: true,
         ENABLE_VALIDATION: true,
-        ENABLE_MOCK_DATA: false,  // Set to true to use mock data
+        ENABLE_MOCK_DATA: false,  // Set to true to use the bundled fixture catalog (js/data/mockCatalog.js)
         DEBUG_MODE: true  // ENABLED for debugging - set to false in production
     },
     
+    // Data Source Configuration (where catalog, rulesets and history come from)
+    DATA_SOURCE: {
+        // 'airtable' (live base), 'static' (JSON catalog) or 'export' (Airtable CSV/JSON export)
+        TYPE: 'airtable',
+        // Catalog in the app's shape: { brands, products, ratePlans, codeTypes, rulesets, brandOverrides, history }
+        STATIC_URL: 'data/catalog.json',
+        // One export file per table, keyed like AIRTABLE.TABLES
+        EXPORT_URLS: {
+            BRANDS: 'data/export/Brands.csv',
+            PRODUCTS: 'data/export/Products.csv',
+            RATE_PLANS: 'data/export/Rate_Plans.csv'
+        }
+    },
+
     // Proxy Configuration (for secure API key handling in production)
     PROXY: {
         // If using a proxy server to hide API keys
         BASE_URL: '/api/airtable',  // Your proxy endpoint
+        // Keyed like AIRTABLE.TABLES
         ENDPOINTS: {
             BRANDS: '/brands',
             PRODUCTS: '/products',
-            RATE_PLANS: '/rate-plans'
-        }
+            RATE_PLANS: '/rate-plans',
+            PROMOCODE_CODE_TYPES: '/code-types',
+            PROMOCODE_HISTORY: '/history',
+            RULESETS: '/rulesets',
+            RULE_COMPONENTS: '/rule-components',
+            BRAND_OVERRIDES: '/brand-overrides',
+            TESTS_FIXTURES: '/tests-fixtures',
+            BRAZE_OBJECT_TYPES: '/braze-object-types',
+            BRAZE_CODE_CLASSES: '/braze-code-classes'
+        },
+        // Table and field names of the base (Airtable metadata API)
+        SCHEMA_ENDPOINT: '/schema',
+        // Endpoints that accept writes; all others are read-only
+        WRITABLE: ['PROMOCODE_HISTORY'],
+        // Endpoints the proxy never caches (uniqueness checks need fresh history)
+        UNCACHED: ['PROMOCODE_HISTORY']
     },
     
     // Environment Detection
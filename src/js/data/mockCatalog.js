@@ -0,0 +1,198 @@
+/* ============================================================================
+   CODEX NOVA NEBULA - Mock Catalog
+   Fixture catalog used when FEATURES.ENABLE_MOCK_DATA is on (demos, onboarding,
+   UI work). Same shape as a static data source catalog; nothing here exists
+   in the production base.
+   ============================================================================ */
+
+const MockCatalog = {
+    brands: [
+        { id: 'mock-brand-nova', code: 'NOVA', name: 'Nova Dagblad', country: 'SE', brazeCode: 'NOVA' },
+        { id: 'mock-brand-neb', code: 'NEB', name: 'Nebula Nyheter', country: 'NO', brazeCode: 'NEBNO' },
+        { id: 'mock-brand-orb', code: 'ORB', name: 'Orbit Sport', country: 'SE', brazeCode: 'ORB' },
+        { id: 'mock-brand-kom', code: 'KOM', name: 'Komet Kids', country: 'FI', brazeCode: '' }
+    ],
+
+    // PLUS/PREM/etc. have codes; the others fall back to their Promocode_ID or name
+    products: [
+        { id: 'mock-product-nova-plus', name: 'Nova Plus', type: 'Digital', code: 'PLUS', brandIds: ['mock-brand-nova'] },
+        { id: 'mock-product-nova-prem', name: 'Nova Premium', type: 'Digital', code: 'PREM', brandIds: ['mock-brand-nova'] },
+        { id: 'mock-product-nova-print', name: 'Nova Helg Papper', type: 'Print', code: '', promocodeId: 'HELG', brandIds: ['mock-brand-nova'] },
+        { id: 'mock-product-neb-digi', name: 'Nebula Digital', type: 'Digital', code: 'DIGI', brandIds: ['mock-brand-neb'] },
+        { id: 'mock-product-neb-full', name: 'Nebula Komplett', type: 'Bundle', code: '', brandIds: ['mock-brand-neb'] },
+        { id: 'mock-product-orb-plus', name: 'Orbit Plus', type: 'Digital', code: 'PLUS', brandIds: ['mock-brand-orb'] },
+        { id: 'mock-product-bundle', name: 'Nova + Orbit Paket', type: 'Bundle', code: 'PKT', brandIds: ['mock-brand-nova', 'mock-brand-orb'] },
+        { id: 'mock-product-kom-app', name: 'Komet Lekapp', type: 'App', code: '', brandIds: ['mock-brand-kom'] }
+    ],
+
+    // Every term (M, Q, Y, U) in each category (Standard, Student, Campaign)
+    ratePlans: [
+        { id: 'mock-rp-nova-plus-m', code: 'M', name: 'Monthly', price: 249, category: 'Standard', planId: 'M249', productIds: ['mock-product-nova-plus'] },
+        { id: 'mock-rp-nova-plus-q', code: 'Q', name: 'Quarterly', price: 699, category: 'Standard', planId: 'Q699', productIds: ['mock-product-nova-plus'] },
+        { id: 'mock-rp-nova-plus-y', code: 'Y', name: 'Yearly', price: 2490, category: 'Standard', planId: 'Y2490', productIds: ['mock-product-nova-plus'] },
+        { id: 'mock-rp-nova-plus-u', code: 'U', name: 'Weekly', price: 59, category: 'Standard', planId: 'U59', productIds: ['mock-product-nova-plus'] },
+        { id: 'mock-rp-nova-plus-stud-m', code: 'M', name: 'Student Monthly', price: 99, category: 'Student', planId: 'M99', productIds: ['mock-product-nova-plus'] },
+        { id: 'mock-rp-nova-plus-stud-y', code: 'Y', name: 'Student Yearly', price: 990, category: 'Student', planId: 'Y990', productIds: ['mock-product-nova-plus'] },
+        { id: 'mock-rp-nova-plus-cmp-m', code: 'M', name: 'Campaign Monthly', price: 149, category: 'Campaign', planId: 'M149', productIds: ['mock-product-nova-plus'] },
+        { id: 'mock-rp-nova-prem-m', code: 'M', name: 'Monthly', price: 349, category: 'Standard', planId: 'M349', productIds: ['mock-product-nova-prem'] },
+        { id: 'mock-rp-nova-prem-y', code: 'Y', name: 'Yearly', price: 3490, category: 'Standard', planId: 'Y3490', productIds: ['mock-product-nova-prem'] },
+        { id: 'mock-rp-nova-prem-stud-q', code: 'Q', name: 'Student Quarterly', price: 399, category: 'Student', planId: 'Q399', productIds: ['mock-product-nova-prem'] },
+        { id: 'mock-rp-nova-print-q', code: 'Q', name: 'Quarterly', price: 895, category: 'Standard', planId: 'Q895', productIds: ['mock-product-nova-print'] },
+        { id: 'mock-rp-nova-print-cmp-u', code: 'U', name: 'Campaign Weekly', price: 29, category: 'Campaign', planId: 'U29', productIds: ['mock-product-nova-print'] },
+        { id: 'mock-rp-neb-digi-m', code: 'M', name: 'Monthly', price: 299, category: 'Standard', planId: 'M299', productIds: ['mock-product-neb-digi'] },
+        { id: 'mock-rp-neb-digi-u', code: 'U', name: 'Weekly', price: 79, category: 'Standard', planId: 'U79', productIds: ['mock-product-neb-digi'] },
+        { id: 'mock-rp-neb-digi-stud-m', code: 'M', name: 'Student Monthly', price: 149, category: 'Student', planId: 'M149', productIds: ['mock-product-neb-digi'] },
+        { id: 'mock-rp-neb-full-y', code: 'Y', name: 'Yearly', price: 5990, category: 'Standard', planId: 'Y5990', productIds: ['mock-product-neb-full'] },
+        { id: 'mock-rp-neb-full-cmp-q', code: 'Q', name: 'Campaign Quarterly', price: 999, category: 'Campaign', planId: 'Q999', productIds: ['mock-product-neb-full'] },
+        { id: 'mock-rp-orb-plus-m', code: 'M', name: 'Monthly', price: 179, category: 'Standard', planId: 'M179', productIds: ['mock-product-orb-plus'] },
+        { id: 'mock-rp-orb-plus-cmp-y', code: 'Y', name: 'Campaign Yearly', price: 1490, category: 'Campaign', planId: 'Y1490', productIds: ['mock-product-orb-plus'] },
+        { id: 'mock-rp-bundle-m', code: 'M', name: 'Monthly', price: 379, category: 'Standard', planId: 'M379', productIds: ['mock-product-bundle'] },
+        { id: 'mock-rp-bundle-stud-u', code: 'U', name: 'Student Weekly', price: 39, category: 'Student', planId: 'U39', productIds: ['mock-product-bundle'] },
+        { id: 'mock-rp-kom-app-m', code: 'M', name: 'Monthly', price: 59, category: 'Standard', planId: 'M59', productIds: ['mock-product-kom-app'] }
+    ],
+
+    codeTypes: [
+        { code: 'WB', label: 'Winback', description: 'Former subscribers' },
+        { code: 'HB', label: 'Holdback', description: 'Subscribers about to cancel' },
+        { code: 'CMP', label: 'Campaign', description: 'Marketing campaigns' },
+        { code: 'FREE', label: 'Free', description: 'Free periods' },
+        { code: 'EMP', label: 'Employee', description: 'Staff offers' },
+        { code: 'KS', label: 'Kompis', description: 'Refer a friend', active: false }
+    ],
+
+    brazeObjectTypes: [
+        { code: 'CMP', label: 'Campaign', description: 'Single sends and recurring campaigns' },
+        { code: 'CAN', label: 'Canvas', description: 'Multi-step journeys' },
+        { code: 'SEG', label: 'Segment', description: 'Audiences' },
+        { code: 'TPL', label: 'Template', description: 'Email and content templates' },
+        { code: 'PCL', label: 'Promotion Code List', description: 'Promocodes uploaded for {% promotion %} Liquid' }
+    ],
+
+    // 5000 only exists here, 3000 is retired (old names still decode with a warning)
+    brazeCodeClasses: [
+        { code: '1000', label: 'Transactional', description: 'Receipts, password resets, order confirmations' },
+        { code: '2000', label: 'Marketing/Journey', description: 'Onboarding, winback and other lifecycle journeys' },
+        { code: '3000', label: 'Operational', description: 'Service and delivery notices', active: false },
+        { code: '4000', label: 'Compliance/Legal', description: 'Terms, privacy and consent updates' },
+        { code: '5000', label: 'Partnerships', description: 'Co-branded and partner offers' },
+        { code: 'YYYY', label: 'One-off/Ad-hoc', description: 'Written as the year of the send, e.g. CMP_2025_NOVA_BlackFriday' },
+        { code: '9000', label: 'Test/Sandbox', description: 'Tests and seed lists' }
+    ],
+
+    // v1 is retired (codes made under it still decode); v2 is in force
+    rulesets: [
+        {
+            id: 'mock-ruleset-1',
+            name: 'Standard',
+            version: '1',
+            status: 'Retired',
+            effectiveFrom: '2024-01-01',
+            effectiveTo: '2025-01-01',
+            freetextMaxLength: 10
+        },
+        {
+            id: 'mock-ruleset-2',
+            name: 'Standard',
+            version: '2',
+            status: 'Active',
+            effectiveFrom: '2025-01-01',
+            effectiveTo: null
+        }
+    ],
+
+    // Nebula Nyheter keeps its lowercase codes
+    brandOverrides: [
+        { id: 'mock-override-neb', brandIds: ['mock-brand-neb'], rulesetIds: [], values: { casing: 'LOWER' } }
+    ],
+
+    // Shared history: generating one of these codes again shows the duplicate warning
+    history: [
+        {
+            id: 'mock-history-1',
+            code: 'NOVA-PLUS-3M199K-T-SUMMER-WB-M249',
+            generatedDate: '2025-06-02T09:14:00.000Z',
+            generatedBy: 'Demo User',
+            brandIds: ['mock-brand-nova'],
+            productIds: ['mock-product-nova-plus']
+        },
+        {
+            id: 'mock-history-2',
+            code: 'NOVA-PREM-1M100P-E-Y3490',
+            generatedDate: '2025-08-18T13:40:00.000Z',
+            generatedBy: 'Demo User',
+            brandIds: ['mock-brand-nova'],
+            productIds: ['mock-product-nova-prem']
+        },
+        {
+            id: 'mock-history-3',
+            code: 'neb-digi-2u0k-t-cmp-m299',
+            generatedDate: '2025-09-05T07:55:00.000Z',
+            generatedBy: 'Onboarding',
+            brandIds: ['mock-brand-neb'],
+            productIds: ['mock-product-neb-digi']
+        },
+        {
+            id: 'mock-history-4',
+            code: 'ORB-PLUS-12M50P-T-VM-CMP-Y1490',
+            generatedDate: '2025-10-01T11:20:00.000Z',
+            generatedBy: 'Demo User',
+            brandIds: ['mock-brand-orb'],
+            productIds: ['mock-product-orb-plus']
+        }
+    ],
+
+    // Golden cases for the conformance runner (Rules section)
+    testFixtures: [
+        {
+            name: 'Nova winback, termed monthly',
+            kind: 'generate',
+            inputs: { brandCode: 'NOVA', productCode: 'PLUS', initialLength: 3, initialPeriod: 'M', discountAmount: 199, discountType: 'K', renewalType: 'T', renewalTerm: 'M', price: 249, campaignText: 'SUMMER', codeType: 'WB' },
+            code: 'NOVA-PLUS-3M199K-T-SUMMER-WB-M249'
+        },
+        {
+            name: 'Nebula codes are lowercase',
+            kind: 'generate',
+            inputs: { brandCode: 'NEB', productCode: 'DIGI', initialLength: 2, initialPeriod: 'U', discountAmount: 0, discountType: 'K', renewalType: 'T', renewalTerm: 'M', price: 299, codeType: 'CMP' },
+            code: 'neb-digi-2u0k-t-cmp-m299'
+        },
+        {
+            name: 'Campaign text must not read as a code type',
+            kind: 'generate',
+            inputs: { brandCode: 'ORB', productCode: 'PLUS', initialLength: 1, initialPeriod: 'M', discountAmount: 50, discountType: 'P', renewalType: 'E', renewalTerm: 'M', price: 179, campaignText: 'WB' },
+            expectedError: 'AMBIGUOUS_CAMPAIGN_TEXT'
+        },
+        {
+            name: 'Evergreen yearly decodes',
+            kind: 'parse',
+            code: 'NOVA-PREM-1M100P-E-Y3490',
+            expected: { brand: 'NOVA', product: 'PREM', initialLength: 1, initialPeriod: 'M', discountAmount: 100, discountType: 'P', renewalType: 'E', renewalTerm: 'Y', price: 3490 }
+        },
+        {
+            name: 'Codes without a renewal plan are rejected',
+            kind: 'parse',
+            code: 'NOVA-PLUS-3M199K-T',
+            expected: { isValid: false }
+        },
+        {
+            name: 'Weekly print campaign (pinned to v1)',
+            kind: 'parse',
+            code: 'NOVA-HELG-4U0K-T-U29',
+            expected: { product: 'HELG', initialPeriod: 'U', renewalTerm: 'U', price: 29 },
+            rulesetVersion: '1'
+        },
+        {
+            name: 'Codes dated before every ruleset decode with the defaults',
+            kind: 'parse',
+            code: 'NOVA-PLUS-3M199K-T-SUMMER-WB-M249',
+            expected: { brand: 'NOVA', product: 'PLUS', campaignText: 'SUMMER', codeType: 'WB', price: 249 },
+            date: '2000-01-01'
+        }
+    ]
+};
+
+// Export for use in other modules
+window.MockCatalog = MockCatalog;
+
+if (Config.FEATURES.DEBUG_MODE && Config.FEATURES.ENABLE_MOCK_DATA) {
+    console.log('🧪 Mock Catalog loaded', MockCatalog);
+}
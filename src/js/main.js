@@ -31,6 +31,11 @@ document.addEventListener('DOMContentLoaded', async function() {
  * Validate required configuration
  */
 function validateConfiguration() {
+    // Other data sources don't need Airtable credentials
+    if (dataSource.type !== 'airtable') {
+        return true;
+    }
+    
     // Check if Airtable is configured
     if (!Config.AIRTABLE.BASE_ID || 
         Config.AIRTABLE.BASE_ID === 'YOUR_BASE_ID_HERE' ||
@@ -39,8 +44,15 @@ function validateConfiguration() {
         return false;
     }
     
-    if (!Config.AIRTABLE.API_KEY || 
-        Config.AIRTABLE.API_KEY === 'YOUR_API_KEY_HERE') {
+    // The proxy serves the app: a page opened from disk can't reach it
+    if (Config.FEATURES.USE_PROXY && window.location.protocol === 'file:') {
+        console.error('❌ FEATURES.USE_PROXY is on but the app was opened as a file');
+        return false;
+    }
+    
+    // With the proxy, the key stays on the server
+    if (!Config.FEATURES.USE_PROXY &&
+        (!Config.AIRTABLE.API_KEY || Config.AIRTABLE.API_KEY === 'YOUR_API_KEY_HERE')) {
         console.error('❌ Invalid Airtable API Key');
         return false;
     }
@@ -65,7 +77,10 @@ function showConfigurationError() {
                         <p>Please configure the following in <code>src/js/config.js</code>:</p>
                         <ul>
                             <li><strong>AIRTABLE.BASE_ID</strong>: Your Airtable Base ID (starts with 'app')</li>
-                            <li><strong>AIRTABLE.API_KEY</strong>: Your Airtable API Key (starts with 'key' or 'pat')</li>
+                            <li><strong>AIRTABLE.API_KEY</strong>: Your Airtable API Key (starts with 'key' or 'pat'), only when <strong>FEATURES.USE_PROXY</strong> is off.
+                                Otherwise run <code>server/airtableProxy.js</code> with <code>AIRTABLE_API_KEY</code> set.</li>
+                            <li><strong>FEATURES.USE_PROXY</strong> is on by default: open the app through the proxy
+                                (<code>http://localhost:8080</code>), not from disk.</li>
                         </ul>
                         <p class="mt-lg">
                             <a href="https://airtable.com/api" target="_blank" class="btn btn-primary">
@@ -95,6 +110,15 @@ async function initializeApp() {
         // Set up search
         setupSearch();
         
+        // Show how current the Airtable data is, and check the configured
+        // field names against the base (in the background)
+        if (dataSource.type === 'airtable') {
+            setupDataStatus();
+            checkSchema();
+        } else if (dataSource.type === 'mock') {
+            showMockDataStatus();
+        }
+        
         // Initialize the current section
         const initialSection = getInitialSection();
         await switchSection(initialSection);
@@ -487,13 +511,8 @@ function getPromocodeHTML() {
                             <label class="form-label">Code Type</label>
                             <select id="code-type" class="form-control form-select">
                                 <option value="">None</option>
-                                <option value="WB">Winback (WB)</option>
-                                <option value="HB">Holdback (HB)</option>
-                                <option value="CMP">Campaign (CMP)</option>
-                                <option value="FREE">Free (FREE)</option>
-                                <option value="EMP">Employee (EMP)</option>
-                                <option value="KS">Kompis (KS)</option>
                             </select>
+                            <span id="code-type-help" class="form-helper-text"></span>
                         </div>
                     </div>
                     
@@ -503,6 +522,11 @@ function getPromocodeHTML() {
                             <input type="number" id="override-price" class="form-control" min="0" placeholder="Leave empty to use rate plan price">
                             <span class="form-helper-text">Override the rate plan price if needed</span>
                         </div>
+                        <div class="form-group">
+                            <label class="form-label">Generated By</label>
+                            <input type="text" id="generated-by" class="form-control" placeholder="Your name or email">
+                            <span class="form-helper-text">Recorded with every code in the shared history</span>
+                        </div>
                     </div>
                     
                     <!-- Generate Button -->
@@ -515,13 +539,18 @@ function getPromocodeHTML() {
                 </div>
                 
                 <!-- Result Container -->
+                <div id="duplicate-resolution" class="duplicate-resolution" style="display: none;"></div>
+                
                 <div id="result-container" style="display: none;">
                     <div class="result-card">
                         <h3>Generated Promocode</h3>
                         <div class="code-display">
                             <div id="generated-code"></div>
                             <button id="copy-promocode-btn">📋 Copy</button>
+                            <button id="braze-export-btn" title="Download a Braze promotion code list and get its Liquid">🎟️ Export to Braze</button>
                         </div>
+                        <span id="generated-ruleset" class="form-helper-text"></span>
+                        <div id="braze-export-result"></div>
                     </div>
                 </div>
                 
@@ -531,32 +560,61 @@ function getPromocodeHTML() {
                     <div class="validation-container">
                         <div class="validation-input-group">
                             <input type="text" id="validate-input" class="validation-input" placeholder="Paste code here to validate...">
+                            <input type="date" id="validate-date" class="form-control" title="Generated on (optional) - validates against the ruleset in force on that date">
                             <button id="validate-btn" class="validate-btn">Validate</button>
                         </div>
                         <div id="validation-result" style="display: none;"></div>
                     </div>
                 </div>
+                
+                <!-- Bulk Generation Section -->
+                <div class="validation-section bulk-section">
+                    <h3>Bulk Generate from Offer Matrix</h3>
+                    <div class="validation-container">
+                        <span class="form-helper-text">Header row: brand, product, length, period, discount, renewal_type, term, price, campaign_text, code_type</span>
+                        <textarea id="bulk-generate-input" class="form-control bulk-input" rows="6" placeholder="Paste CSV or cells copied from a spreadsheet..."></textarea>
+                        <div class="bulk-actions">
+                            <input type="file" id="bulk-generate-file" accept=".csv,.tsv,.txt">
+                            <button id="bulk-generate-btn" class="validate-btn">Generate All</button>
+                        </div>
+                        <div id="bulk-generate-result" style="display: none;"></div>
+                    </div>
+                </div>
+                
+                <!-- Bulk Validation Section -->
+                <div class="validation-section bulk-section">
+                    <h3>Bulk Validate Existing Codes</h3>
+                    <div class="validation-container">
+                        <span class="form-helper-text">One code per line, or a CSV export with a "code" column</span>
+                        <textarea id="bulk-validate-input" class="form-control bulk-input" rows="6" placeholder="Paste codes here..."></textarea>
+                        <div class="bulk-actions">
+                            <input type="file" id="bulk-validate-file" accept=".csv,.tsv,.txt">
+                            <button id="bulk-validate-btn" class="validate-btn">Validate All</button>
+                        </div>
+                        <div id="bulk-validate-result" style="display: none;"></div>
+                    </div>
+                </div>
             </div>
         </div>`;
 }
 
 /**
- * Load Braze Module (placeholder)
+ * Load Braze Module
  */
 async function loadBrazeModule() {
+    // Check if already loaded
+    if (App.modules.braze) {
+        return App.modules.braze;
+    }
+    
     const container = document.getElementById('braze-section');
-    container.innerHTML = `
-        <div class="card">
-            <div class="card-header">
-                <h2 class="card-title">Braze Naming Standards</h2>
-            </div>
-            <div class="placeholder">
-                <div class="placeholder-icon">📧</div>
-                <h3>Braze Campaign Naming</h3>
-                <p>Generate consistent names for your Braze campaigns, canvases, and segments.</p>
-                <button class="btn btn-primary mt-lg">Coming Soon</button>
-            </div>
-        </div>`;
+    
+    if (window.BrazeModule) {
+        App.modules.braze = new BrazeModule();
+        await App.modules.braze.init(container);
+    } else {
+        throw new Error('Braze module not found');
+    }
 }
 
 /**
@@ -598,21 +656,22 @@ async function loadDataModule() {
 }
 
 /**
- * Load Rules Module (placeholder)
+ * Load Rules Module
  */
 async function loadRulesModule() {
+    // Check if already loaded
+    if (App.modules.rules) {
+        return App.modules.rules;
+    }
+    
     const container = document.getElementById('rules-section');
-    container.innerHTML = `
-        <div class="card">
-            <div class="card-header">
-                <h2 class="card-title">Naming Rules Overview</h2>
-            </div>
-            <div class="placeholder">
-                <div class="placeholder-icon">📋</div>
-                <h3>Active Naming Rules</h3>
-                <p>View and understand the current naming rules and standards applied across all tools.</p>
-            </div>
-        </div>`;
+    
+    if (window.RulesModule) {
+        App.modules.rules = new RulesModule();
+        await App.modules.rules.init(container);
+    } else {
+        throw new Error('Rules module not found');
+    }
 }
 
 /**
@@ -643,10 +702,13 @@ async function loadHistoryModule() {
                         <div class="activity-title font-mono">${entry.code}</div>
                         <div class="activity-time text-muted">${date}</div>
                     </div>
+                    <button type="button" class="btn btn-secondary" data-braze-export="${entry.code}" data-brand-id="${entry.brandId || ''}">🎟️ Export to Braze</button>
                 </div>`;
         });
         
-        historyHTML += `</div>`;
+        historyHTML += `
+            </div>
+            <div id="history-braze-export"></div>`;
     } else {
         historyHTML += `
             <div class="placeholder">
@@ -658,6 +720,27 @@ async function loadHistoryModule() {
     
     historyHTML += `</div>`;
     container.innerHTML = historyHTML;
+    
+    // Export an entry as a Braze promotion code list
+    container.querySelectorAll('[data-braze-export]').forEach(button => {
+        button.addEventListener('click', async function() {
+            const exportContainer = document.getElementById('history-braze-export');
+            
+            try {
+                const exportData = await brazePromotionExport.buildExport(button.dataset.brazeExport, {
+                    brandId: button.dataset.brandId || null
+                });
+                
+                brazePromotionExport.download(exportData);
+                brazePromotionExport.showExport(exportData, exportContainer);
+                exportContainer.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+            } catch (error) {
+                console.error('Braze export failed:', error);
+                exportContainer.innerHTML = `
+                    <div class="alert alert-danger">${HtmlUtils.escape(error.message)}</div>`;
+            }
+        });
+    });
 }
 
 // ============================================================================
@@ -763,6 +846,119 @@ function setupSearch() {
     });
 }
 
+// ============================================================================
+// DATA STATUS
+// ============================================================================
+
+/**
+ * Show the age of the Airtable data in the header, and offline (read-only) mode.
+ * Clicking it refreshes all data.
+ */
+function setupDataStatus() {
+    const statusButton = document.getElementById('data-status');
+    if (!statusButton) return;
+    
+    statusButton.addEventListener('click', function() {
+        airtableService.revalidateAll(true);
+    });
+    
+    airtableService.onStatusChange(function(status) {
+        if (!status.asOf) {
+            statusButton.hidden = true;
+            return;
+        }
+        
+        statusButton.hidden = false;
+        statusButton.classList.toggle('offline', status.offline);
+        statusButton.classList.toggle('stale', !status.offline && status.stale);
+        
+        if (status.offline) {
+            statusButton.textContent = `📴 Offline · read-only · data as of ${formatDate(status.asOf)}`;
+            statusButton.title = 'Airtable is unreachable. Showing saved data: new codes are queued ' +
+                'and duplicate checks are skipped. Click to retry.';
+        } else {
+            statusButton.textContent = `Data as of ${formatDate(status.asOf)}`;
+            statusButton.title = 'Click to refresh data from Airtable';
+        }
+    });
+}
+
+/**
+ * Make it obvious that the app runs on fixture data
+ */
+function showMockDataStatus() {
+    const statusButton = document.getElementById('data-status');
+    if (!statusButton) return;
+    
+    statusButton.hidden = false;
+    statusButton.classList.add('mock');
+    statusButton.textContent = '🧪 Mock data';
+    statusButton.title = 'FEATURES.ENABLE_MOCK_DATA is on: showing the bundled fixture catalog. ' +
+        'Nothing is read from or written to Airtable.';
+}
+
+// ============================================================================
+// SCHEMA CHECK
+// ============================================================================
+
+/**
+ * Check Config.AIRTABLE.FIELDS against the base and show any mismatches
+ */
+async function checkSchema() {
+    try {
+        const report = await schemaService.validate();
+        renderSchemaReport(report);
+    } catch (error) {
+        console.error('❌ Schema check failed:', error);
+    }
+}
+
+/**
+ * Render the mismatch report above the current section
+ */
+function renderSchemaReport(report) {
+    const container = document.getElementById('schema-report');
+    if (!container) return;
+    
+    if (!report.hasErrors && !report.hasWarnings) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    const problems = schemaService.getProblems().filter(table => table.severity !== 'info');
+    const items = problems.map(table => {
+        const fields = table.missingFields.map(field => {
+            const suggestion = field.suggestion ? ` (renamed to <code>${HtmlUtils.escape(field.suggestion)}</code>?)` : '';
+            return `<li><code>${field.key}: '${HtmlUtils.escape(field.name)}'</code> not found${suggestion}</li>`;
+        }).join('');
+        
+        return `
+            <li>
+                <strong>${HtmlUtils.escape(table.tableName)}</strong>: ${HtmlUtils.escape(table.message)}
+                ${fields ? `<ul>${fields}</ul>` : ''}
+            </li>`;
+    }).join('');
+    
+    const source = report.source === 'metadata'
+        ? 'the base schema'
+        : 'a sample of records (empty fields can\'t be seen, so some of these may be fine)';
+    
+    container.innerHTML = `
+        <div class="alert alert-${report.hasErrors ? 'danger' : 'warning'} alert-dismissible schema-report">
+            <div>
+                <h4>Airtable columns don't match the configuration</h4>
+                <p>Checked <code>Config.AIRTABLE.FIELDS</code> in <code>src/js/config.js</code> against ${source}.
+                   Dropdowns and codes may be empty or wrong until these are fixed:</p>
+                <ul>${items}</ul>
+            </div>
+            <button type="button" class="btn-close" aria-label="Close">×</button>
+        </div>`;
+    
+    container.querySelector('.btn-close').addEventListener('click', function() {
+        container.innerHTML = '';
+    });
+}
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
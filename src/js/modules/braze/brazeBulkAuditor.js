@@ -0,0 +1,328 @@
+/* ============================================================================
+   CODEX NOVA NEBULA - Braze Bulk Auditor
+   Checks a campaign/canvas export against the naming rules and proposes
+   compliant renames, exported as a rename worksheet
+   ============================================================================ */
+
+class BrazeBulkAuditor {
+    constructor() {
+        this.lastResults = [];
+    }
+
+    /**
+     * Extract names (with ids and object types where the export has them) from
+     * pasted text or an uploaded file. Uses a "name" column when there is a
+     * header, else the first column.
+     */
+    extractRows(text) {
+        const rows = CsvUtils.parse(text);
+        if (rows.length === 0) return [];
+
+        const header = rows[0].map(cell => cell.trim());
+        const findColumn = pattern => header.findIndex(cell => pattern.test(cell));
+
+        let nameIndex = findColumn(/^((campaign|canvas|segment|template)\s*_?)?name$/i);
+        const idIndex = findColumn(/^((campaign|canvas|api)\s*_?)?id$|^identifier$/i);
+        const typeIndex = findColumn(/^(object\s*_?)?type$/i);
+        let dataRows = rows;
+
+        if (nameIndex >= 0) {
+            dataRows = rows.slice(1);
+        } else {
+            nameIndex = 0;
+        }
+
+        return dataRows
+            .map(cells => ({
+                name: (cells[nameIndex] || '').trim(),
+                id: idIndex >= 0 && nameIndex !== idIndex ? (cells[idIndex] || '').trim() : '',
+                type: typeIndex >= 0 ? (cells[typeIndex] || '').trim() : ''
+            }))
+            .filter(row => row.name !== '');
+    }
+
+    /**
+     * Audit every name in the text
+     */
+    async auditText(text) {
+        const rows = this.extractRows(text);
+
+        if (rows.length === 0) {
+            throw new Error('No names found');
+        }
+
+        return this.auditRows(rows);
+    }
+
+    /**
+     * Check each name and propose a rename for the ones that don't comply,
+     * never stopping on a single failure
+     */
+    async auditRows(rows) {
+        await brazeNameParser.initialize();
+
+        const results = [];
+
+        // Names already taken, so two legacy names don't get the same proposal
+        const takenNames = new Set(rows.map(row => row.name));
+
+        for (let index = 0; index < rows.length; index++) {
+            const row = rows[index];
+            const result = {
+                index: index + 1,
+                id: row.id,
+                type: row.type,
+                name: row.name,
+                status: 'non-compliant',
+                issues: [],
+                proposedName: '',
+                notes: []
+            };
+
+            try {
+                const parsed = await brazeNameParser.parseName(row.name, { checkBrands: false });
+                result.issues = parsed.diagnostics.map(diagnostic =>
+                    (diagnostic.segment ? `${diagnostic.segment}: ` : '') + diagnostic.message);
+
+                if (parsed.isValid) {
+                    result.status = parsed.diagnostics.length === 0 ? 'compliant' : 'review';
+                } else {
+                    this.proposeRename(row, result, takenNames);
+                }
+            } catch (error) {
+                result.issues.push(error.message);
+            }
+
+            results.push(result);
+        }
+
+        this.lastResults = results;
+
+        if (Config.FEATURES.DEBUG_MODE) {
+            const nonCompliant = results.filter(result => result.status === 'non-compliant').length;
+            console.log(`📧 Audited ${results.length} Braze names, ${nonCompliant} non-compliant`);
+        }
+
+        return results;
+    }
+
+    /**
+     * Best-guess compliant name for a legacy name. Each guess is explained in result.notes.
+     */
+    proposeRename(row, result, takenNames = new Set()) {
+        const words = this.splitWords(row.name);
+        const used = new Set();
+
+        const objectType = this.guessObjectType(row.type, words, used, result.notes);
+        const brand = this.guessBrand(row.name, words, used);
+        const { codeClass, year } = this.guessCodeClass(words, used, result.notes);
+
+        if (!brand) {
+            result.notes.push('No brand found in the name, pick one before renaming');
+            return;
+        }
+
+        let description = brazeNameGenerator.sanitizeDescription(
+            words.filter((word, index) => !used.has(index)).join(' '));
+        const maxLength = Config.BRAZE.MAX_LENGTHS.DESCRIPTION;
+
+        if (!description) {
+            result.notes.push('Nothing left for the description, write one before renaming');
+            return;
+        }
+
+        if (description.length > maxLength) {
+            description = description.slice(0, maxLength);
+            result.notes.push(`Description shortened to ${maxLength} characters`);
+        }
+
+        try {
+            let inputs = { objectType, codeClass, year, brand, description };
+            let proposal = brazeNameGenerator.generateName(inputs).name;
+
+            // Number clashing proposals: Onboarding, Onboarding2, Onboarding3...
+            for (let suffix = 2; takenNames.has(proposal); suffix++) {
+                const suffixed = description.slice(0, maxLength - String(suffix).length) + suffix;
+                inputs = { ...inputs, description: suffixed };
+                proposal = brazeNameGenerator.generateName(inputs).name;
+            }
+
+            if (inputs.description !== description) {
+                result.notes.push('Numbered to avoid a name that is already taken');
+            }
+
+            takenNames.add(proposal);
+            result.proposedName = proposal;
+        } catch (error) {
+            result.notes.push(error.message);
+        }
+    }
+
+    /**
+     * Words of a legacy name: "VG-welcomeSeries 2024" -> ["VG", "welcome", "Series", "2024"]
+     */
+    splitWords(name) {
+        return brazeNameGenerator.toAscii(name)
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+            .split(/[^A-Za-z0-9]+/)
+            .filter(Boolean);
+    }
+
+    /**
+     * Object type from the export's type column, else from a word in the name,
+     * else Campaign
+     */
+    guessObjectType(type, words, used, notes) {
+        const objectTypes = brazeVocabularyService.getObjectTypes();
+        const match = value => objectTypes.find(entry =>
+            entry.code === value.toUpperCase() || entry.label.toUpperCase() === value.toUpperCase())?.code;
+
+        if (type && match(type)) {
+            return match(type);
+        }
+
+        const index = words.findIndex(word => match(word));
+        if (index >= 0) {
+            used.add(index);
+            return match(words[index]);
+        }
+
+        const fallback = match('CMP') || objectTypes[0]?.code;
+        notes.push(`Object type not found, assumed ${fallback}`);
+        return fallback;
+    }
+
+    /**
+     * Brand whose Braze code, code or name appears in the name
+     */
+    guessBrand(name, words, used) {
+        const brands = brandService.brands;
+
+        for (const key of ['brazeCode', 'code']) {
+            const index = words.findIndex(word =>
+                brands.some(brand => brand[key] && brand[key].toUpperCase() === word.toUpperCase()));
+
+            if (index >= 0) {
+                used.add(index);
+                return brands.find(brand => brand[key] && brand[key].toUpperCase() === words[index].toUpperCase());
+            }
+        }
+
+        // Brand names, longest first ("Nova Dagblad" before "Nova")
+        const compact = value => brazeNameGenerator.toAscii(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+        const compactName = compact(name);
+        const brand = [...brands]
+            .filter(candidate => candidate.name && compactName.includes(compact(candidate.name)))
+            .sort((a, b) => b.name.length - a.name.length)[0];
+
+        if (brand) {
+            const brandWords = this.splitWords(brand.name).map(word => word.toLowerCase());
+            words.forEach((word, index) => {
+                if (brandWords.includes(word.toLowerCase())) used.add(index);
+            });
+        }
+
+        return brand || null;
+    }
+
+    /**
+     * Code class from a class number or a year in the name, else from
+     * Config.BRAZE.CODE_CLASS_KEYWORDS, else 2000 (Marketing/Journey).
+     * Only active classes are proposed.
+     */
+    guessCodeClass(words, used, notes) {
+        const isActive = code => Boolean(brazeVocabularyService.getCodeClass(code)?.active);
+
+        const classIndex = words.findIndex(word => word !== 'YYYY' && isActive(word));
+        if (classIndex >= 0) {
+            used.add(classIndex);
+            return { codeClass: words[classIndex], year: null };
+        }
+
+        const yearIndex = words.findIndex(word => /^20\d{2}$/.test(word));
+        if (yearIndex >= 0 && isActive('YYYY')) {
+            used.add(yearIndex);
+            notes.push(`One-off send, from the year ${words[yearIndex]}`);
+            return { codeClass: 'YYYY', year: words[yearIndex] };
+        }
+
+        for (const [codeClass, keywords] of Object.entries(Config.BRAZE.CODE_CLASS_KEYWORDS)) {
+            const keyword = words.find(word => keywords.includes(word.toLowerCase()));
+            if (keyword && isActive(codeClass)) {
+                notes.push(`Code class ${codeClass} guessed from "${keyword}"`);
+                return { codeClass, year: null };
+            }
+        }
+
+        const fallback = isActive('2000')
+            ? '2000'
+            : brazeVocabularyService.getCodeClasses().find(entry => entry.code !== 'YYYY')?.code;
+        notes.push(`Code class ${fallback} assumed`);
+        return { codeClass: fallback, year: null };
+    }
+
+    /**
+     * Worksheet columns; Approved is left for reviewers to fill in
+     */
+    getColumns() {
+        return [
+            { key: 'index', label: 'Row' },
+            { key: 'id', label: 'ID' },
+            { key: 'type', label: 'Type' },
+            { key: 'name', label: 'Current Name' },
+            { key: 'status', label: 'Status' },
+            { key: 'issues', label: 'Issues' },
+            { key: 'proposedName', label: 'Proposed Name' },
+            { key: 'notes', label: 'Notes' },
+            { key: 'approved', label: 'Approved' }
+        ];
+    }
+
+    /**
+     * Get the value shown for a column
+     */
+    getValue(result, column) {
+        switch (column.key) {
+            case 'status':
+                return { compliant: 'Compliant', review: 'Review', 'non-compliant': 'Non-compliant' }[result.status];
+            case 'issues':
+                return result.issues.join('; ');
+            case 'notes':
+                return result.notes.join('; ');
+            case 'approved':
+                return '';
+            default:
+                return result[column.key] ?? '';
+        }
+    }
+
+    /**
+     * Export the rename worksheet as CSV: names to rename first, compliant names last
+     */
+    toCsv(results = this.lastResults) {
+        const order = { 'non-compliant': 0, review: 1, compliant: 2 };
+        const columns = this.getColumns();
+        const rows = [...results]
+            .sort((a, b) => order[a.status] - order[b.status] || a.index - b.index)
+            .map(result => {
+                const row = {};
+                columns.forEach(column => {
+                    row[column.key] = this.getValue(result, column);
+                });
+                return row;
+            });
+
+        return CsvUtils.stringify(rows, columns);
+    }
+}
+
+// Create singleton instance
+const brazeBulkAuditor = new BrazeBulkAuditor();
+
+// Export for use in other modules
+window.brazeBulkAuditor = brazeBulkAuditor;
+
+if (Config.FEATURES.DEBUG_MODE) {
+    console.log('📧 Braze Bulk Auditor initialized', brazeBulkAuditor);
+}
@@ -0,0 +1,651 @@
+/* ============================================================================
+   CODEX NOVA NEBULA - Braze Module
+   Braze section: pick object type, code class and brand, describe the
+   send and get a compliant name with a live preview and local history;
+   paste an existing name to validate and decode it, or audit a whole
+   campaign/canvas export
+   ============================================================================ */
+
+class BrazeModule {
+    constructor() {
+        // Service references
+        this.brandService = window.brandService;
+        this.brazeNameGenerator = window.brazeNameGenerator;
+        this.brazeNameParser = window.brazeNameParser;
+        this.brazeBulkAuditor = window.brazeBulkAuditor;
+        this.brazeVocabularyService = window.brazeVocabularyService;
+
+        // DOM element references
+        this.elements = {};
+
+        // State
+        this.selectedObjectType = null;
+        this.selectedCodeClass = null;
+        this.historyFilter = 'ALL';
+        this.isValidating = false;
+        this.isAuditing = false;
+        this.auditResults = [];
+
+        // Object type icons
+        this.objectTypeIcons = { CMP: '📣', CAN: '🧭', SEG: '👥', TPL: '📄', PCL: '🎟️' };
+
+        // Bind methods
+        this.handleGenerate = this.handleGenerate.bind(this);
+        this.handleCopy = this.handleCopy.bind(this);
+        this.handleValidate = this.handleValidate.bind(this);
+        this.handleAudit = this.handleAudit.bind(this);
+        this.updatePreview = this.updatePreview.bind(this);
+    }
+
+    /**
+     * Render the section and load brands
+     */
+    async init(container) {
+        // Object types and code classes are rendered from the loaded vocabularies
+        await this.brazeNameGenerator.initialize();
+
+        container.innerHTML = this.getHTML();
+
+        this.elements.objectTypeSelector = container.querySelector('#braze-object-types');
+        this.elements.codeClassGrid = container.querySelector('#braze-code-classes');
+        this.elements.brandSelect = container.querySelector('#braze-brand-select');
+        this.elements.yearGroup = container.querySelector('#braze-year-group');
+        this.elements.yearInput = container.querySelector('#braze-year-input');
+        this.elements.descriptionInput = container.querySelector('#braze-description-input');
+        this.elements.flagsInput = container.querySelector('#braze-flags-input');
+        this.elements.preview = container.querySelector('#braze-preview');
+        this.elements.generateBtn = container.querySelector('#braze-generate-btn');
+        this.elements.result = container.querySelector('#braze-result');
+        this.elements.validateInput = container.querySelector('#braze-validate-input');
+        this.elements.validateBtn = container.querySelector('#braze-validate-btn');
+        this.elements.validationResult = container.querySelector('#braze-validation-result');
+        this.elements.auditInput = container.querySelector('#braze-audit-input');
+        this.elements.auditFile = container.querySelector('#braze-audit-file');
+        this.elements.auditBtn = container.querySelector('#braze-audit-btn');
+        this.elements.auditResult = container.querySelector('#braze-audit-result');
+        this.elements.historyFilter = container.querySelector('#braze-history-filter');
+        this.elements.historyList = container.querySelector('#braze-history-list');
+
+        this.bindEventHandlers();
+
+        try {
+            await this.brandService.initialize();
+            this.brandService.populateBrandDropdown(this.elements.brandSelect);
+        } catch (error) {
+            console.error('Failed to load brands for Braze naming:', error);
+            this.elements.brandSelect.innerHTML = '<option value="">Error loading brands</option>';
+            this.elements.brandSelect.disabled = true;
+        }
+
+        this.updatePreview();
+        this.renderHistory();
+    }
+
+    /**
+     * Section HTML
+     */
+    getHTML() {
+        const braze = Config.BRAZE;
+
+        const vocabulary = this.brazeVocabularyService;
+
+        const objectTypes = vocabulary.getObjectTypes().map(entry => `
+                    <div class="object-type-card" data-object-type="${HtmlUtils.escape(entry.code)}" tabindex="0" role="button"
+                        title="${HtmlUtils.escape(entry.description)}">
+                        <div class="object-type-icon">${this.objectTypeIcons[entry.code] || '📧'}</div>
+                        <div class="object-type-label">${HtmlUtils.escape(entry.label || entry.code)}</div>
+                        <div class="object-type-code">${HtmlUtils.escape(entry.code)}</div>
+                    </div>`).join('');
+
+        const codeClasses = vocabulary.getCodeClasses().map(entry => `
+                        <div class="code-class-item" data-code-class="${HtmlUtils.escape(entry.code)}" tabindex="0" role="button">
+                            <div class="code-class-header">
+                                <span class="code-class-number">${HtmlUtils.escape(entry.code)}</span>
+                                <span class="code-class-name">${HtmlUtils.escape(entry.label)}</span>
+                            </div>
+                            ${entry.description ? `<div class="code-class-description">${HtmlUtils.escape(entry.description)}</div>` : ''}
+                        </div>`).join('');
+
+        const filterChips = ['ALL', ...vocabulary.getObjectTypes().map(entry => entry.code)].map(code => `
+                            <span class="filter-chip${code === this.historyFilter ? ' active' : ''}" data-filter="${HtmlUtils.escape(code)}">
+                                ${code === 'ALL' ? 'All' : HtmlUtils.escape(code)}
+                            </span>`).join('');
+
+        return `
+            <div class="braze-container">
+                <div class="braze-form">
+                    <div class="object-type-selector" id="braze-object-types">${objectTypes}
+                    </div>
+
+                    <div class="code-class-section">
+                        <div class="code-class-grid" id="braze-code-classes">${codeClasses}
+                        </div>
+                    </div>
+
+                    <div class="naming-fields">
+                        <div class="braze-form-group">
+                            <label for="braze-brand-select">Brand</label>
+                            <select id="braze-brand-select" class="braze-select">
+                                <option value="">Loading brands...</option>
+                            </select>
+                        </div>
+                        <div class="braze-form-group" id="braze-year-group" style="display: none;">
+                            <label for="braze-year-input">Year</label>
+                            <input type="text" id="braze-year-input" class="braze-input" inputmode="numeric"
+                                maxlength="4" value="${new Date().getFullYear()}">
+                        </div>
+                        <div class="braze-form-group">
+                            <label for="braze-description-input">Description</label>
+                            <input type="text" id="braze-description-input" class="description-input"
+                                placeholder="e.g. Onboarding or Black Friday" autocomplete="off">
+                        </div>
+                    </div>
+
+                    <div class="optional-fields">
+                        <div class="optional-fields-header">Optional flags (max ${braze.MAX_LENGTHS.FLAGS} characters)</div>
+                        <input type="text" id="braze-flags-input" class="flags-input"
+                            placeholder="e.g. AB, SE" autocomplete="off">
+                    </div>
+
+                    <div class="naming-preview">
+                        <div class="preview-label">Preview</div>
+                        <div class="preview-result" id="braze-preview"></div>
+                    </div>
+
+                    <div class="braze-generate-section">
+                        <button type="button" class="braze-generate-btn" id="braze-generate-btn">Generate Name</button>
+                    </div>
+                </div>
+
+                <div id="braze-result"></div>
+
+                <div class="braze-validation">
+                    <div class="card">
+                        <div class="card-header">
+                            <h2 class="card-title">Validate a Name</h2>
+                        </div>
+                        <div class="card-body">
+                            <input type="text" id="braze-validate-input" class="braze-validation-input"
+                                placeholder="e.g. CMP_2000_VG_Onboarding" autocomplete="off" spellcheck="false">
+                            <div class="braze-copy-actions">
+                                <button type="button" class="btn btn-primary" id="braze-validate-btn">Validate Name</button>
+                            </div>
+                            <div id="braze-validation-result"></div>
+                        </div>
+                    </div>
+                </div>
+
+                <div class="braze-validation">
+                    <div class="card">
+                        <div class="card-header">
+                            <h2 class="card-title">Audit a Braze Export</h2>
+                        </div>
+                        <div class="card-body">
+                            <p class="text-muted">
+                                Paste or upload a campaign or canvas export (name, id and type columns).
+                                Names that don't follow the standard get a proposed rename.
+                            </p>
+                            <textarea id="braze-audit-input" class="form-control bulk-input" rows="6"
+                                placeholder="Paste CSV or names, one per line..."></textarea>
+                            <div class="bulk-actions">
+                                <input type="file" id="braze-audit-file" accept=".csv,.tsv,.txt">
+                                <button type="button" class="btn btn-primary" id="braze-audit-btn">Audit Names</button>
+                            </div>
+                            <div id="braze-audit-result"></div>
+                        </div>
+                    </div>
+                </div>
+
+                <div class="braze-history-section">
+                    <div class="braze-history-container">
+                        <div class="braze-history-header">
+                            <span class="braze-history-title">Recent Names</span>
+                            <div class="braze-history-filter" id="braze-history-filter">${filterChips}
+                            </div>
+                        </div>
+                        <div class="braze-history-list" id="braze-history-list"></div>
+                    </div>
+                </div>
+            </div>`;
+    }
+
+    /**
+     * Bind event handlers
+     */
+    bindEventHandlers() {
+        this.bindSelectable(this.elements.objectTypeSelector, '.object-type-card', card => {
+            this.selectedObjectType = card.dataset.objectType;
+        });
+
+        this.bindSelectable(this.elements.codeClassGrid, '.code-class-item', item => {
+            this.selectedCodeClass = item.dataset.codeClass;
+            this.elements.yearGroup.style.display = this.selectedCodeClass === 'YYYY' ? '' : 'none';
+        });
+
+        this.elements.brandSelect.addEventListener('change', this.updatePreview);
+        this.elements.yearInput.addEventListener('input', this.updatePreview);
+        this.elements.descriptionInput.addEventListener('input', this.updatePreview);
+        this.elements.flagsInput.addEventListener('input', this.updatePreview);
+        this.elements.generateBtn.addEventListener('click', this.handleGenerate);
+        this.elements.validateBtn.addEventListener('click', this.handleValidate);
+
+        this.elements.validateInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                this.handleValidate();
+            }
+        });
+
+        this.elements.auditBtn.addEventListener('click', this.handleAudit);
+
+        // Load uploaded export into the textarea
+        this.elements.auditFile.addEventListener('change', async (event) => {
+            const file = event.target.files[0];
+            if (!file) return;
+            this.elements.auditInput.value = await CsvUtils.readFile(file);
+        });
+
+        // Enter in a text field generates the name
+        [this.elements.descriptionInput, this.elements.flagsInput].forEach(input => {
+            input.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter') {
+                    this.handleGenerate();
+                }
+            });
+        });
+
+        this.elements.historyFilter.addEventListener('click', (event) => {
+            const chip = event.target.closest('.filter-chip');
+            if (!chip) return;
+
+            this.historyFilter = chip.dataset.filter;
+            this.elements.historyFilter.querySelectorAll('.filter-chip').forEach(other => {
+                other.classList.toggle('active', other === chip);
+            });
+            this.renderHistory();
+        });
+
+        // Clicking a history entry copies it
+        this.elements.historyList.addEventListener('click', (event) => {
+            const item = event.target.closest('.braze-history-item');
+            if (item) {
+                this.copyToClipboard(item.dataset.name, null);
+            }
+        });
+    }
+
+    /**
+     * Single-select cards: click or Enter selects the card and refreshes the preview
+     */
+    bindSelectable(container, selector, onSelect) {
+        const select = (card) => {
+            container.querySelectorAll(selector).forEach(other => {
+                other.classList.toggle('selected', other === card);
+            });
+            onSelect(card);
+            this.updatePreview();
+        };
+
+        container.addEventListener('click', (event) => {
+            const card = event.target.closest(selector);
+            if (card) select(card);
+        });
+
+        container.addEventListener('keydown', (event) => {
+            const card = event.target.closest(selector);
+            if (card && (event.key === 'Enter' || event.key === ' ')) {
+                event.preventDefault();
+                select(card);
+            }
+        });
+    }
+
+    /**
+     * Current form inputs for the name generator
+     */
+    collectInputs() {
+        return {
+            objectType: this.selectedObjectType,
+            codeClass: this.selectedCodeClass,
+            year: this.elements.yearInput.value.trim(),
+            brand: this.brandService.getBrandById(this.elements.brandSelect.value) || null,
+            description: this.elements.descriptionInput.value,
+            flags: this.elements.flagsInput.value
+        };
+    }
+
+    /**
+     * Show the name as it will be generated, one coloured segment per part
+     */
+    updatePreview() {
+        const segments = this.brazeNameGenerator.buildSegments(this.collectInputs());
+        const separator = `<span class="preview-separator">${HtmlUtils.escape(Config.BRAZE.SEPARATOR)}</span>`;
+
+        const parts = [
+            { className: 'obj', value: segments.objectType, placeholder: 'OBJ' },
+            { className: 'code', value: segments.codeClass, placeholder: 'CLASS' },
+            { className: 'brand', value: segments.brand, placeholder: 'BRAND' },
+            { className: 'description', value: segments.description, placeholder: 'Description' }
+        ];
+
+        if (segments.flags) {
+            parts.push({ className: 'flags', value: segments.flags });
+        }
+
+        this.elements.preview.innerHTML = parts
+            .map(part => `<span class="preview-segment ${part.className}${part.value ? '' : ' text-muted'}">` +
+                `${HtmlUtils.escape(part.value || part.placeholder)}</span>`)
+            .join(separator);
+    }
+
+    /**
+     * Handle generate button click
+     */
+    handleGenerate() {
+        const inputs = this.collectInputs();
+
+        try {
+            const result = this.brazeNameGenerator.generateName(inputs);
+            this.brazeNameGenerator.saveToHistory(result, inputs);
+
+            this.displayResult(result, inputs);
+            this.renderHistory();
+
+        } catch (error) {
+            this.displayErrors(error.errors || [error.message]);
+        }
+    }
+
+    /**
+     * Show the generated name with its segments and a copy button
+     */
+    displayResult(result, inputs) {
+        const vocabulary = this.brazeVocabularyService;
+        const details = [
+            ['Object type', `${vocabulary.getObjectType(result.segments.objectType).label} (${result.segments.objectType})`],
+            ['Code class', `${vocabulary.getCodeClass(inputs.codeClass).label} (${result.segments.codeClass})`],
+            ['Brand', `${inputs.brand.name} (${result.segments.brand})`],
+            ['Description', result.segments.description],
+            ['Length', `${result.name.length} characters`]
+        ];
+
+        if (result.segments.flags) {
+            details.splice(4, 0, ['Flags', result.segments.flags]);
+        }
+
+        this.elements.result.innerHTML = `
+            <div class="braze-result">
+                <div class="braze-result-card braze-pop-in">
+                    <div class="braze-result-name" id="braze-result-name">${HtmlUtils.escape(result.name)}</div>
+                    <div class="braze-result-details">
+                        ${details.map(([label, value]) => `
+                        <div class="braze-result-item">
+                            <span class="braze-result-label">${label}</span>
+                            <span class="braze-result-value">${HtmlUtils.escape(value)}</span>
+                        </div>`).join('')}
+                    </div>
+                    <div class="braze-copy-actions">
+                        <button type="button" class="braze-copy-btn" id="braze-copy-btn">📋 Copy Name</button>
+                    </div>
+                </div>
+            </div>`;
+
+        this.elements.result.querySelector('#braze-copy-btn').addEventListener('click', this.handleCopy);
+    }
+
+    /**
+     * List every problem with the inputs
+     */
+    displayErrors(errors) {
+        this.elements.result.innerHTML = `
+            <div class="braze-error">
+                <div class="braze-error-title">⚠️ Name can't be generated yet</div>
+                <ul class="braze-error-list">
+                    ${errors.map(error => `<li>${HtmlUtils.escape(error)}</li>`).join('')}
+                </ul>
+            </div>`;
+    }
+
+    /**
+     * Handle copy button click
+     */
+    handleCopy(event) {
+        const name = this.elements.result.querySelector('#braze-result-name')?.textContent;
+        this.copyToClipboard(name, event.currentTarget);
+    }
+
+    /**
+     * Copy a name, flagging the button as copied for two seconds
+     */
+    async copyToClipboard(name, button) {
+        if (!name) return;
+
+        try {
+            await navigator.clipboard.writeText(name);
+
+            if (button) {
+                const originalText = button.textContent;
+                button.textContent = '✓ Copied!';
+                button.classList.add('copied');
+
+                setTimeout(() => {
+                    button.textContent = originalText;
+                    button.classList.remove('copied');
+                }, 2000);
+            }
+        } catch (error) {
+            console.error('Failed to copy:', error);
+            this.displayErrors(['Failed to copy to clipboard']);
+        }
+    }
+
+    /**
+     * Handle validate button click
+     */
+    async handleValidate() {
+        if (this.isValidating) return;
+
+        const name = this.elements.validateInput.value.trim();
+
+        if (!name) {
+            this.elements.validationResult.innerHTML = '';
+            return;
+        }
+
+        try {
+            this.isValidating = true;
+            this.elements.validateBtn.disabled = true;
+            this.elements.validateBtn.textContent = 'Validating...';
+
+            const result = await this.brazeNameParser.parseName(name);
+            this.displayValidationResult(this.brazeNameParser.formatForDisplay(result));
+
+        } catch (error) {
+            console.error('Braze name validation failed:', error);
+            this.elements.validationResult.innerHTML = `
+                <div class="braze-error">
+                    <div class="braze-error-title">⚠️ ${HtmlUtils.escape(error.message || 'Validation failed')}</div>
+                </div>`;
+        } finally {
+            this.isValidating = false;
+            this.elements.validateBtn.disabled = false;
+            this.elements.validateBtn.textContent = 'Validate Name';
+        }
+    }
+
+    /**
+     * Show the decoded segments and every error and warning
+     */
+    displayValidationResult(display) {
+        const errors = display.diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+        const warnings = display.diagnostics.filter(diagnostic => diagnostic.severity !== 'error');
+        let html = '';
+
+        if (errors.length > 0) {
+            html += `
+                <div class="braze-error">
+                    <div class="braze-error-title">❌ Not a valid Braze name</div>
+                    <ul class="braze-error-list">${this.renderDiagnostics(errors)}</ul>
+                </div>`;
+        } else {
+            html += `
+                <div class="braze-success">
+                    <div class="braze-success-message">✅ <span class="font-mono">${HtmlUtils.escape(display.name)}</span> is valid</div>
+                </div>`;
+        }
+
+        if (warnings.length > 0) {
+            html += `
+                <div class="alert alert-warning mt-lg">
+                    <ul class="braze-error-list">${this.renderDiagnostics(warnings)}</ul>
+                </div>`;
+        }
+
+        if (display.breakdown.length > 0) {
+            html += `
+                <div class="braze-parsed-result">
+                    <div class="braze-parsed-grid">
+                        ${display.breakdown.map(item => `
+                        <div class="braze-parsed-item">
+                            <div class="braze-parsed-label">${HtmlUtils.escape(item.label)}</div>
+                            <div class="braze-parsed-value">${HtmlUtils.escape(item.raw)}</div>
+                            ${item.value ? `<div class="text-muted">${HtmlUtils.escape(item.value)}</div>` : ''}
+                        </div>`).join('')}
+                    </div>
+                </div>`;
+        }
+
+        this.elements.validationResult.innerHTML = html;
+    }
+
+    /**
+     * Diagnostic list items, with the expected value where there is one
+     */
+    renderDiagnostics(diagnostics) {
+        return diagnostics.map(diagnostic => {
+            const label = diagnostic.segment ? `${HtmlUtils.escape(diagnostic.segment)}: ` : '';
+            const expected = diagnostic.expected ? ` (expected ${HtmlUtils.escape(diagnostic.expected)})` : '';
+            return `<li>${label}${HtmlUtils.escape(diagnostic.message)}${expected}</li>`;
+        }).join('');
+    }
+
+    /**
+     * Handle audit button click
+     */
+    async handleAudit() {
+        if (this.isAuditing) return;
+
+        const text = this.elements.auditInput.value.trim();
+
+        if (!text) {
+            this.elements.auditResult.innerHTML = '';
+            return;
+        }
+
+        try {
+            this.isAuditing = true;
+            this.elements.auditBtn.disabled = true;
+            this.elements.auditBtn.textContent = 'Auditing...';
+
+            this.auditResults = await this.brazeBulkAuditor.auditText(text);
+            this.displayAuditResults();
+
+        } catch (error) {
+            console.error('Braze audit failed:', error);
+            this.elements.auditResult.innerHTML = `
+                <div class="braze-error">
+                    <div class="braze-error-title">⚠️ ${HtmlUtils.escape(error.message || 'Audit failed')}</div>
+                </div>`;
+        } finally {
+            this.isAuditing = false;
+            this.elements.auditBtn.disabled = false;
+            this.elements.auditBtn.textContent = 'Audit Names';
+        }
+    }
+
+    /**
+     * Show the audit, names to rename first, with the worksheet download
+     */
+    displayAuditResults() {
+        const auditor = this.brazeBulkAuditor;
+        const order = { 'non-compliant': 0, review: 1, compliant: 2 };
+        const results = [...this.auditResults].sort((a, b) => order[a.status] - order[b.status] || a.index - b.index);
+        const count = status => results.filter(result => result.status === status).length;
+
+        let html = `
+            <div class="bulk-summary">
+                <span><strong>${count('compliant')}</strong> compliant, <strong>${count('review')}</strong> to review,
+                    <strong>${count('non-compliant')}</strong> to rename</span>
+                <div class="bulk-actions">
+                    <button class="btn btn-secondary" id="braze-audit-export">⬇ Rename Worksheet</button>
+                </div>
+            </div>
+            <div class="bulk-table-wrapper">
+                <table class="bulk-table">
+                    <thead>
+                        <tr>
+                            <th>Row</th>
+                            <th>Current Name</th>
+                            <th>Status</th>
+                            <th>Proposed Name</th>
+                            <th>Notes</th>
+                        </tr>
+                    </thead>
+                    <tbody>`;
+
+        results.forEach(result => {
+            const rowStatus = result.status === 'compliant' ? 'success' : 'error';
+            const notes = [...result.issues, ...result.notes];
+
+            html += `
+                        <tr class="bulk-row-${rowStatus}">
+                            <td>${result.index}</td>
+                            <td class="font-mono">${HtmlUtils.escape(result.name)}</td>
+                            <td>${HtmlUtils.escape(auditor.getValue(result, { key: 'status' }))}</td>
+                            <td class="font-mono">${HtmlUtils.escape(result.proposedName)}</td>
+                            <td>${notes.map(note => HtmlUtils.escape(note)).join('<br>')}</td>
+                        </tr>`;
+        });
+
+        html += `
+                    </tbody>
+                </table>
+            </div>`;
+
+        this.elements.auditResult.innerHTML = html;
+
+        this.elements.auditResult.querySelector('#braze-audit-export').addEventListener('click', () => {
+            const stamp = new Date().toISOString().slice(0, 10);
+            CsvUtils.download(`braze-rename-worksheet-${stamp}.csv`, auditor.toCsv(this.auditResults));
+        });
+    }
+
+    /**
+     * Recent names, filtered by object type
+     */
+    renderHistory() {
+        const history = this.brazeNameGenerator.getHistory(50)
+            .filter(entry => this.historyFilter === 'ALL' || entry.objectType === this.historyFilter)
+            .slice(0, 20);
+
+        if (history.length === 0) {
+            this.elements.historyList.innerHTML = '<p class="text-muted">No names generated yet</p>';
+            return;
+        }
+
+        this.elements.historyList.innerHTML = history.map(entry => `
+            <div class="braze-history-item" data-name="${HtmlUtils.escape(entry.name)}" title="Click to copy">
+                <span class="braze-history-name">${HtmlUtils.escape(entry.name)}</span>
+                <div class="braze-history-meta">
+                    <span class="braze-history-type">${HtmlUtils.escape(entry.objectType)}</span>
+                    <span class="braze-history-time">${new Date(entry.timestamp).toLocaleString()}</span>
+                </div>
+            </div>`).join('');
+    }
+}
+
+// Export for use in main.js
+window.BrazeModule = BrazeModule;
+
+if (Config.FEATURES.DEBUG_MODE) {
+    console.log('📧 Braze Module loaded');
+}
@@ -0,0 +1,233 @@
+/* ============================================================================
+   CODEX NOVA NEBULA - Braze Name Generator
+   Builds Braze campaign, canvas, segment and template names:
+   OBJECT_CODECLASS_BRAND_Description[_FLAGS], with object types and code
+   classes from brazeVocabularyService
+   ============================================================================ */
+
+class BrazeNameGenerator {
+    constructor() {
+        this.lastGeneratedName = null;
+
+        // Letters that don't decompose into an ASCII letter plus an accent
+        this.transliterations = { 'æ': 'ae', 'Æ': 'Ae', 'ø': 'o', 'Ø': 'O', 'ß': 'ss', 'đ': 'd', 'Đ': 'D', 'ł': 'l', 'Ł': 'L' };
+    }
+
+    /**
+     * Load the object types and code classes
+     */
+    async initialize() {
+        await brazeVocabularyService.initialize();
+    }
+
+    /**
+     * Generate a name.
+     * Inputs: objectType (CMP, CAN...), codeClass (1000... or YYYY), year (for YYYY,
+     * defaults to the current year), brand (object from brandService), description, flags.
+     * Returns { name, segments: { objectType, codeClass, brand, description, flags } };
+     * throws with error.errors listing every problem.
+     */
+    generateName(inputs) {
+        const segments = this.buildSegments(inputs);
+        const errors = this.validateSegments(segments, inputs);
+
+        if (errors.length > 0) {
+            const error = new Error(errors.join('. '));
+            error.code = 'INVALID_BRAZE_NAME';
+            error.errors = errors;
+            throw error;
+        }
+
+        const name = this.joinSegments(segments);
+        this.lastGeneratedName = name;
+
+        if (Config.FEATURES.DEBUG_MODE) {
+            console.log('✅ Generated Braze name:', name);
+        }
+
+        return { name, segments };
+    }
+
+    /**
+     * Sanitized segments for the inputs (empty strings where input is missing),
+     * also used for the live preview
+     */
+    buildSegments(inputs) {
+        return {
+            objectType: String(inputs.objectType || '').toUpperCase(),
+            codeClass: this.getCodeClassSegment(inputs.codeClass, inputs.year),
+            brand: this.getBrandSegment(inputs.brand),
+            description: this.sanitizeDescription(inputs.description),
+            flags: this.sanitizeFlags(inputs.flags)
+        };
+    }
+
+    /**
+     * Join the non-empty segments with the separator
+     */
+    joinSegments(segments) {
+        return [segments.objectType, segments.codeClass, segments.brand, segments.description, segments.flags]
+            .filter(Boolean)
+            .join(Config.BRAZE.SEPARATOR);
+    }
+
+    /**
+     * Every problem with the segments
+     */
+    validateSegments(segments, inputs = {}) {
+        const errors = [];
+        const maxLengths = Config.BRAZE.MAX_LENGTHS;
+
+        const objectType = brazeVocabularyService.getObjectType(segments.objectType);
+        const codeClass = brazeVocabularyService.getCodeClass(inputs.codeClass);
+
+        if (!segments.objectType) {
+            errors.push('Object type is required');
+        } else if (!objectType) {
+            errors.push(`Unknown object type: ${segments.objectType}`);
+        } else if (!objectType.active) {
+            errors.push(`Object type ${segments.objectType} is no longer in use`);
+        }
+
+        if (!inputs.codeClass) {
+            errors.push('Code class is required');
+        } else if (!codeClass) {
+            errors.push(`Unknown code class: ${inputs.codeClass}`);
+        } else if (!codeClass.active) {
+            errors.push(`Code class ${inputs.codeClass} is no longer in use`);
+        } else if (codeClass.code === 'YYYY') {
+            // Same rule as BrazeNameParser.decodeCodeClass: 20xx, and class numbers win over years
+            if (!/^20\d{2}$/.test(segments.codeClass)) {
+                errors.push('One-off names need a year from 2000 to 2099');
+            } else if (brazeVocabularyService.getCodeClass(segments.codeClass)) {
+                errors.push(`${segments.codeClass} is also a code class number, so the name would not read as a year`);
+            }
+        }
+
+        if (!segments.brand) {
+            errors.push('Brand is required');
+        }
+
+        if (!segments.description) {
+            errors.push('Description is required (letters and digits)');
+        } else if (segments.description.length > maxLengths.DESCRIPTION) {
+            errors.push(`Description is ${segments.description.length} characters, the limit is ${maxLengths.DESCRIPTION}`);
+        }
+
+        if (segments.flags.length > maxLengths.FLAGS) {
+            errors.push(`Flags are ${segments.flags.length} characters, the limit is ${maxLengths.FLAGS}`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Code class segment: the class number, or the year for one-off (YYYY) names
+     */
+    getCodeClassSegment(codeClass, year = null) {
+        if (!codeClass) return '';
+        if (String(codeClass) !== 'YYYY') return String(codeClass);
+
+        return String(year || new Date().getFullYear()).trim();
+    }
+
+    /**
+     * Brand segment: the Braze code (falls back to the brand code), uppercase alphanumeric
+     */
+    getBrandSegment(brand) {
+        if (!brand) return '';
+
+        return String(brand.brazeCode || brand.code || '')
+            .toUpperCase()
+            .replace(/[^A-Z0-9]/g, '');
+    }
+
+    /**
+     * Description in PascalCase ASCII: "Välkommen serie 2" -> "ValkommenSerie2".
+     * Words already in mixed case keep their inner capitals (e.g. "BlackFriday").
+     */
+    sanitizeDescription(text) {
+        return this.toAscii(text)
+            .split(/[^A-Za-z0-9]+/)
+            .filter(Boolean)
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join('');
+    }
+
+    /**
+     * Flags as uppercase ASCII tokens joined by the flag separator:
+     * "ab test, se" -> "AB-TEST-SE"
+     */
+    sanitizeFlags(text) {
+        return this.toAscii(text)
+            .toUpperCase()
+            .split(/[^A-Z0-9]+/)
+            .filter(Boolean)
+            .join(Config.BRAZE.FLAG_SEPARATOR);
+    }
+
+    /**
+     * Replace accented and Nordic letters with ASCII ("Åtta" -> "Atta", "Søk" -> "Sok")
+     */
+    toAscii(text) {
+        return String(text || '')
+            .replace(/[æÆøØßđĐłŁ]/g, letter => this.transliterations[letter])
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '');
+    }
+
+    /**
+     * Save a generated name to history
+     */
+    saveToHistory(result, inputs) {
+        try {
+            const history = this.getHistory(50);
+
+            history.unshift({
+                id: Date.now().toString(),
+                name: result.name,
+                objectType: result.segments.objectType,
+                codeClass: inputs.codeClass,
+                brandId: inputs.brand?.id || null,
+                timestamp: new Date().toISOString()
+            });
+
+            // Keep only last 50 entries
+            localStorage.setItem(Config.STORAGE.BRAZE_HISTORY, JSON.stringify(history.slice(0, 50)));
+        } catch (error) {
+            console.error('Failed to save Braze name to history:', error);
+        }
+    }
+
+    /**
+     * Get generated names, newest first
+     */
+    getHistory(limit = 10) {
+        try {
+            const historyJson = localStorage.getItem(Config.STORAGE.BRAZE_HISTORY);
+            const history = historyJson ? JSON.parse(historyJson) : [];
+            return history.slice(0, limit);
+        } catch (error) {
+            console.error('Failed to get Braze history:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Clear history
+     */
+    clearHistory() {
+        localStorage.removeItem(Config.STORAGE.BRAZE_HISTORY);
+    }
+}
+
+// Create singleton instance
+const brazeNameGenerator = new BrazeNameGenerator();
+
+// Export for use in other modules
+window.brazeNameGenerator = brazeNameGenerator;
+window.BrazeNameGenerator = BrazeNameGenerator;
+
+if (Config.FEATURES.DEBUG_MODE) {
+    console.log('📧 Braze Name Generator initialized', brazeNameGenerator);
+}
@@ -0,0 +1,352 @@
+/* ============================================================================
+   CODEX NOVA NEBULA - Braze Name Parser
+   Validates Braze names and decodes them into object type, code class,
+   brand, description and flags
+   ============================================================================ */
+
+class BrazeNameParser {
+    constructor() {
+        this.lastParsedName = null;
+        this.lastParsedResult = null;
+
+        // Segments in name order: OBJECT_CODECLASS_BRAND_Description[_FLAGS]
+        this.segmentDefinitions = [
+            { field: 'objectType', label: 'Object Type', expected: 'an object type code' },
+            { field: 'codeClass', label: 'Code Class', expected: 'a code class number or a four-digit year' },
+            { field: 'brand', label: 'Brand', expected: 'a brand\'s Braze code' },
+            { field: 'description', label: 'Description', expected: 'PascalCase letters and digits' },
+            { field: 'flags', label: 'Flags', expected: `uppercase letters and digits, joined by ${Config.BRAZE.FLAG_SEPARATOR}` }
+        ];
+    }
+
+    /**
+     * Load object types and code classes, and brands so brand segments can be checked
+     */
+    async initialize() {
+        await brazeVocabularyService.initialize();
+
+        try {
+            await brandService.initialize();
+        } catch (error) {
+            // Names still decode; the brand just isn't checked against the Brands table
+            console.error('Failed to load brands, brand codes will not be checked:', error);
+        }
+    }
+
+    /**
+     * Parse and validate a Braze name
+     */
+    async parseName(name, options = {}) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Invalid Braze name: empty or not a string');
+        }
+
+        if (options.checkBrands !== false) {
+            await this.initialize();
+        } else {
+            await brazeVocabularyService.initialize();
+        }
+
+        this.lastParsedName = name;
+
+        const segments = name.trim().split(Config.BRAZE.SEPARATOR);
+        const result = {
+            isValid: false,
+            originalName: name,
+            segments: segments,
+            parsed: {},
+            humanReadable: {},
+            diagnostics: []
+        };
+
+        if (segments.length < 4 || segments.length > 5) {
+            this.addDiagnostic(result, {
+                expected: 'OBJECT_CODECLASS_BRAND_Description[_FLAGS]',
+                actual: `${segments.length} segment(s)`,
+                message: `Expected 4 or 5 segments separated by ${Config.BRAZE.SEPARATOR}, found ${segments.length}`
+            });
+        } else {
+            segments.forEach((value, index) => this.decodeSegment(this.segmentDefinitions[index], value, result, index));
+        }
+
+        const errors = result.diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+        result.isValid = errors.length === 0;
+
+        if (result.isValid) {
+            result.summary = this.generateSummary(result);
+        } else {
+            result.error = errors[0].message;
+        }
+
+        this.lastParsedResult = result;
+
+        if (Config.FEATURES.DEBUG_MODE) {
+            console.log(`${result.isValid ? '✅' : '❌'} Parsed Braze name:`, result);
+        }
+
+        return result;
+    }
+
+    /**
+     * Record a problem with a segment (severity 'error' or 'warning')
+     */
+    addDiagnostic(result, diagnostic) {
+        const index = diagnostic.index ?? null;
+        const definition = index !== null ? this.segmentDefinitions[index] : null;
+
+        result.diagnostics.push({
+            segmentIndex: index,
+            segment: definition?.label || null,
+            expected: diagnostic.expected ?? definition?.expected ?? '',
+            actual: diagnostic.actual ?? (index !== null ? result.segments[index] : ''),
+            message: diagnostic.message,
+            severity: diagnostic.severity || 'error'
+        });
+    }
+
+    /**
+     * Decode a single segment into result.parsed and result.humanReadable
+     */
+    decodeSegment(definition, value, result, index) {
+        const field = definition.field;
+        result.parsed[field] = value;
+
+        if (!value) {
+            this.addDiagnostic(result, { index, message: `${definition.label} is empty` });
+            return;
+        }
+
+        switch (field) {
+            case 'objectType':
+                this.decodeObjectType(value, result, index);
+                break;
+            case 'codeClass':
+                this.decodeCodeClass(value, result, index);
+                break;
+            case 'brand':
+                this.decodeBrand(value, result, index);
+                break;
+            case 'description':
+                this.decodeDescription(value, result, index);
+                break;
+            case 'flags':
+                this.decodeFlags(value, result, index);
+                break;
+        }
+    }
+
+    /**
+     * Object type: a known object type, in uppercase
+     */
+    decodeObjectType(value, result, index) {
+        const objectType = brazeVocabularyService.getObjectType(value);
+
+        if (!objectType) {
+            this.addDiagnostic(result, {
+                index,
+                expected: brazeVocabularyService.getObjectTypes().map(entry => entry.code).join(', '),
+                message: `Unknown object type: ${value}`
+            });
+            return;
+        }
+
+        if (value !== objectType.code) {
+            this.addDiagnostic(result, {
+                index,
+                expected: objectType.code,
+                message: `Object type must be uppercase: ${objectType.code}`
+            });
+            return;
+        }
+
+        result.humanReadable.objectType = objectType.label || objectType.code;
+        this.checkActive(objectType, 'Object type', result, index);
+    }
+
+    /**
+     * Code class: a known class number, or the year of a one-off (YYYY) send.
+     * Class numbers win over years (2000 is a class, not the year 2000).
+     */
+    decodeCodeClass(value, result, index) {
+        const codeClass = value !== 'YYYY' ? brazeVocabularyService.getCodeClass(value) : null;
+        const yearClass = brazeVocabularyService.getYearClass();
+
+        if (codeClass) {
+            result.humanReadable.codeClass = codeClass.label || codeClass.code;
+            this.checkActive(codeClass, 'Code class', result, index);
+        } else if (/^20\d{2}$/.test(value) && yearClass) {
+            result.parsed.year = Number(value);
+            result.humanReadable.codeClass = `${yearClass.label || 'One-off'} (${value})`;
+            this.checkActive(yearClass, 'Code class', result, index);
+        } else {
+            this.addDiagnostic(result, { index, message: `Unknown code class: ${value}` });
+        }
+    }
+
+    /**
+     * Warn about retired entries: names made while they were in use still decode
+     */
+    checkActive(entry, description, result, index) {
+        if (entry.active) return;
+
+        this.addDiagnostic(result, {
+            index,
+            expected: `an active ${description.toLowerCase()}`,
+            message: `${description} ${entry.code} (${entry.label}) is no longer in use`,
+            severity: 'warning'
+        });
+    }
+
+    /**
+     * Brand: a brand's Braze code (or its code when it has none)
+     */
+    decodeBrand(value, result, index) {
+        if (!/^[A-Z0-9]+$/.test(value)) {
+            this.addDiagnostic(result, {
+                index,
+                expected: 'uppercase letters and digits',
+                message: `Brand code must be uppercase letters and digits: ${value}`
+            });
+            return;
+        }
+
+        const brand = this.findBrand(value);
+        result.humanReadable.brand = brand ? brand.name : value;
+
+        if (brand) {
+            result.parsed.brandId = brand.id;
+        } else if (brandService.brands.length > 0) {
+            this.addDiagnostic(result, {
+                index,
+                message: `Unknown brand code: ${value}`,
+                severity: 'warning'
+            });
+        }
+    }
+
+    /**
+     * Find the brand a Braze code belongs to
+     */
+    findBrand(brazeCode) {
+        return brandService.brands.find(brand => (brand.brazeCode || brand.code || '').toUpperCase() === brazeCode) ||
+            brandService.brands.find(brand => (brand.code || '').toUpperCase() === brazeCode) ||
+            null;
+    }
+
+    /**
+     * Description: PascalCase letters and digits, within the length limit
+     */
+    decodeDescription(value, result, index) {
+        const maxLength = Config.BRAZE.MAX_LENGTHS.DESCRIPTION;
+
+        if (!/^[A-Za-z0-9]+$/.test(value)) {
+            this.addDiagnostic(result, {
+                index,
+                expected: brazeNameGenerator.sanitizeDescription(value),
+                message: 'Description may only contain letters and digits'
+            });
+            return;
+        }
+
+        if (value.length > maxLength) {
+            this.addDiagnostic(result, {
+                index,
+                expected: `at most ${maxLength} characters`,
+                actual: `${value.length} characters`,
+                message: `Description is ${value.length} characters, the limit is ${maxLength}`
+            });
+        }
+
+        if (/^[a-z]/.test(value)) {
+            this.addDiagnostic(result, {
+                index,
+                expected: brazeNameGenerator.sanitizeDescription(value),
+                message: 'Description should start with a capital letter',
+                severity: 'warning'
+            });
+        }
+
+        // "BlackFriday2025" -> "Black Friday 2025"
+        result.humanReadable.description = value
+            .replace(/([a-z])([A-Z0-9])/g, '$1 $2')
+            .replace(/([0-9])([A-Za-z])/g, '$1 $2');
+    }
+
+    /**
+     * Flags: uppercase tokens joined by the flag separator, within the length limit
+     */
+    decodeFlags(value, result, index) {
+        const maxLength = Config.BRAZE.MAX_LENGTHS.FLAGS;
+        const flags = value.split(Config.BRAZE.FLAG_SEPARATOR);
+        const badFlags = flags.filter(flag => !/^[A-Z0-9]+$/.test(flag));
+
+        result.parsed.flagList = flags;
+
+        if (badFlags.length > 0) {
+            this.addDiagnostic(result, {
+                index,
+                expected: brazeNameGenerator.sanitizeFlags(value),
+                message: `Flags must be uppercase letters and digits: ${badFlags.map(flag => flag || '(empty)').join(', ')}`
+            });
+            return;
+        }
+
+        if (value.length > maxLength) {
+            this.addDiagnostic(result, {
+                index,
+                expected: `at most ${maxLength} characters`,
+                actual: `${value.length} characters`,
+                message: `Flags are ${value.length} characters, the limit is ${maxLength}`
+            });
+        }
+
+        result.humanReadable.flags = flags.join(', ');
+    }
+
+    /**
+     * Generate human-readable summary
+     */
+    generateSummary(result) {
+        return this.segmentDefinitions
+            .filter(definition => result.humanReadable[definition.field])
+            .map(definition => `${definition.label}: ${result.humanReadable[definition.field]}`)
+            .join(' | ');
+    }
+
+    /**
+     * Format result for display: a breakdown item per decoded segment
+     */
+    formatForDisplay(result) {
+        const display = {
+            status: result.isValid ? 'success' : 'error',
+            name: result.originalName,
+            message: result.error || null,
+            diagnostics: result.diagnostics,
+            breakdown: []
+        };
+
+        this.segmentDefinitions.forEach(definition => {
+            const raw = result.parsed[definition.field];
+            if (raw === undefined) return;
+
+            display.breakdown.push({
+                label: definition.label,
+                value: result.humanReadable[definition.field] || null,
+                raw: raw
+            });
+        });
+
+        return display;
+    }
+}
+
+// Create singleton instance
+const brazeNameParser = new BrazeNameParser();
+
+// Export for use in other modules
+window.brazeNameParser = brazeNameParser;
+window.BrazeNameParser = BrazeNameParser;
+
+if (Config.FEATURES.DEBUG_MODE) {
+    console.log('🔍 Braze Name Parser initialized', brazeNameParser);
+}
@@ -0,0 +1,178 @@
+/* ============================================================================
+   CODEX NOVA NEBULA - Braze Promotion Export
+   Turns a generated promocode into a Braze promotion code list: the CSV to
+   upload, a list name following the naming rules and the Liquid that
+   references it
+   ============================================================================ */
+
+class BrazePromotionExport {
+    constructor() {
+        this.lastExport = null;
+    }
+
+    /**
+     * Build the export for a promocode.
+     * Options: brandId (else the brand is decoded from the code).
+     * Returns { code, brand, listName, liquid, csv, filename }
+     */
+    async buildExport(code, options = {}) {
+        await brazeNameGenerator.initialize();
+        await brandService.initialize();
+
+        const parsed = await promocodeParser.parseCode(code);
+        if (!parsed.isValid) {
+            throw new Error(`Can't export ${code}: ${parsed.error}`);
+        }
+
+        const brand = (options.brandId && brandService.getBrandById(options.brandId)) ||
+            brandService.getBrandByCode(parsed.parsed.brand);
+        if (!brand) {
+            throw new Error(`Can't export ${code}: brand ${parsed.parsed.brand} not found`);
+        }
+
+        const listName = this.getListName(parsed, brand);
+        const exportData = {
+            code: code,
+            brand: brand,
+            listName: listName,
+            liquid: this.getLiquid(listName),
+            csv: this.toCsv([code]),
+            filename: `${listName}.csv`
+        };
+
+        this.lastExport = exportData;
+
+        if (Config.FEATURES.DEBUG_MODE) {
+            console.log('🎟️ Braze promotion export:', exportData);
+        }
+
+        return exportData;
+    }
+
+    /**
+     * List name: PCL_<class>_<brand>_<the code without its brand segment>,
+     * e.g. NOVA-PLUS-3M199K-T-SUMMER-WB-M249 -> PCL_2000_NOVA_Plus3m199kTSummerWbM249
+     */
+    getListName(parsed, brand) {
+        const settings = Config.BRAZE.PROMOTION_LIST;
+        const maxLength = Config.BRAZE.MAX_LENGTHS.DESCRIPTION;
+        const brandIndex = parsed.segments.findIndex(segment => segment.toUpperCase() === parsed.parsed.brand);
+
+        const description = brazeNameGenerator.sanitizeDescription(parsed.segments
+            .filter((segment, index) => index !== brandIndex)
+            .map(segment => segment.charAt(0).toUpperCase() + segment.slice(1).toLowerCase())
+            .join(' '));
+
+        return brazeNameGenerator.generateName({
+            objectType: settings.OBJECT_TYPE,
+            codeClass: settings.CODE_CLASS,
+            brand: brand,
+            description: this.fitDescription(description, maxLength)
+        }).name;
+    }
+
+    /**
+     * Keep a description within the limit. A cut description ends in a hash of
+     * the full text, so codes that only differ past the limit get separate lists.
+     */
+    fitDescription(description, maxLength) {
+        if (description.length <= maxLength) {
+            return description;
+        }
+
+        const hash = this.hash(description);
+        return description.slice(0, maxLength - hash.length) + hash;
+    }
+
+    /**
+     * Short uppercase hash of a text (32-bit FNV-1a in base 36, 7 characters)
+     */
+    hash(text) {
+        let value = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            value ^= text.charCodeAt(i);
+            value = Math.imul(value, 0x01000193);
+        }
+
+        return (value >>> 0).toString(36).toUpperCase().padStart(7, '0');
+    }
+
+    /**
+     * Liquid that inserts a code from the list into a message
+     */
+    getLiquid(listName) {
+        return `{% promotion('${listName}') %}`;
+    }
+
+    /**
+     * Braze promotion code upload: one code per line, no header
+     */
+    toCsv(codes) {
+        return codes.map(code => CsvUtils.escapeValue(code)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Download the CSV for an export
+     */
+    download(exportData = this.lastExport) {
+        CsvUtils.download(exportData.filename, exportData.csv);
+    }
+
+    /**
+     * Show the list name and Liquid with copy buttons (and a download button) in a container
+     */
+    showExport(exportData, container) {
+        container.innerHTML = `
+            <div class="braze-parsed-result braze-promotion-export">
+                <div class="braze-parsed-grid">
+                    <div class="braze-parsed-item">
+                        <div class="braze-parsed-label">Promotion code list</div>
+                        <div class="braze-parsed-value">${HtmlUtils.escape(exportData.listName)}</div>
+                    </div>
+                    <div class="braze-parsed-item">
+                        <div class="braze-parsed-label">Liquid</div>
+                        <div class="braze-parsed-value">${HtmlUtils.escape(exportData.liquid)}</div>
+                    </div>
+                </div>
+                <p class="form-helper-text">
+                    Create a promotion code list named as above in Braze and upload ${HtmlUtils.escape(exportData.filename)}.
+                </p>
+                <div class="braze-copy-actions">
+                    <button type="button" class="braze-copy-btn" data-copy="${HtmlUtils.escape(exportData.listName)}">📋 Copy List Name</button>
+                    <button type="button" class="braze-copy-btn" data-copy="${HtmlUtils.escape(exportData.liquid)}">📋 Copy Liquid</button>
+                    <button type="button" class="braze-copy-btn" data-download>⬇ CSV</button>
+                </div>
+            </div>`;
+
+        container.querySelectorAll('[data-copy]').forEach(button => {
+            button.addEventListener('click', async () => {
+                try {
+                    await navigator.clipboard.writeText(button.dataset.copy);
+
+                    const originalText = button.textContent;
+                    button.textContent = '✓ Copied!';
+                    button.classList.add('copied');
+
+                    setTimeout(() => {
+                        button.textContent = originalText;
+                        button.classList.remove('copied');
+                    }, 2000);
+                } catch (error) {
+                    console.error('Failed to copy:', error);
+                }
+            });
+        });
+
+        container.querySelector('[data-download]').addEventListener('click', () => this.download(exportData));
+    }
+}
+
+// Create singleton instance
+const brazePromotionExport = new BrazePromotionExport();
+
+// Export for use in other modules
+window.brazePromotionExport = brazePromotionExport;
+
+if (Config.FEATURES.DEBUG_MODE) {
+    console.log('🎟️ Braze Promotion Export initialized', brazePromotionExport);
+}
@@ -0,0 +1,220 @@
+/* ============================================================================
+   CODEX NOVA NEBULA - Promocode Bulk Generator
+   Generates promocodes for every row of a CSV offer matrix
+   ============================================================================ */
+
+class PromocodeBulkGenerator {
+    constructor() {
+        this.lastResults = [];
+
+        // Accepted header names per input (compared lowercase, alphanumeric only)
+        this.columnAliases = {
+            brand: ['brand', 'brandcode'],
+            product: ['product', 'productcode'],
+            length: ['length', 'initiallength'],
+            period: ['period', 'initialperiod'],
+            discount: ['discount', 'discountamount'],
+            discountType: ['discounttype'],
+            renewalType: ['renewaltype', 'renewal'],
+            term: ['term', 'renewalterm'],
+            price: ['price', 'renewalprice'],
+            campaignText: ['campaigntext', 'campaign', 'freetext'],
+            codeType: ['codetype', 'type']
+        };
+    }
+
+    /**
+     * Generate codes for every row of a pasted grid or CSV file
+     */
+    async generateFromText(text) {
+        const { rows, lines } = CsvUtils.parseObjects(text);
+
+        if (rows.length === 0) {
+            throw new Error('No rows found. The first line must be a header row.');
+        }
+
+        return this.generateRows(rows, lines);
+    }
+
+    /**
+     * Generate codes for parsed rows, collecting per-row errors.
+     * lines gives each row's line number in the file (else rows are numbered from 2, after the header).
+     */
+    async generateRows(rows, lines = []) {
+        await brandService.initialize();
+        await productService.initialize();
+        await codeTypeService.initialize();
+
+        const results = [];
+
+        for (let index = 0; index < rows.length; index++) {
+            const row = this.normalizeRow(rows[index]);
+            const result = {
+                row: lines[index] || index + 2, // Line number in the file
+                status: 'error',
+                code: '',
+                error: '',
+                source: row
+            };
+
+            try {
+                const inputs = this.rowToInputs(row);
+                result.code = await promocodeGenerator.generateCode(inputs);
+                result.status = 'success';
+            } catch (error) {
+                result.error = error.message;
+            }
+
+            results.push(result);
+        }
+
+        this.lastResults = results;
+
+        if (Config.FEATURES.DEBUG_MODE) {
+            const failed = results.filter(result => result.status === 'error').length;
+            console.log(`📦 Bulk generated ${results.length - failed} codes, ${failed} failed`);
+        }
+
+        return results;
+    }
+
+    /**
+     * Map arbitrary header names onto input keys
+     */
+    normalizeRow(row) {
+        const normalized = {};
+
+        Object.entries(row).forEach(([header, value]) => {
+            const headerKey = header.toLowerCase().replace(/[^a-z0-9]/g, '');
+            const key = Object.keys(this.columnAliases)
+                .find(candidate => this.columnAliases[candidate].includes(headerKey));
+
+            if (key) {
+                normalized[key] = value;
+            }
+        });
+
+        return normalized;
+    }
+
+    /**
+     * Convert a normalized row into generator inputs
+     */
+    rowToInputs(row) {
+        const errors = [];
+
+        // Brand
+        const brandCode = (row.brand || '').toUpperCase();
+        const brand = brandService.brands.find(b => (b.code || '').toUpperCase() === brandCode);
+        if (!brandCode) {
+            errors.push('Brand is required');
+        } else if (!brand) {
+            errors.push(`Unknown brand code: ${brandCode}`);
+        }
+
+        // Product (prefer products linked to the brand)
+        const productCode = (row.product || '').toUpperCase();
+        const product = this.findProduct(productCode, brand);
+        if (!productCode) {
+            errors.push('Product is required');
+        } else if (!product) {
+            errors.push(`Unknown product code: ${productCode}`);
+        }
+
+        // Initial offer
+        const initialLength = parseInt(row.length, 10);
+        if (!initialLength || initialLength <= 0) {
+            errors.push('Length must be a number greater than 0');
+        }
+
+        // Discount may carry its type, e.g. "199K" or "50P"
+        const discountMatch = (row.discount || '0').toUpperCase().match(/^(\d+)\s*([A-Z]?)$/);
+        if (!discountMatch) {
+            errors.push(`Invalid discount: ${row.discount}`);
+        }
+
+        // Price
+        const price = parseFloat(row.price);
+        if (isNaN(price) || price < 0) {
+            errors.push('Price must be a number');
+        }
+
+        // Code type (optional; the generator would drop an unknown one silently)
+        const codeType = (row.codeType || '').trim().toUpperCase();
+        if (codeType && !codeTypeService.isValid(codeType)) {
+            errors.push(`Unknown code type: ${codeType} (expected ${codeTypeService.getCodes().join(', ')})`);
+        }
+
+        if (errors.length > 0) {
+            throw new Error(errors.join(', '));
+        }
+
+        return {
+            brand: brand,
+            product: product,
+            initialLength: initialLength,
+            initialPeriod: (row.period || '').toUpperCase(),
+            discountAmount: parseInt(discountMatch[1], 10),
+            discountType: (discountMatch[2] || row.discountType || 'K').toUpperCase(),
+            // Accept "T"/"E" as well as "Termed"/"Evergreen"
+            renewalType: (row.renewalType || '').trim().charAt(0).toUpperCase(),
+            renewalTerm: (row.term || '').toUpperCase(),
+            price: price,
+            campaignText: row.campaignText || '',
+            codeType: codeType
+        };
+    }
+
+    /**
+     * Find a product by code, preferring products linked to the brand
+     */
+    findProduct(productCode, brand) {
+        if (!productCode) return null;
+
+        const matches = productService.allProducts.filter(product =>
+            (productService.getProductCode(product) || '').toUpperCase() === productCode
+        );
+
+        if (brand) {
+            const brandProduct = matches.find(product =>
+                product.brandIds && product.brandIds.includes(brand.id)
+            );
+            if (brandProduct) return brandProduct;
+        }
+
+        return matches[0] || null;
+    }
+
+    /**
+     * Export results as CSV (failures listed alongside successes)
+     */
+    toCsv(results = this.lastResults) {
+        const rows = results.map(result => ({
+            row: result.row,
+            status: result.status,
+            code: result.code,
+            error: result.error,
+            ...result.source
+        }));
+
+        const columns = ['row', 'status', 'code', 'error', ...Object.keys(this.columnAliases)];
+        return CsvUtils.stringify(rows, columns);
+    }
+
+    /**
+     * Export results as JSON
+     */
+    toJson(results = this.lastResults) {
+        return JSON.stringify(results, null, 2);
+    }
+}
+
+// Create singleton instance
+const promocodeBulkGenerator = new PromocodeBulkGenerator();
+
+// Export for use in other modules
+window.promocodeBulkGenerator = promocodeBulkGenerator;
+
+if (Config.FEATURES.DEBUG_MODE) {
+    console.log('📦 Promocode Bulk Generator initialized', promocodeBulkGenerator);
+}
@@ -0,0 +1,164 @@
+/* ============================================================================
+   CODEX NOVA NEBULA - Promocode Bulk Validator
+   Parses lists of existing codes and builds an audit report
+   ============================================================================ */
+
+class PromocodeBulkValidator {
+    constructor() {
+        this.lastResults = [];
+    }
+
+    /**
+     * Extract codes from pasted text or an uploaded file.
+     * Uses a "code"/"promocode" column when there is a header, else the first column.
+     */
+    extractCodes(text) {
+        const rows = CsvUtils.parse(text);
+        if (rows.length === 0) return [];
+
+        let columnIndex = rows[0].findIndex(cell => /^(promo\s*_?)?code$/i.test(cell.trim()));
+        let dataRows = rows;
+
+        if (columnIndex >= 0) {
+            dataRows = rows.slice(1);
+        } else {
+            columnIndex = 0;
+        }
+
+        return dataRows
+            .map(cells => (cells[columnIndex] || '').trim())
+            .filter(code => code !== '');
+    }
+
+    /**
+     * Validate every code in the text
+     */
+    async validateText(text) {
+        const codes = this.extractCodes(text);
+
+        if (codes.length === 0) {
+            throw new Error('No codes found');
+        }
+
+        return this.validateCodes(codes);
+    }
+
+    /**
+     * Parse a list of codes, never stopping on a single failure
+     */
+    async validateCodes(codes) {
+        const results = [];
+
+        for (let index = 0; index < codes.length; index++) {
+            const code = codes[index];
+            const result = {
+                index: index + 1,
+                code: code,
+                isValid: false,
+                error: '',
+                decoded: {},
+                rulesetVersion: null
+            };
+
+            try {
+                const parsed = await promocodeParser.parseCode(code);
+                result.isValid = parsed.isValid;
+                // Report every error, not just the first
+                const errors = (parsed.diagnostics || [])
+                    .filter(diagnostic => diagnostic.severity === 'error')
+                    .map(diagnostic => diagnostic.message);
+                result.error = errors.length > 0 ? errors.join('; ') : (parsed.error || '');
+                result.decoded = parsed.humanReadable;
+                result.rulesetVersion = parsed.rulesetVersion || null;
+            } catch (error) {
+                result.error = error.message;
+            }
+
+            results.push(result);
+        }
+
+        this.lastResults = results;
+
+        if (Config.FEATURES.DEBUG_MODE) {
+            const invalid = results.filter(result => !result.isValid).length;
+            console.log(`🔍 Bulk validated ${results.length} codes, ${invalid} invalid`);
+        }
+
+        return results;
+    }
+
+    /**
+     * Report columns: status, code, each segment (decoded), error
+     */
+    getColumns() {
+        const segmentColumns = promocodeSegments
+            .getDefinitions(promocodeParser.ruleset)
+            .map(definition => ({ key: definition.field, label: definition.label, segment: true }));
+
+        return [
+            { key: 'status', label: 'Status' },
+            { key: 'code', label: 'Code' },
+            ...segmentColumns,
+            { key: 'error', label: 'Error' },
+            { key: 'rulesetVersion', label: 'Ruleset' }
+        ];
+    }
+
+    /**
+     * Get the value shown for a column
+     */
+    getValue(result, column) {
+        switch (column.key) {
+            case 'status':
+                return result.isValid ? 'Valid' : 'Invalid';
+            case 'code':
+                return result.code;
+            case 'error':
+                return result.error;
+            case 'rulesetVersion':
+                return result.rulesetVersion || '';
+            default:
+                return result.decoded[column.key] || '';
+        }
+    }
+
+    /**
+     * Sort results by a column
+     */
+    sortResults(results, columnKey, direction = 'asc') {
+        const column = this.getColumns().find(c => c.key === columnKey) || { key: columnKey };
+        const factor = direction === 'desc' ? -1 : 1;
+
+        return [...results].sort((a, b) =>
+            factor * String(this.getValue(a, column)).localeCompare(
+                String(this.getValue(b, column)), undefined, { numeric: true }
+            )
+        );
+    }
+
+    /**
+     * Export results as CSV
+     */
+    toCsv(results = this.lastResults) {
+        const columns = this.getColumns();
+        const rows = results.map(result => {
+            const row = {};
+            columns.forEach(column => {
+                row[column.key] = this.getValue(result, column);
+            });
+            return row;
+        });
+
+        return CsvUtils.stringify(rows, columns);
+    }
+}
+
+// Create singleton instance
+const promocodeBulkValidator = new PromocodeBulkValidator();
+
+// Export for use in other modules
+window.promocodeBulkValidator = promocodeBulkValidator;
+
+if (Config.FEATURES.DEBUG_MODE) {
+    console.log('🔍 Promocode Bulk Validator initialized', promocodeBulkValidator);
+}
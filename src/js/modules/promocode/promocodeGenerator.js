@@ -6,16 +6,26 @@
 class PromocodeGenerator {
     constructor() {
         this.ruleset = null;
+        this.rulesets = [];
+        this.brandOverrides = [];
         this.lastGeneratedCode = null;
+        this.lastGeneratedRuleset = null;
+        this.lastUniquenessCheck = null;
+        this.lastHistoryWrite = null;
     }
 
     /**
      * Initialize generator with ruleset
      */
     async initialize() {
+        // Code types decide which code type segments can be generated
+        await codeTypeService.initialize();
+
         try {
-            // Fetch active ruleset from Airtable
-            this.ruleset = await airtableService.fetchPromocodeRuleset();
+            // Fetch ruleset versions and brand overrides from Airtable
+            this.rulesets = await dataSource.listRulesets();
+            this.brandOverrides = await dataSource.listBrandOverrides();
+            this.ruleset = await dataSource.resolveRuleset(this.rulesets, this.brandOverrides);
             
             if (Config.FEATURES.DEBUG_MODE) {
                 console.log('📋 Promocode ruleset loaded:', this.ruleset);
@@ -25,87 +35,137 @@ class PromocodeGenerator {
             
             // Use default ruleset if fetch fails
             this.ruleset = {
+                id: null,
+                name: 'Default',
+                version: null,
                 separator: Config.PROMOCODE.SEPARATOR,
                 casing: Config.PROMOCODE.CASING,
                 periodMap: Config.PROMOCODE.PERIODS,
                 termMap: Config.PROMOCODE.TERMS,
                 priceTypeMap: Config.PROMOCODE.DISCOUNT_TYPES,
-                freetextMaxLength: Config.PROMOCODE.MAX_LENGTHS.FREETEXT
+                freetextMaxLength: Config.PROMOCODE.MAX_LENGTHS.FREETEXT,
+                segments: Config.PROMOCODE.SEGMENTS
             };
+            this.rulesets = [this.ruleset];
+            this.brandOverrides = [];
+        }
+    }
+
+    /**
+     * Get the ruleset for a brand (its assigned ruleset plus overrides)
+     */
+    async getRulesetForBrand(brandId) {
+        // Ensure ruleset is loaded
+        if (!this.ruleset) {
+            await this.initialize();
+        }
+
+        if (!brandId) {
+            return this.ruleset;
         }
+
+        return dataSource.resolveRuleset(this.rulesets, this.brandOverrides, { brandId });
     }
 
     /**
-     * Generate promocode from form inputs
+     * Generate promocode from form inputs.
+     * Options: ruleset (instead of the brand's ruleset), dryRun (no history or
+     * uniqueness check), allowDuplicate (issue a code that already exists) and
+     * uniquenessCheck (a checkUniqueness-style result already looked up for this code).
+     * The code is parsed back before it is returned, so every code handed out
+     * decodes to the inputs it was generated from. Codes already in the shared
+     * Promocode_History table throw an error with code DUPLICATE_CODE.
      */
-    async generateCode(inputs) {
+    async generateCode(inputs, options = {}) {
         // Validate required inputs
         const validation = this.validateInputs(inputs);
         if (!validation.isValid) {
             throw new Error(validation.error);
         }
 
-        // Ensure ruleset is loaded
-        if (!this.ruleset) {
-            await this.initialize();
-        }
+        // Use the selected brand's ruleset
+        const ruleset = options.ruleset || await this.getRulesetForBrand(inputs.brand.id);
 
+        // Build segments in the order defined by the ruleset
         const segments = [];
+        const generated = {};
+        const definitions = promocodeSegments.getDefinitions(ruleset);
 
-        // 1. Brand segment
-        const brandSegment = this.generateBrandSegment(inputs.brand);
-        if (brandSegment) segments.push(brandSegment);
+        for (const definition of definitions) {
+            const segment = this.generateSegment(definition, inputs, ruleset);
 
-        // 2. Product segment
-        const productSegment = this.generateProductSegment(inputs.product);
-        if (productSegment) segments.push(productSegment);
-
-        // 3. Initial Offer segment
-        const initialOfferSegment = this.generateInitialOfferSegment(
-            inputs.initialLength,
-            inputs.initialPeriod,
-            inputs.discountAmount,
-            inputs.discountType
-        );
-        if (initialOfferSegment) segments.push(initialOfferSegment);
+            if (!segment) {
+                if (definition.required) {
+                    throw new Error(`${definition.label} segment is required`);
+                }
+                continue;
+            }
 
-        // 4. Renewal Type segment
-        const renewalTypeSegment = this.generateRenewalTypeSegment(inputs.renewalType);
-        if (renewalTypeSegment) segments.push(renewalTypeSegment);
+            if (!promocodeSegments.matches(definition, segment)) {
+                throw new Error(`Invalid ${definition.label.toLowerCase()} segment: ${segment}`);
+            }
 
-        // 5. Freetext segment (optional)
-        if (inputs.campaignText && inputs.campaignText.trim()) {
-            const freetextSegment = this.generateFreetextSegment(inputs.campaignText);
-            if (freetextSegment) segments.push(freetextSegment);
-        }
+            // Optional free text must not look like another segment
+            if (definition.name === 'FREETEXT') {
+                const conflict = promocodeSegments.findConflicts(definition, segment, definitions)[0];
+                if (conflict) {
+                    const error = new Error(
+                        `Campaign text "${segment}" is ambiguous: it reads as a ${conflict.label.toLowerCase()} segment. ` +
+                        'Please use different campaign text.'
+                    );
+                    error.code = 'AMBIGUOUS_CAMPAIGN_TEXT';
+                    throw error;
+                }
+            }
 
-        // 6. Code Type segment (optional)
-        if (inputs.codeType && inputs.codeType !== '') {
-            const codeTypeSegment = this.generateCodeTypeSegment(inputs.codeType);
-            if (codeTypeSegment) segments.push(codeTypeSegment);
+            segments.push(segment);
+            generated[definition.field] = segment;
         }
 
-        // 7. Renewal Plan segment
-        const renewalPlanSegment = this.generateRenewalPlanSegment(
-            inputs.renewalTerm,
-            inputs.price || inputs.overridePrice
-        );
-        if (renewalPlanSegment) segments.push(renewalPlanSegment);
-
         // Join segments with separator
-        let promocode = segments.join(this.ruleset.separator || '-');
+        let promocode = segments.join(ruleset.separator || '-');
 
         // Apply casing rules
-        promocode = this.applyCasing(promocode, this.ruleset.casing);
+        promocode = this.applyCasing(promocode, ruleset.casing);
+
+        // Make sure the parser reads back exactly what we generated
+        await this.verifyRoundTrip(promocode, inputs, generated, ruleset);
+
+        if (options.dryRun) {
+            return promocode;
+        }
+
+        // Another marketer may already have issued the same code
+        this.lastUniquenessCheck = options.uniquenessCheck || await this.checkUniqueness(promocode);
+        if (this.lastUniquenessCheck.existing.length > 0 && !options.allowDuplicate) {
+            const existing = this.lastUniquenessCheck.existing;
+            const error = new Error(
+                `Code ${promocode} already exists (created by ${this.describeHistoryRecord(existing[0])})`
+            );
+            error.code = 'DUPLICATE_CODE';
+            error.promocode = promocode;
+            error.existing = existing;
+            throw error;
+        }
 
         // Store for history
         this.lastGeneratedCode = promocode;
+        this.lastGeneratedRuleset = ruleset;
 
         // Save to history if enabled
         if (Config.FEATURES.ENABLE_HISTORY) {
-            this.saveToHistory(promocode, inputs);
+            this.saveToHistory(promocode, inputs, ruleset);
         }
 
+        // Register the code in the shared Promocode_History table (queued if offline)
+        this.lastHistoryWrite = await promocodeHistoryService.record({
+            code: promocode,
+            brandId: inputs.brand?.id || null,
+            productId: inputs.product?.id || null,
+            rulesetVersion: ruleset?.version || null,
+            inputs: this.getStructuredInputs(inputs, ruleset)
+        });
+
         if (Config.FEATURES.DEBUG_MODE) {
             console.log('✅ Generated promocode:', promocode);
             console.log('Segments:', segments);
@@ -114,6 +174,150 @@ class PromocodeGenerator {
         return promocode;
     }
 
+    /**
+     * Look the code up in the shared Promocode_History table.
+     * Lookup failures don't block generation but are reported (checked: false).
+     */
+    async checkUniqueness(code) {
+        // Codes issued offline are not in the table yet
+        const queued = promocodeHistoryService.findQueued(code);
+
+        try {
+            const existing = await dataSource.findHistory(code);
+            return { code, checked: true, existing: [...existing, ...queued], error: null };
+        } catch (error) {
+            console.warn('Could not check Promocode_History for duplicates:', error);
+            return { code, checked: false, existing: queued, error: error.message };
+        }
+    }
+
+    /**
+     * Describe who created a history record and when
+     */
+    describeHistoryRecord(record) {
+        const author = record.generatedBy || 'an unknown user';
+        const date = record.generatedDate ? new Date(record.generatedDate) : null;
+
+        return date && !isNaN(date)
+            ? `${author} on ${date.toLocaleDateString()}`
+            : author;
+    }
+
+    /**
+     * Generate a code that isn't in Promocode_History yet by appending a number
+     * to the campaign text (the only free segment), e.g. SUMMER => SUMMER2.
+     * Every suffixed code is looked up with one history query; campaign text
+     * that turns ambiguous with a suffix fails instead of trying the next one.
+     */
+    async generateUniqueCode(inputs, options = {}) {
+        const ruleset = options.ruleset || await this.getRulesetForBrand(inputs.brand?.id);
+        const separator = ruleset.separator || '-';
+        const maxLength = ruleset.freetextMaxLength || Config.PROMOCODE.MAX_LENGTHS.FREETEXT;
+        const baseText = this.generateFreetextSegment(inputs.campaignText || '', ruleset);
+
+        const getCandidate = async suffix => {
+            const suffixText = String(suffix);
+            const campaignText = baseText.substring(0, maxLength - suffixText.length) + suffixText;
+            const code = await this.generateCode({ ...inputs, campaignText }, { ...options, ruleset, dryRun: true });
+            return { campaignText, code };
+        };
+
+        // Every candidate starts with the segments before the campaign text and
+        // the base text as cut for two-digit suffixes
+        const first = await getCandidate(2);
+        const segments = first.code.split(separator);
+        const campaignIndex = segments.indexOf(this.applyCasing(first.campaignText, ruleset.casing));
+        if (campaignIndex === -1) {
+            throw new Error('The ruleset has no campaign text segment to add a suffix to');
+        }
+        const prefix = [
+            ...segments.slice(0, campaignIndex),
+            this.applyCasing(baseText.substring(0, maxLength - 2), ruleset.casing)
+        ].join(separator);
+
+        const existing = [
+            ...await dataSource.findHistoryByPrefix(prefix),
+            ...promocodeHistoryService.findQueuedByPrefix(prefix)
+        ];
+        const taken = new Set(existing.map(record => record.code.toUpperCase()));
+
+        for (let suffix = 2; suffix < 100; suffix++) {
+            const { campaignText, code } = suffix === 2 ? first : await getCandidate(suffix);
+
+            if (!taken.has(code.toUpperCase())) {
+                return this.generateCode({ ...inputs, campaignText }, {
+                    ...options,
+                    ruleset,
+                    uniquenessCheck: { code, checked: true, existing: [], error: null }
+                });
+            }
+        }
+
+        throw new Error('Could not find an unused code by adding a suffix to the campaign text');
+    }
+
+    /**
+     * Parse a generated code and throw if it doesn't reproduce the inputs
+     */
+    async verifyRoundTrip(code, inputs, generated, ruleset = this.ruleset) {
+        const result = await promocodeParser.parseCode(code, { ruleset });
+
+        if (!result.isValid) {
+            throw new Error(`Generated code ${code} cannot be parsed back: ${result.error}`);
+        }
+
+        const mismatches = this.getRoundTripMismatches(inputs, generated, result, ruleset);
+        if (mismatches.length > 0) {
+            throw new Error(`Generated code ${code} is read back differently: ${mismatches.join(', ')}`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Compare a parse result with the segments and inputs a code was generated from
+     */
+    getRoundTripMismatches(inputs, generated, result, ruleset = this.ruleset) {
+        const mismatches = [];
+        const describe = value => (value === undefined || value === '' ? '(none)' : value);
+        const definitions = promocodeSegments.getDefinitions(ruleset);
+
+        // Every segment lands in the definition that produced it
+        definitions.forEach(definition => {
+            const expected = generated[definition.field];
+            const actual = result.parsed[definition.field];
+
+            if ((expected || '') !== (actual || '')) {
+                mismatches.push(`${definition.label} ${describe(expected)} read as ${describe(actual)}`);
+            }
+        });
+
+        // Structured segments decode to the original values
+        const expectedValues = {};
+        if (definitions.some(definition => definition.name === 'INITIAL_OFFER')) {
+            Object.assign(expectedValues, {
+                initialLength: Math.round(inputs.initialLength),
+                initialPeriod: inputs.initialPeriod.toUpperCase(),
+                discountAmount: Math.round(inputs.discountAmount),
+                discountType: inputs.discountType.toUpperCase()
+            });
+        }
+        if (definitions.some(definition => definition.name === 'RENEWAL_PLAN')) {
+            Object.assign(expectedValues, {
+                renewalTerm: inputs.renewalTerm.toUpperCase(),
+                price: this.getPriceValue(inputs.price || inputs.overridePrice)
+            });
+        }
+
+        Object.entries(expectedValues).forEach(([key, expected]) => {
+            if (result.parsed[key] !== expected) {
+                mismatches.push(`${key} ${describe(expected)} read as ${describe(result.parsed[key])}`);
+            }
+        });
+
+        return mismatches;
+    }
+
     /**
      * Validate required inputs
      */
@@ -163,6 +367,49 @@ class PromocodeGenerator {
         };
     }
 
+    /**
+     * Generate a single segment from its definition
+     */
+    generateSegment(definition, inputs, ruleset = this.ruleset) {
+        switch (definition.name) {
+            case 'BRAND':
+                return this.generateBrandSegment(inputs.brand);
+            case 'PRODUCT':
+                return this.generateProductSegment(inputs.product);
+            case 'INITIAL_OFFER':
+                return this.generateInitialOfferSegment(
+                    inputs.initialLength,
+                    inputs.initialPeriod,
+                    inputs.discountAmount,
+                    inputs.discountType
+                );
+            case 'RENEWAL_TYPE':
+                return this.generateRenewalTypeSegment(inputs.renewalType);
+            case 'FREETEXT':
+                return inputs.campaignText && inputs.campaignText.trim()
+                    ? this.generateFreetextSegment(inputs.campaignText, ruleset)
+                    : '';
+            case 'CODE_TYPE':
+                return this.generateCodeTypeSegment(inputs.codeType);
+            case 'RENEWAL_PLAN':
+                return this.generateRenewalPlanSegment(
+                    inputs.renewalTerm,
+                    inputs.price || inputs.overridePrice
+                );
+            default:
+                // Segments added in Rule_Components read from inputs[field]
+                return this.generateCustomSegment(inputs[definition.field]);
+        }
+    }
+
+    /**
+     * Generate a segment with no dedicated builder
+     */
+    generateCustomSegment(value) {
+        if (value === undefined || value === null) return '';
+        return String(value).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    }
+
     /**
      * Generate brand segment
      */
@@ -223,7 +470,7 @@ class PromocodeGenerator {
     /**
      * Generate freetext segment
      */
-    generateFreetextSegment(text) {
+    generateFreetextSegment(text, ruleset = this.ruleset) {
         if (!text) return '';
 
         // Sanitize: uppercase, alphanumeric only, max length
@@ -232,7 +479,7 @@ class PromocodeGenerator {
             .replace(/[^A-Z0-9]/g, '');
 
         // Apply max length
-        const maxLength = this.ruleset.freetextMaxLength || Config.PROMOCODE.MAX_LENGTHS.FREETEXT;
+        const maxLength = ruleset.freetextMaxLength || Config.PROMOCODE.MAX_LENGTHS.FREETEXT;
         if (sanitized.length > maxLength) {
             sanitized = sanitized.substring(0, maxLength);
         }
@@ -246,12 +493,9 @@ class PromocodeGenerator {
     generateCodeTypeSegment(codeType) {
         if (!codeType) return '';
         
-        // Validate against allowed code types
-        const allowedTypes = Config.PROMOCODE.CODE_TYPES;
-        const upperCodeType = codeType.toUpperCase();
-        
-        if (allowedTypes.includes(upperCodeType)) {
-            return upperCodeType;
+        // Validate against active code types
+        if (codeTypeService.isValid(codeType)) {
+            return codeType.toUpperCase();
         }
         
         return '';
@@ -270,14 +514,20 @@ class PromocodeGenerator {
         segments.push(renewalTerm.toUpperCase());
         
         // Price (number)
-        const priceValue = price !== undefined && price !== null && price !== '' 
-            ? Math.round(parseFloat(price)) 
-            : 0;
-        segments.push(priceValue.toString());
+        segments.push(this.getPriceValue(price).toString());
         
         return segments.join('');
     }
 
+    /**
+     * Whole price used in the renewal plan segment
+     */
+    getPriceValue(price) {
+        return price !== undefined && price !== null && price !== '' 
+            ? Math.round(parseFloat(price)) 
+            : 0;
+    }
+
     /**
      * Apply casing rules to the final code
      */
@@ -299,10 +549,32 @@ class PromocodeGenerator {
         }
     }
 
+    /**
+     * Structured inputs recorded with a code in the shared history
+     */
+    getStructuredInputs(inputs, ruleset = this.ruleset) {
+        return {
+            brandCode: inputs.brand?.code || '',
+            productCode: inputs.product ? productService.getProductCode(inputs.product) : '',
+            initialLength: inputs.initialLength,
+            initialPeriod: inputs.initialPeriod,
+            discountAmount: inputs.discountAmount,
+            discountType: inputs.discountType,
+            renewalType: inputs.renewalType,
+            renewalTerm: inputs.renewalTerm,
+            price: inputs.price ?? null,
+            overridePrice: inputs.overridePrice ?? null,
+            campaignText: inputs.campaignText || '',
+            codeType: inputs.codeType || '',
+            rulesetId: ruleset?.id || null,
+            rulesetVersion: ruleset?.version || null
+        };
+    }
+
     /**
      * Save generated code to history
      */
-    saveToHistory(code, inputs) {
+    saveToHistory(code, inputs, ruleset = this.ruleset) {
         try {
             // Get existing history
             const historyJson = localStorage.getItem(Config.STORAGE.HISTORY);
@@ -313,6 +585,10 @@ class PromocodeGenerator {
                 id: Date.now().toString(),
                 code: code,
                 timestamp: new Date().toISOString(),
+                // Record the ruleset so the code can be decoded after rules change
+                rulesetId: ruleset?.id || null,
+                rulesetVersion: ruleset?.version || null,
+                brandId: inputs.brand?.id || null,
                 inputs: {
                     brand: inputs.brand?.name,
                     product: inputs.product?.name,
@@ -357,6 +633,22 @@ class PromocodeGenerator {
         }
     }
 
+    /**
+     * Find the history entry for a generated code
+     */
+    findInHistory(code) {
+        if (!code) return null;
+
+        try {
+            const historyJson = localStorage.getItem(Config.STORAGE.HISTORY);
+            const history = historyJson ? JSON.parse(historyJson) : [];
+            return history.find(entry => entry.code === code) || null;
+        } catch (error) {
+            console.error('Failed to search history:', error);
+            return null;
+        }
+    }
+
     /**
      * Clear history
      */
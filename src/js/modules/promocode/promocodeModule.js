@@ -9,8 +9,13 @@ class PromocodeModule {
         this.brandService = window.brandService;
         this.productService = window.productService;
         this.ratePlanService = window.ratePlanService;
+        this.codeTypeService = window.codeTypeService;
+        this.promocodeHistoryService = window.promocodeHistoryService;
         this.promocodeGenerator = window.promocodeGenerator;
         this.promocodeParser = window.promocodeParser;
+        this.promocodeSuggestions = window.promocodeSuggestions;
+        this.promocodeBulkGenerator = window.promocodeBulkGenerator;
+        this.promocodeBulkValidator = window.promocodeBulkValidator;
         
         // DOM element references
         this.elements = {};
@@ -18,6 +23,10 @@ class PromocodeModule {
         // State
         this.isGenerating = false;
         this.isValidating = false;
+        this.isBulkGenerating = false;
+        this.isBulkValidating = false;
+        this.bulkValidationResults = [];
+        this.bulkValidationSort = { key: 'status', direction: 'asc' };
         this.currentInputs = {};
         
         // Bind methods
@@ -27,6 +36,9 @@ class PromocodeModule {
         this.handleGenerate = this.handleGenerate.bind(this);
         this.handleValidate = this.handleValidate.bind(this);
         this.handleCopy = this.handleCopy.bind(this);
+        this.handleBrazeExport = this.handleBrazeExport.bind(this);
+        this.handleBulkGenerate = this.handleBulkGenerate.bind(this);
+        this.handleBulkValidate = this.handleBulkValidate.bind(this);
     }
 
     /**
@@ -67,11 +79,15 @@ class PromocodeModule {
     async initializeServices() {
         const initPromises = [
             this.brandService.initialize(),
+            this.codeTypeService.initialize(),
             this.promocodeGenerator.initialize(),
             this.promocodeParser.initialize()
         ];
         
         await Promise.all(initPromises);
+        
+        // Send history writes queued in earlier sessions (in the background)
+        this.promocodeHistoryService.flushQueue();
     }
 
     /**
@@ -81,6 +97,7 @@ class PromocodeModule {
         // Main containers
         this.elements.formContainer = document.getElementById('promocode-form-container');
         this.elements.resultContainer = document.getElementById('result-container');
+        this.elements.duplicateResolution = document.getElementById('duplicate-resolution');
         this.elements.validationResult = document.getElementById('validation-result');
         this.elements.alertsContainer = document.getElementById('promocode-alerts');
         
@@ -103,16 +120,34 @@ class PromocodeModule {
         // Form elements - Optional
         this.elements.campaignText = document.getElementById('campaign-text');
         this.elements.codeType = document.getElementById('code-type');
+        this.elements.codeTypeHelp = document.getElementById('code-type-help');
         this.elements.overridePrice = document.getElementById('override-price');
+        this.elements.generatedBy = document.getElementById('generated-by');
         
         // Buttons
         this.elements.generateBtn = document.getElementById('generate-promocode-btn');
         this.elements.copyBtn = document.getElementById('copy-promocode-btn');
+        this.elements.brazeExportBtn = document.getElementById('braze-export-btn');
         this.elements.validateBtn = document.getElementById('validate-btn');
         
         // Result elements
         this.elements.generatedCode = document.getElementById('generated-code');
+        this.elements.generatedRuleset = document.getElementById('generated-ruleset');
+        this.elements.brazeExportResult = document.getElementById('braze-export-result');
         this.elements.validateInput = document.getElementById('validate-input');
+        this.elements.validateDate = document.getElementById('validate-date');
+        
+        // Bulk generation elements
+        this.elements.bulkGenerateInput = document.getElementById('bulk-generate-input');
+        this.elements.bulkGenerateFile = document.getElementById('bulk-generate-file');
+        this.elements.bulkGenerateBtn = document.getElementById('bulk-generate-btn');
+        this.elements.bulkGenerateResult = document.getElementById('bulk-generate-result');
+        
+        // Bulk validation elements
+        this.elements.bulkValidateInput = document.getElementById('bulk-validate-input');
+        this.elements.bulkValidateFile = document.getElementById('bulk-validate-file');
+        this.elements.bulkValidateBtn = document.getElementById('bulk-validate-btn');
+        this.elements.bulkValidateResult = document.getElementById('bulk-validate-result');
     }
 
     /**
@@ -149,6 +184,10 @@ class PromocodeModule {
         if (this.elements.copyBtn) {
             this.elements.copyBtn.addEventListener('click', this.handleCopy);
         }
+
+        if (this.elements.brazeExportBtn) {
+            this.elements.brazeExportBtn.addEventListener('click', this.handleBrazeExport);
+        }
         
         // Validate button click
         if (this.elements.validateBtn) {
@@ -164,6 +203,47 @@ class PromocodeModule {
             });
         }
         
+        // Bulk generate button click
+        if (this.elements.bulkGenerateBtn) {
+            this.elements.bulkGenerateBtn.addEventListener('click', this.handleBulkGenerate);
+        }
+        
+        // Load uploaded offer matrix into the textarea
+        if (this.elements.bulkGenerateFile) {
+            this.elements.bulkGenerateFile.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+                this.elements.bulkGenerateInput.value = await CsvUtils.readFile(file);
+            });
+        }
+        
+        // Bulk validate button click
+        if (this.elements.bulkValidateBtn) {
+            this.elements.bulkValidateBtn.addEventListener('click', this.handleBulkValidate);
+        }
+        
+        // Load uploaded code list into the textarea
+        if (this.elements.bulkValidateFile) {
+            this.elements.bulkValidateFile.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+                this.elements.bulkValidateInput.value = await CsvUtils.readFile(file);
+            });
+        }
+        
+        // Name recorded with generated codes
+        if (this.elements.generatedBy) {
+            this.elements.generatedBy.value = this.promocodeHistoryService.getUserName();
+            this.elements.generatedBy.addEventListener('change', (e) => {
+                this.promocodeHistoryService.setUserName(e.target.value);
+            });
+        }
+        
+        // Code type description as help text
+        if (this.elements.codeType) {
+            this.elements.codeType.addEventListener('change', () => this.updateCodeTypeHelp());
+        }
+        
         // Campaign text sanitization
         if (this.elements.campaignText) {
             this.elements.campaignText.addEventListener('input', (e) => {
@@ -184,6 +264,10 @@ class PromocodeModule {
             // Load brands
             await this.loadBrands();
             
+            // Load code types
+            this.codeTypeService.populateCodeTypeDropdown(this.elements.codeType);
+            this.updateCodeTypeHelp();
+            
             // Check for last selected brand
             const lastBrandId = localStorage.getItem(Config.STORAGE.LAST_BRAND);
             if (lastBrandId && this.brandService.getBrandById(lastBrandId)) {
@@ -196,6 +280,16 @@ class PromocodeModule {
         }
     }
 
+    /**
+     * Show the selected code type's description
+     */
+    updateCodeTypeHelp() {
+        if (!this.elements.codeTypeHelp) return;
+        
+        const codeType = this.codeTypeService.getCodeType(this.elements.codeType?.value);
+        this.elements.codeTypeHelp.textContent = codeType?.description || '';
+    }
+
     /**
      * Load brands into dropdown
      */
@@ -228,6 +322,10 @@ class PromocodeModule {
             // Set current brand
             const brand = this.brandService.setCurrentBrand(brandId);
             
+            // Match form vocabularies to the brand's ruleset
+            const ruleset = await this.promocodeGenerator.getRulesetForBrand(brandId);
+            this.applyRulesetToForm(ruleset);
+            
             // Clear rate plans
             this.clearRatePlanDropdown();
             
@@ -251,6 +349,43 @@ class PromocodeModule {
         }
     }
 
+    /**
+     * Populate period, discount type and term options from a ruleset
+     */
+    applyRulesetToForm(ruleset) {
+        if (!ruleset) return;
+        
+        this.populateOptions(this.elements.initialPeriod, ruleset.periodMap);
+        this.populateOptions(this.elements.discountType, ruleset.priceTypeMap, true);
+        this.populateOptions(this.elements.renewalTerm, ruleset.termMap);
+        
+        if (this.elements.campaignText && ruleset.freetextMaxLength) {
+            this.elements.campaignText.maxLength = ruleset.freetextMaxLength;
+            this.elements.campaignText.placeholder = `Max ${ruleset.freetextMaxLength} chars (A-Z, 0-9)`;
+        }
+    }
+
+    /**
+     * Replace a select's options with a code => label map, keeping the selection if possible
+     */
+    populateOptions(selectElement, map, showCode = false) {
+        if (!selectElement || !map) return;
+        
+        const previousValue = selectElement.value;
+        selectElement.innerHTML = '';
+        
+        Object.entries(map).forEach(([code, label]) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = showCode ? `${label} (${code})` : label;
+            selectElement.appendChild(option);
+        });
+        
+        if (map[previousValue]) {
+            selectElement.value = previousValue;
+        }
+    }
+
     /**
      * Handle product selection change
      */
@@ -319,16 +454,19 @@ class PromocodeModule {
     async handleGenerate() {
         if (this.isGenerating) return;
         
+        let inputs = null;
+        
         try {
             this.isGenerating = true;
             this.clearAlerts();
+            this.hideDuplicateResolution();
             
             // Disable generate button
             this.elements.generateBtn.disabled = true;
             this.elements.generateBtn.textContent = 'Generating...';
             
             // Collect form inputs
-            const inputs = this.collectFormInputs();
+            inputs = this.collectFormInputs();
             
             // Generate promocode
             const promocode = await this.promocodeGenerator.generateCode(inputs);
@@ -340,11 +478,16 @@ class PromocodeModule {
             this.saveFormState();
             
             // Show success message
-            this.showSuccess('Promocode generated successfully!');
+            this.showGenerationSuccess();
             
         } catch (error) {
-            console.error('Generation failed:', error);
-            this.showError(error.message || 'Failed to generate promocode');
+            if (error.code === 'DUPLICATE_CODE') {
+                // Let the user decide how to resolve the clash
+                this.displayDuplicateResolution(error, inputs);
+            } else {
+                console.error('Generation failed:', error);
+                this.showError(error.message || 'Failed to generate promocode');
+            }
         } finally {
             this.isGenerating = false;
             this.elements.generateBtn.disabled = false;
@@ -352,6 +495,112 @@ class PromocodeModule {
         }
     }
 
+    /**
+     * Show success, or a warning if the shared history couldn't be checked
+     */
+    showGenerationSuccess() {
+        const check = this.promocodeGenerator.lastUniquenessCheck;
+        const historyWrite = this.promocodeGenerator.lastHistoryWrite;
+        
+        if (historyWrite && historyWrite.status === 'queued') {
+            this.showAlert('Promocode generated. It could not be saved to the shared history yet ' +
+                'and will be retried automatically.', 'warning');
+        } else if (historyWrite && historyWrite.status === 'failed') {
+            this.showAlert('Promocode generated, but the shared history rejected it ' +
+                `(${HtmlUtils.escape(historyWrite.error)}). Please add it to Promocode_History by hand.`, 'warning');
+        } else if (check && !check.checked) {
+            this.showAlert('Promocode generated, but it could not be checked against the shared history. ' +
+                'Please confirm it is not already in use.', 'warning');
+        } else {
+            this.showSuccess('Promocode generated successfully!');
+        }
+    }
+
+    /**
+     * Show who already issued a code and offer ways to resolve the clash
+     */
+    displayDuplicateResolution(error, inputs) {
+        const container = this.elements.duplicateResolution;
+        if (!container) {
+            this.showError(error.message);
+            return;
+        }
+        
+        const records = error.existing.map(record => `
+                    <li>${HtmlUtils.escape(this.promocodeGenerator.describeHistoryRecord(record))}</li>`).join('');
+        
+        container.innerHTML = `
+            <div class="alert alert-warning">
+                <strong>${HtmlUtils.escape(error.promocode)} has already been issued</strong>
+                <ul class="duplicate-records">${records}
+                </ul>
+                <div class="duplicate-actions">
+                    <button type="button" class="btn btn-primary" data-resolution="suffix">Add a suffix to the campaign text</button>
+                    <button type="button" class="btn btn-secondary" data-resolution="reuse">Reuse the existing code</button>
+                </div>
+            </div>`;
+        container.style.display = 'block';
+        
+        container.querySelectorAll('[data-resolution]').forEach(button => {
+            button.addEventListener('click', () => {
+                if (button.dataset.resolution === 'suffix') {
+                    this.resolveDuplicateWithSuffix(inputs);
+                } else {
+                    this.reuseExistingCode(error.promocode, error.existing[0]);
+                }
+            });
+        });
+    }
+
+    /**
+     * Show an already issued code with the ruleset it was generated under
+     */
+    async reuseExistingCode(promocode, record) {
+        this.hideDuplicateResolution();
+
+        let ruleset = null;
+        try {
+            // The shared history records the version and date; without them the
+            // parser falls back to the local history and the code's brand
+            const options = {};
+            if (record?.rulesetVersion) options.rulesetVersion = record.rulesetVersion;
+            if (record?.generatedDate) options.date = new Date(record.generatedDate);
+            if (record?.brandIds?.length) options.brandId = record.brandIds[0];
+
+            ruleset = await this.promocodeParser.resolveRuleset(promocode, options);
+        } catch (error) {
+            console.warn('Could not resolve the ruleset of the reused code:', error);
+        }
+
+        this.displayGeneratedCode(promocode, ruleset);
+        this.showAlert(`Reusing existing code ${HtmlUtils.escape(promocode)}`, 'info');
+    }
+
+    /**
+     * Generate an unused variant of the code and show it
+     */
+    async resolveDuplicateWithSuffix(inputs) {
+        try {
+            const promocode = await this.promocodeGenerator.generateUniqueCode(inputs);
+            this.hideDuplicateResolution();
+            this.displayGeneratedCode(promocode);
+            this.showGenerationSuccess();
+        } catch (error) {
+            console.error('Could not resolve duplicate:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Hide the duplicate resolution panel
+     */
+    hideDuplicateResolution() {
+        if (this.elements.duplicateResolution) {
+            this.elements.duplicateResolution.innerHTML = '';
+            this.elements.duplicateResolution.style.display = 'none';
+        }
+    }
+
     /**
      * Collect all form inputs
      */
@@ -405,14 +654,24 @@ class PromocodeModule {
     }
 
     /**
-     * Display generated promocode
+     * Display generated promocode with the ruleset it follows (default: the one it was just generated under)
      */
-    displayGeneratedCode(promocode) {
+    displayGeneratedCode(promocode, ruleset = this.promocodeGenerator.lastGeneratedRuleset) {
         // Show result container
         this.elements.resultContainer.style.display = 'block';
         
         // Set the generated code
         this.elements.generatedCode.textContent = promocode;
+
+        // A Braze export belongs to the previous code
+        if (this.elements.brazeExportResult) {
+            this.elements.brazeExportResult.innerHTML = '';
+        }
+        
+        // Show which ruleset version produced it
+        if (this.elements.generatedRuleset) {
+            this.elements.generatedRuleset.textContent = this.formatRulesetLabel(ruleset);
+        }
         
         // Scroll to result
         this.elements.resultContainer.scrollIntoView({ 
@@ -454,6 +713,29 @@ class PromocodeModule {
         }
     }
 
+    /**
+     * Handle Braze export button click: download the promotion code list
+     * and show its name and Liquid
+     */
+    async handleBrazeExport() {
+        const code = this.elements.generatedCode.textContent;
+
+        if (!code) return;
+
+        try {
+            this.clearAlerts();
+
+            const exportData = await brazePromotionExport.buildExport(code);
+
+            brazePromotionExport.download(exportData);
+            brazePromotionExport.showExport(exportData, this.elements.brazeExportResult);
+
+        } catch (error) {
+            console.error('Braze export failed:', error);
+            this.showError(error.message || 'Failed to export to Braze');
+        }
+    }
+
     /**
      * Handle validate button click
      */
@@ -472,11 +754,18 @@ class PromocodeModule {
             this.elements.validateBtn.disabled = true;
             this.elements.validateBtn.textContent = 'Validating...';
             
-            // Parse the code
-            const result = await this.promocodeParser.parseCode(code);
+            // Parse the code (against the ruleset in force on the given date, if any)
+            const options = {};
+            if (this.elements.validateDate?.value) {
+                options.date = this.elements.validateDate.value;
+            }
+            const result = await this.promocodeParser.parseCode(code, options);
+            
+            // Look for likely corrections (typos, missing separators...)
+            const suggestions = await this.promocodeSuggestions.suggest(result);
             
             // Display result
-            this.displayValidationResult(result);
+            this.displayValidationResult(result, suggestions);
             
             // Save to history if enabled
             if (result.isValid && Config.FEATURES.ENABLE_HISTORY) {
@@ -496,7 +785,7 @@ class PromocodeModule {
     /**
      * Display validation result
      */
-    displayValidationResult(result) {
+    displayValidationResult(result, suggestions = []) {
         const displayData = this.promocodeParser.formatForDisplay(result);
         
         let html = '';
@@ -510,25 +799,58 @@ class PromocodeModule {
             displayData.breakdown.forEach(item => {
                 html += `
                         <div class="parsed-item">
-                            <span class="parsed-label">${item.label}</span>
-                            <span class="parsed-value">${item.value}</span>
+                            <span class="parsed-label">${HtmlUtils.escape(item.label)}</span>
+                            <span class="parsed-value">${HtmlUtils.escape(item.value)}</span>
                         </div>`;
             });
             
             html += `
-                    </div>
+                    </div>`;
+            
+            // Warnings don't invalidate the code but are worth a look
+            if (displayData.diagnostics.length > 0) {
+                html += this.renderCodeHighlight(displayData.highlight);
+                html += this.renderDiagnostics(displayData.diagnostics);
+            }
+            
+            const rulesetLabel = this.formatRulesetLabel(displayData.ruleset);
+            if (rulesetLabel) {
+                html += `
+                    <span class="form-helper-text">${HtmlUtils.escape(rulesetLabel)}</span>`;
+            }
+            
+            html += `
                 </div>`;
         } else {
             html = `
                 <div class="validation-error">
-                    <h4>✗ Invalid Promocode</h4>
-                    <p>${displayData.message}</p>
+                    <h4>✗ Invalid Promocode</h4>`;
+            
+            if (displayData.diagnostics.length > 0) {
+                html += this.renderCodeHighlight(displayData.highlight);
+                html += this.renderDiagnostics(displayData.diagnostics);
+            } else {
+                html += `
+                    <p>${HtmlUtils.escape(displayData.message)}</p>`;
+            }
+            
+            html += `
                 </div>`;
         }
         
+        html += this.renderSuggestions(suggestions);
+        
         this.elements.validationResult.innerHTML = html;
         this.elements.validationResult.style.display = 'block';
         
+        // Clicking a suggestion re-validates the corrected code
+        this.elements.validationResult.querySelectorAll('[data-suggestion]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.elements.validateInput.value = button.dataset.suggestion;
+                this.handleValidate();
+            });
+        });
+        
         // Scroll to result
         this.elements.validationResult.scrollIntoView({ 
             behavior: 'smooth', 
@@ -536,6 +858,75 @@ class PromocodeModule {
         });
     }
 
+    /**
+     * Render the code with each segment marked by diagnostic severity
+     */
+    renderCodeHighlight(parts) {
+        const html = parts.map(part => {
+            const text = HtmlUtils.escape(part.text);
+            
+            if (part.type === 'separator') {
+                return `<span class="code-separator">${text}</span>`;
+            }
+            
+            const classes = ['code-segment'];
+            if (part.type === 'missing') classes.push('missing');
+            if (part.severity) classes.push(part.severity);
+            
+            const title = part.title ? ` title="${HtmlUtils.escape(part.title)}"` : '';
+            return `<span class="${classes.join(' ')}"${title}>${text}</span>`;
+        }).join('');
+        
+        return `
+                    <div class="code-highlight">${html}</div>`;
+    }
+
+    /**
+     * Render the list of diagnostics with segment position and expectation
+     */
+    renderDiagnostics(diagnostics) {
+        const items = diagnostics.map(diagnostic => {
+            const location = diagnostic.segmentIndex !== null
+                ? `Segment ${diagnostic.segmentIndex + 1}, chars ${diagnostic.start + 1}-${diagnostic.end}`
+                : `Position ${diagnostic.start + 1}`;
+            const label = diagnostic.segment ? ` (${HtmlUtils.escape(diagnostic.segment)})` : '';
+            const expected = diagnostic.expected
+                ? `<span class="diagnostic-expected">Expected ${HtmlUtils.escape(diagnostic.expected)}</span>`
+                : '';
+            
+            return `
+                        <li class="diagnostic-item ${diagnostic.severity}">
+                            <span class="diagnostic-location">${location}${label}</span>
+                            <span class="diagnostic-message">${HtmlUtils.escape(diagnostic.message)}</span>
+                            ${expected}
+                        </li>`;
+        }).join('');
+        
+        return `
+                    <ul class="diagnostic-list">${items}
+                    </ul>`;
+    }
+
+    /**
+     * Render "did you mean" suggestions as clickable codes
+     */
+    renderSuggestions(suggestions) {
+        if (!suggestions || suggestions.length === 0) return '';
+        
+        const items = suggestions.map(suggestion => `
+                        <button type="button" class="suggestion-btn" data-suggestion="${HtmlUtils.escape(suggestion.code)}">
+                            <span class="suggestion-code">${HtmlUtils.escape(suggestion.code)}</span>
+                            <span class="suggestion-reason">${HtmlUtils.escape(suggestion.reason)}</span>
+                        </button>`).join('');
+        
+        return `
+                <div class="suggestions">
+                    <h4>Did you mean</h4>
+                    <div class="suggestion-list">${items}
+                    </div>
+                </div>`;
+    }
+
     /**
      * Display validation error
      */
@@ -550,6 +941,204 @@ class PromocodeModule {
         this.elements.validationResult.style.display = 'block';
     }
 
+    /**
+     * Handle bulk generate button click
+     */
+    async handleBulkGenerate() {
+        if (this.isBulkGenerating) return;
+        
+        const text = this.elements.bulkGenerateInput.value.trim();
+        
+        if (!text) {
+            this.showError('Please paste or upload an offer matrix');
+            return;
+        }
+        
+        try {
+            this.isBulkGenerating = true;
+            this.elements.bulkGenerateBtn.disabled = true;
+            this.elements.bulkGenerateBtn.textContent = 'Generating...';
+            
+            const results = await this.promocodeBulkGenerator.generateFromText(text);
+            this.displayBulkGenerateResults(results);
+            
+        } catch (error) {
+            console.error('Bulk generation failed:', error);
+            this.showError(error.message || 'Bulk generation failed');
+        } finally {
+            this.isBulkGenerating = false;
+            this.elements.bulkGenerateBtn.disabled = false;
+            this.elements.bulkGenerateBtn.textContent = 'Generate All';
+        }
+    }
+
+    /**
+     * Display bulk generation results with download actions
+     */
+    displayBulkGenerateResults(results) {
+        const failed = results.filter(result => result.status === 'error').length;
+        const succeeded = results.length - failed;
+        
+        let html = `
+            <div class="bulk-summary">
+                <span><strong>${succeeded}</strong> generated, <strong>${failed}</strong> failed</span>
+                <div class="bulk-actions">
+                    <button class="btn btn-secondary" data-bulk-export="csv">⬇ CSV</button>
+                    <button class="btn btn-secondary" data-bulk-export="json">⬇ JSON</button>
+                </div>
+            </div>
+            <div class="bulk-table-wrapper">
+                <table class="bulk-table">
+                    <thead>
+                        <tr>
+                            <th>Row</th>
+                            <th>Brand</th>
+                            <th>Product</th>
+                            <th>Result</th>
+                        </tr>
+                    </thead>
+                    <tbody>`;
+        
+        results.forEach(result => {
+            const outcome = result.status === 'success'
+                ? `<span class="font-mono">${HtmlUtils.escape(result.code)}</span>`
+                : HtmlUtils.escape(result.error);
+            
+            html += `
+                        <tr class="bulk-row-${result.status}">
+                            <td>${result.row}</td>
+                            <td>${HtmlUtils.escape(result.source.brand || '')}</td>
+                            <td>${HtmlUtils.escape(result.source.product || '')}</td>
+                            <td>${outcome}</td>
+                        </tr>`;
+        });
+        
+        html += `
+                    </tbody>
+                </table>
+            </div>`;
+        
+        this.elements.bulkGenerateResult.innerHTML = html;
+        this.elements.bulkGenerateResult.style.display = 'block';
+        
+        // Export handlers
+        this.elements.bulkGenerateResult.querySelectorAll('[data-bulk-export]').forEach(button => {
+            button.addEventListener('click', () => {
+                const stamp = new Date().toISOString().slice(0, 10);
+                if (button.dataset.bulkExport === 'json') {
+                    CsvUtils.download(`promocodes-${stamp}.json`, this.promocodeBulkGenerator.toJson(results), 'application/json');
+                } else {
+                    CsvUtils.download(`promocodes-${stamp}.csv`, this.promocodeBulkGenerator.toCsv(results));
+                }
+            });
+        });
+    }
+
+    /**
+     * Handle bulk validate button click
+     */
+    async handleBulkValidate() {
+        if (this.isBulkValidating) return;
+        
+        const text = this.elements.bulkValidateInput.value.trim();
+        
+        if (!text) {
+            this.showError('Please paste or upload a list of codes');
+            return;
+        }
+        
+        try {
+            this.isBulkValidating = true;
+            this.elements.bulkValidateBtn.disabled = true;
+            this.elements.bulkValidateBtn.textContent = 'Validating...';
+            
+            this.bulkValidationResults = await this.promocodeBulkValidator.validateText(text);
+            this.displayBulkValidationResults();
+            
+        } catch (error) {
+            console.error('Bulk validation failed:', error);
+            this.showError(error.message || 'Bulk validation failed');
+        } finally {
+            this.isBulkValidating = false;
+            this.elements.bulkValidateBtn.disabled = false;
+            this.elements.bulkValidateBtn.textContent = 'Validate All';
+        }
+    }
+
+    /**
+     * Display the bulk validation report as a sortable table
+     */
+    displayBulkValidationResults() {
+        const validator = this.promocodeBulkValidator;
+        const { key, direction } = this.bulkValidationSort;
+        const results = validator.sortResults(this.bulkValidationResults, key, direction);
+        const columns = validator.getColumns();
+        const invalid = results.filter(result => !result.isValid).length;
+        
+        let html = `
+            <div class="bulk-summary">
+                <span><strong>${results.length - invalid}</strong> valid, <strong>${invalid}</strong> invalid</span>
+                <div class="bulk-actions">
+                    <button class="btn btn-secondary" data-bulk-validate-export="csv">⬇ CSV</button>
+                </div>
+            </div>
+            <div class="bulk-table-wrapper">
+                <table class="bulk-table">
+                    <thead>
+                        <tr>`;
+        
+        columns.forEach(column => {
+            const indicator = column.key === key ? (direction === 'asc' ? ' ▲' : ' ▼') : '';
+            html += `
+                            <th class="sortable" data-sort="${column.key}">${column.label}${indicator}</th>`;
+        });
+        
+        html += `
+                        </tr>
+                    </thead>
+                    <tbody>`;
+        
+        results.forEach(result => {
+            html += `
+                        <tr class="bulk-row-${result.isValid ? 'success' : 'error'}">`;
+            columns.forEach(column => {
+                const cellClass = column.key === 'code' ? ' class="font-mono"' : '';
+                html += `
+                            <td${cellClass}>${HtmlUtils.escape(validator.getValue(result, column))}</td>`;
+            });
+            html += `
+                        </tr>`;
+        });
+        
+        html += `
+                    </tbody>
+                </table>
+            </div>`;
+        
+        this.elements.bulkValidateResult.innerHTML = html;
+        this.elements.bulkValidateResult.style.display = 'block';
+        
+        // Sort on header click
+        this.elements.bulkValidateResult.querySelectorAll('th[data-sort]').forEach(header => {
+            header.addEventListener('click', () => {
+                const sortKey = header.dataset.sort;
+                const sortDirection = this.bulkValidationSort.key === sortKey &&
+                    this.bulkValidationSort.direction === 'asc' ? 'desc' : 'asc';
+                this.bulkValidationSort = { key: sortKey, direction: sortDirection };
+                this.displayBulkValidationResults();
+            });
+        });
+        
+        // Export handler (in the current sort order)
+        const exportBtn = this.elements.bulkValidateResult.querySelector('[data-bulk-validate-export]');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => {
+                const stamp = new Date().toISOString().slice(0, 10);
+                CsvUtils.download(`promocode-audit-${stamp}.csv`, validator.toCsv(results));
+            });
+        }
+    }
+
     /**
      * Save form state to localStorage
      */
@@ -594,6 +1183,19 @@ class PromocodeModule {
     // Helper Methods
     // =========================================================================
 
+    /**
+     * Format ruleset name and version for display
+     */
+    formatRulesetLabel(ruleset) {
+        if (!ruleset || !ruleset.version) return '';
+        
+        let label = `Ruleset: ${ruleset.name} v${ruleset.version}`;
+        if (ruleset.overriddenFields?.length) {
+            label += ` (brand overrides: ${ruleset.overriddenFields.join(', ')})`;
+        }
+        return label;
+    }
+
     /**
      * Clear product dropdown
      */
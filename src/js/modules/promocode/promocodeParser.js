@@ -6,6 +6,8 @@
 class PromocodeParser {
     constructor() {
         this.ruleset = null;
+        this.rulesets = [];
+        this.brandOverrides = [];
         this.lastParsedCode = null;
         this.lastParsedResult = null;
     }
@@ -14,32 +16,101 @@ class PromocodeParser {
      * Initialize parser with ruleset
      */
     async initialize() {
+        // Code types are needed to recognise the code type segment
+        await codeTypeService.initialize();
+
         try {
-            // Fetch active ruleset from Airtable
-            this.ruleset = await airtableService.fetchPromocodeRuleset();
+            // Fetch all ruleset versions so older codes can be decoded
+            this.rulesets = await dataSource.listRulesets();
+            this.brandOverrides = await dataSource.listBrandOverrides();
+            this.ruleset = await dataSource.resolveRuleset(this.rulesets, this.brandOverrides);
             
             if (Config.FEATURES.DEBUG_MODE) {
                 console.log('📋 Parser ruleset loaded:', this.ruleset);
+                console.log(`📋 ${this.rulesets.length} ruleset version(s) available`);
             }
         } catch (error) {
             console.error('Failed to load ruleset, using defaults:', error);
             
             // Use default ruleset if fetch fails
             this.ruleset = {
+                id: null,
+                name: 'Default',
+                version: null,
                 separator: Config.PROMOCODE.SEPARATOR,
                 periodMap: Config.PROMOCODE.PERIODS,
                 termMap: Config.PROMOCODE.TERMS,
                 priceTypeMap: Config.PROMOCODE.DISCOUNT_TYPES,
                 initialOfferRegex: Config.PROMOCODE.PATTERNS.INITIAL_OFFER.source,
-                renewalPlanRegex: Config.PROMOCODE.PATTERNS.RENEWAL_PLAN.source
+                renewalPlanRegex: Config.PROMOCODE.PATTERNS.RENEWAL_PLAN.source,
+                segments: Config.PROMOCODE.SEGMENTS
             };
+            this.rulesets = [this.ruleset];
+            this.brandOverrides = [];
+        }
+    }
+
+    /**
+     * Resolve the ruleset a code was generated under.
+     * Options: ruleset (used as-is), rulesetVersion, date (when the code was
+     * generated) and brandId. Without options, codes from the generation
+     * history use their recorded version, and the brand is detected from the code itself.
+     */
+    async resolveRuleset(code, options = {}) {
+        if (options.ruleset) {
+            return options.ruleset;
+        }
+
+        let { rulesetVersion: version = null, date = new Date(), brandId = null } = options;
+
+        if (!options.rulesetVersion && !options.date) {
+            const entry = promocodeGenerator.findInHistory(code);
+            if (entry) {
+                version = entry.rulesetVersion;
+                date = entry.timestamp;
+                brandId = brandId || entry.brandId;
+            }
+        }
+
+        if (!brandId) {
+            brandId = (await this.detectBrand(code))?.id || null;
+        }
+
+        return dataSource.resolveRuleset(this.rulesets, this.brandOverrides, {
+            brandId,
+            date,
+            version
+        });
+    }
+
+    /**
+     * Detect the brand from the start of a code, before the separator is known.
+     * The longest brand code followed by a non-alphanumeric character wins.
+     */
+    async detectBrand(code) {
+        try {
+            await brandService.initialize();
+        } catch (error) {
+            console.error('Failed to load brands for detection:', error);
+            return null;
         }
+
+        const upperCode = code.toUpperCase();
+
+        return brandService.brands
+            .filter(brand => {
+                if (!brand.code) return false;
+                const brandCode = brand.code.toUpperCase();
+                return upperCode.startsWith(brandCode) &&
+                    /[^A-Z0-9]/.test(upperCode.charAt(brandCode.length));
+            })
+            .sort((a, b) => b.code.length - a.code.length)[0] || null;
     }
 
     /**
      * Parse and validate a promocode
      */
-    async parseCode(code) {
+    async parseCode(code, options = {}) {
         if (!code || typeof code !== 'string') {
             throw new Error('Invalid promocode: empty or not a string');
         }
@@ -52,82 +123,46 @@ class PromocodeParser {
         // Store original code
         this.lastParsedCode = code;
 
+        // Pick the ruleset that was in force when the code was generated
+        const ruleset = await this.resolveRuleset(code, options);
+
         // Split by separator
-        const segments = code.split(this.ruleset.separator || '-');
-        
-        if (segments.length < 5) {
-            throw new Error('Invalid promocode format: insufficient segments');
-        }
+        const separator = ruleset.separator || '-';
+        const segments = code.split(separator);
+        const definitions = promocodeSegments.getDefinitions(ruleset);
+
+        // Casing is presentation only: match and decode segments in uppercase
+        const tokens = segments.map(segment => segment.toUpperCase());
 
         const result = {
             isValid: false,
             originalCode: code,
             segments: segments,
+            positions: promocodeSegments.getSegmentPositions(segments, separator),
+            ruleset: ruleset,
+            rulesetVersion: ruleset.version,
             parsed: {},
-            humanReadable: {}
+            humanReadable: {},
+            diagnostics: []
         };
 
         try {
-            // Parse segments in order
-            let segmentIndex = 0;
-
-            // 1. Brand segment (required)
-            result.parsed.brand = segments[segmentIndex];
-            result.humanReadable.brand = await this.decodeBrand(segments[segmentIndex]);
-            segmentIndex++;
-
-            // 2. Product segment (required)
-            result.parsed.product = segments[segmentIndex];
-            result.humanReadable.product = await this.decodeProduct(segments[segmentIndex]);
-            segmentIndex++;
-
-            // 3. Initial Offer segment (required)
-            const initialOfferParsed = this.parseInitialOffer(segments[segmentIndex]);
-            result.parsed.initialOffer = segments[segmentIndex];
-            result.parsed.initialLength = initialOfferParsed.length;
-            result.parsed.initialPeriod = initialOfferParsed.period;
-            result.parsed.discountAmount = initialOfferParsed.discount;
-            result.parsed.discountType = initialOfferParsed.type;
-            result.humanReadable.initialOffer = this.formatInitialOffer(initialOfferParsed);
-            segmentIndex++;
-
-            // 4. Renewal Type segment (required)
-            result.parsed.renewalType = segments[segmentIndex];
-            result.humanReadable.renewalType = this.decodeRenewalType(segments[segmentIndex]);
-            segmentIndex++;
-
-            // Now we need to identify optional segments and the final renewal plan
-            // The last segment should always be the renewal plan
-            const lastSegment = segments[segments.length - 1];
-            const renewalPlanParsed = this.parseRenewalPlan(lastSegment);
+            // Assign each segment to its definition (optional segments may be absent)
+            const assignments = promocodeSegments.match(tokens, definitions);
             
-            if (renewalPlanParsed) {
-                result.parsed.renewalPlan = lastSegment;
-                result.parsed.renewalTerm = renewalPlanParsed.term;
-                result.parsed.price = renewalPlanParsed.price;
-                result.humanReadable.renewalPlan = this.formatRenewalPlan(renewalPlanParsed);
-            } else {
-                throw new Error('Invalid renewal plan segment');
+            if (!assignments) {
+                // Report every problem, not just the first
+                promocodeSegments.diagnose(tokens, definitions, ruleset)
+                    .forEach(diagnostic => this.addDiagnostic(result, diagnostic));
+                throw new Error(result.diagnostics[0]?.message || Config.UI.ERROR_MESSAGES.INVALID_CODE);
             }
 
-            // Process optional middle segments (between renewal type and renewal plan)
-            const middleSegments = segments.slice(segmentIndex, segments.length - 1);
-            
-            for (const segment of middleSegments) {
-                // Check if it's a code type
-                if (this.isCodeType(segment)) {
-                    result.parsed.codeType = segment;
-                    result.humanReadable.codeType = this.decodeCodeType(segment);
-                } else {
-                    // Treat as freetext/campaign text
-                    if (!result.parsed.campaignText) {
-                        result.parsed.campaignText = segment;
-                        result.humanReadable.campaignText = segment;
-                    }
-                }
+            // Decode segments in order
+            for (const assignment of assignments) {
+                await this.decodeSegment(assignment.definition, assignment.value, result, ruleset, assignment.index);
             }
 
-            // Mark as valid if we got this far
+            // Mark as valid if we got this far (warnings don't invalidate)
             result.isValid = true;
             
             // Generate summary
@@ -137,6 +172,10 @@ class PromocodeParser {
             result.isValid = false;
             result.error = error.message;
             
+            if (result.diagnostics.every(diagnostic => diagnostic.severity !== 'error')) {
+                this.addDiagnostic(result, { message: error.message, severity: 'error' });
+            }
+            
             if (Config.FEATURES.DEBUG_MODE) {
                 console.error('Parse error:', error);
             }
@@ -148,11 +187,156 @@ class PromocodeParser {
         return result;
     }
 
+    /**
+     * Add a diagnostic with its character range in the code
+     */
+    addDiagnostic(result, diagnostic) {
+        const index = diagnostic.index ?? null;
+        const position = index !== null ? result.positions[index] : null;
+        
+        // Missing segments point at the slot where they were expected
+        let start = position ? position.start : result.originalCode.length;
+        if (!position && diagnostic.insertAt !== undefined && result.positions[diagnostic.insertAt]) {
+            start = result.positions[diagnostic.insertAt].start;
+        }
+        
+        result.diagnostics.push({
+            segmentIndex: index,
+            insertAt: index === null ? (diagnostic.insertAt ?? result.segments.length) : null,
+            start: start,
+            end: position ? position.end : start,
+            segment: diagnostic.definition?.label || null,
+            expected: diagnostic.expected || '',
+            actual: diagnostic.actual ?? (position ? result.segments[index] : ''),
+            message: diagnostic.message,
+            severity: diagnostic.severity || 'error'
+        });
+    }
+
+    /**
+     * Decode a single segment into result.parsed and result.humanReadable
+     */
+    async decodeSegment(definition, value, result, ruleset = this.ruleset, index = null) {
+        const field = definition.field;
+        result.parsed[field] = value;
+
+        switch (definition.name) {
+            case 'BRAND':
+                result.humanReadable[field] = await this.decodeBrand(value);
+                if (brandService.brands.length > 0 && !brandService.getBrandByCode(value)) {
+                    this.addDiagnostic(result, {
+                        definition,
+                        index,
+                        expected: 'a brand code from the Brands table',
+                        message: `Unknown brand code: ${value}`,
+                        severity: 'warning'
+                    });
+                }
+                break;
+            case 'PRODUCT':
+                result.humanReadable[field] = await this.decodeProduct(value);
+                if (productService.allProducts.length > 0 && !productService.getProductByCode(value)) {
+                    this.addDiagnostic(result, {
+                        definition,
+                        index,
+                        expected: 'a product code from the Products table',
+                        message: `Unknown product code: ${value}`,
+                        severity: 'warning'
+                    });
+                }
+                break;
+            case 'INITIAL_OFFER': {
+                const initialOfferParsed = this.parseInitialOffer(value, ruleset);
+                result.parsed.initialLength = initialOfferParsed.length;
+                result.parsed.initialPeriod = initialOfferParsed.period;
+                result.parsed.discountAmount = initialOfferParsed.discount;
+                result.parsed.discountType = initialOfferParsed.type;
+                result.humanReadable[field] = this.formatInitialOffer(initialOfferParsed, ruleset);
+                break;
+            }
+            case 'RENEWAL_TYPE':
+                result.humanReadable[field] = this.decodeRenewalType(value);
+                break;
+            case 'CODE_TYPE':
+                result.humanReadable[field] = this.decodeCodeType(value);
+                break;
+            case 'RENEWAL_PLAN': {
+                const renewalPlanParsed = this.parseRenewalPlan(value, ruleset);
+                if (!renewalPlanParsed) {
+                    throw new Error('Invalid renewal plan segment');
+                }
+                result.parsed.renewalTerm = renewalPlanParsed.term;
+                result.parsed.price = renewalPlanParsed.price;
+                result.humanReadable[field] = this.formatRenewalPlan(renewalPlanParsed, ruleset);
+                break;
+            }
+            case 'FREETEXT':
+                result.humanReadable[field] = value;
+                if (ruleset.freetextMaxLength && value.length > ruleset.freetextMaxLength) {
+                    this.addDiagnostic(result, {
+                        definition,
+                        index,
+                        expected: `at most ${ruleset.freetextMaxLength} characters`,
+                        message: `Campaign text is longer than ${ruleset.freetextMaxLength} characters`,
+                        severity: 'warning'
+                    });
+                }
+                break;
+            default:
+                // Custom segments are shown as-is
+                result.humanReadable[field] = value;
+        }
+    }
+
+    /**
+     * Split the code into display parts with diagnostic severity per segment.
+     * Missing segments are shown as a "?" placeholder in their expected slot.
+     */
+    getHighlightParts(result) {
+        const parts = [];
+        const separator = result.ruleset?.separator || '-';
+        const diagnostics = result.diagnostics || [];
+        
+        const addMissing = (slot) => {
+            diagnostics
+                .filter(diagnostic => diagnostic.segmentIndex === null && diagnostic.insertAt === slot)
+                .forEach(diagnostic => {
+                    if (slot === result.segments.length && parts.length > 0) {
+                        parts.push({ type: 'separator', text: separator });
+                    }
+                    parts.push({ type: 'missing', text: '?', severity: 'error', title: diagnostic.message });
+                    if (slot < result.segments.length) {
+                        parts.push({ type: 'separator', text: separator });
+                    }
+                });
+        };
+        
+        result.segments.forEach((text, index) => {
+            if (index > 0) {
+                parts.push({ type: 'separator', text: separator });
+            }
+            addMissing(index);
+            
+            const own = diagnostics.filter(diagnostic => diagnostic.segmentIndex === index);
+            const hasError = own.some(diagnostic => diagnostic.severity === 'error');
+            parts.push({
+                type: 'segment',
+                text: text,
+                severity: hasError ? 'error' : (own.length > 0 ? 'warning' : null),
+                title: own.map(diagnostic => diagnostic.message).join('; ')
+            });
+        });
+        
+        addMissing(result.segments.length);
+        
+        return parts;
+    }
+
     /**
      * Parse initial offer segment
      */
-    parseInitialOffer(segment) {
-        const regex = new RegExp(this.ruleset.initialOfferRegex || '^(\\d+)([MUQY])(\\d+)([KP])$');
+    parseInitialOffer(segment, ruleset = this.ruleset) {
+        const regex = new RegExp(promocodeSegments.resolveRegex({ name: 'INITIAL_OFFER' }, ruleset));
         const match = segment.match(regex);
         
         if (!match) {
@@ -170,8 +354,8 @@ class PromocodeParser {
     /**
      * Parse renewal plan segment
      */
-    parseRenewalPlan(segment) {
-        const regex = new RegExp(this.ruleset.renewalPlanRegex || '^([MQYU])(\\d+)$');
+    parseRenewalPlan(segment, ruleset = this.ruleset) {
+        const regex = new RegExp(promocodeSegments.resolveRegex({ name: 'RENEWAL_PLAN' }, ruleset));
         const match = segment.match(regex);
         
         if (!match) {
@@ -188,8 +372,7 @@ class PromocodeParser {
      * Check if segment is a valid code type
      */
     isCodeType(segment) {
-        const validTypes = Config.PROMOCODE.CODE_TYPES;
-        return validTypes.includes(segment.toUpperCase());
+        return codeTypeService.isValid(segment);
     }
 
     /**
@@ -242,24 +425,15 @@ class PromocodeParser {
      * Decode code type
      */
     decodeCodeType(code) {
-        const codeMap = {
-            'WB': 'Winback',
-            'HB': 'Holdback',
-            'CMP': 'Campaign',
-            'FREE': 'Free',
-            'EMP': 'Employee',
-            'KS': 'Kompis'
-        };
-        
-        return codeMap[code] || code;
+        return codeTypeService.getLabel(code);
     }
 
     /**
      * Format initial offer for display
      */
-    formatInitialOffer(parsed) {
-        const period = this.ruleset.periodMap[parsed.period] || parsed.period;
-        const discountType = this.ruleset.priceTypeMap[parsed.type] || parsed.type;
+    formatInitialOffer(parsed, ruleset = this.ruleset) {
+        const period = ruleset.periodMap[parsed.period] || parsed.period;
+        const discountType = ruleset.priceTypeMap[parsed.type] || parsed.type;
         
         return `${parsed.length} ${period} - ${parsed.discount} ${discountType} discount`;
     }
@@ -267,8 +441,8 @@ class PromocodeParser {
     /**
      * Format renewal plan for display
      */
-    formatRenewalPlan(parsed) {
-        const term = this.ruleset.termMap[parsed.term] || parsed.term;
+    formatRenewalPlan(parsed, ruleset = this.ruleset) {
+        const term = ruleset.termMap[parsed.term] || parsed.term;
         return `${term} - ${parsed.price} kr`;
     }
 
@@ -278,33 +452,12 @@ class PromocodeParser {
     generateSummary(result) {
         const parts = [];
         
-        if (result.humanReadable.brand) {
-            parts.push(`Brand: ${result.humanReadable.brand}`);
-        }
-        
-        if (result.humanReadable.product) {
-            parts.push(`Product: ${result.humanReadable.product}`);
-        }
-        
-        if (result.humanReadable.initialOffer) {
-            parts.push(`Initial Offer: ${result.humanReadable.initialOffer}`);
-        }
-        
-        if (result.humanReadable.renewalType) {
-            parts.push(`Renewal: ${result.humanReadable.renewalType}`);
-        }
-        
-        if (result.humanReadable.campaignText) {
-            parts.push(`Campaign: ${result.humanReadable.campaignText}`);
-        }
-        
-        if (result.humanReadable.codeType) {
-            parts.push(`Type: ${result.humanReadable.codeType}`);
-        }
-        
-        if (result.humanReadable.renewalPlan) {
-            parts.push(`Renewal Plan: ${result.humanReadable.renewalPlan}`);
-        }
+        promocodeSegments.getDefinitions(result.ruleset || this.ruleset).forEach(definition => {
+            const value = result.humanReadable[definition.field];
+            if (value) {
+                parts.push(`${definition.label}: ${value}`);
+            }
+        });
         
         return parts.join(' | ');
     }
@@ -362,6 +515,7 @@ class PromocodeParser {
                 timestamp: new Date().toISOString(),
                 code: result.originalCode,
                 isValid: result.isValid,
+                rulesetVersion: result.rulesetVersion || null,
                 summary: result.summary || result.error
             };
 
@@ -389,82 +543,50 @@ class PromocodeParser {
         if (!result.isValid) {
             return {
                 status: 'error',
-                message: result.error || 'Invalid promocode format'
+                message: result.error || 'Invalid promocode format',
+                code: result.originalCode,
+                ruleset: result.ruleset,
+                diagnostics: result.diagnostics || [],
+                highlight: result.segments ? this.getHighlightParts(result) : []
             };
         }
 
         const display = {
             status: 'success',
             code: result.originalCode,
+            ruleset: result.ruleset,
+            diagnostics: result.diagnostics || [],
+            highlight: this.getHighlightParts(result),
             breakdown: []
         };
 
-        // Add each component to breakdown
-        if (result.humanReadable.brand) {
-            display.breakdown.push({
-                label: 'Brand',
-                value: result.humanReadable.brand,
-                raw: result.parsed.brand
-            });
-        }
+        // Add each component to breakdown, in segment order
+        promocodeSegments.getDefinitions(result.ruleset || this.ruleset).forEach(definition => {
+            const field = definition.field;
+            if (!result.humanReadable[field]) return;
 
-        if (result.humanReadable.product) {
-            display.breakdown.push({
-                label: 'Product',
-                value: result.humanReadable.product,
-                raw: result.parsed.product
-            });
-        }
+            const item = {
+                label: definition.label,
+                value: result.humanReadable[field],
+                raw: result.parsed[field]
+            };
 
-        if (result.humanReadable.initialOffer) {
-            display.breakdown.push({
-                label: 'Initial Offer',
-                value: result.humanReadable.initialOffer,
-                raw: result.parsed.initialOffer,
-                details: {
+            if (definition.name === 'INITIAL_OFFER') {
+                item.details = {
                     length: result.parsed.initialLength,
                     period: result.parsed.initialPeriod,
                     discount: result.parsed.discountAmount,
                     type: result.parsed.discountType
-                }
-            });
-        }
-
-        if (result.humanReadable.renewalType) {
-            display.breakdown.push({
-                label: 'Renewal Type',
-                value: result.humanReadable.renewalType,
-                raw: result.parsed.renewalType
-            });
-        }
-
-        if (result.humanReadable.campaignText) {
-            display.breakdown.push({
-                label: 'Campaign',
-                value: result.humanReadable.campaignText,
-                raw: result.parsed.campaignText
-            });
-        }
-
-        if (result.humanReadable.codeType) {
-            display.breakdown.push({
-                label: 'Code Type',
-                value: result.humanReadable.codeType,
-                raw: result.parsed.codeType
-            });
-        }
-
-        if (result.humanReadable.renewalPlan) {
-            display.breakdown.push({
-                label: 'Renewal Plan',
-                value: result.humanReadable.renewalPlan,
-                raw: result.parsed.renewalPlan,
-                details: {
+                };
+            } else if (definition.name === 'RENEWAL_PLAN') {
+                item.details = {
                     term: result.parsed.renewalTerm,
                     price: result.parsed.price
-                }
-            });
-        }
+                };
+            }
+
+            display.breakdown.push(item);
+        });
 
         return display;
     }
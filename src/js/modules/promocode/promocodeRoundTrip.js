@@ -0,0 +1,211 @@
+/* ============================================================================
+   CODEX NOVA NEBULA - Promocode Round Trip Check
+   Property-style check that every generated code parses back to its inputs.
+   Not loaded by the app: run it headlessly with
+     node server/runFixtures.js --mock --roundtrip [--iterations 500] [--seed 42]
+   ============================================================================ */
+
+class PromocodeRoundTrip {
+    constructor() {
+        this.casings = ['UPPER', 'LOWER', 'CAMEL', 'KEBAB'];
+        this.lastReport = null;
+    }
+
+    /**
+     * Generate codes for random and edge-case inputs under every casing.
+     * Each case must either be rejected with a clear error or generate a code
+     * that the parser decodes back to the same inputs.
+     * Options: iterations per casing, seed (repeatable runs), ruleset.
+     */
+    async run(options = {}) {
+        const { iterations = 200, seed = Date.now() } = options;
+
+        if (!promocodeGenerator.ruleset) {
+            await promocodeGenerator.initialize();
+        }
+
+        const baseRuleset = options.ruleset || promocodeGenerator.ruleset;
+        const random = this.createRandom(seed);
+        const report = { seed, total: 0, passed: 0, rejected: 0, failures: [] };
+
+        for (const casing of this.casings) {
+            const ruleset = { ...baseRuleset, casing };
+            const cases = [
+                ...this.getEdgeCases(ruleset),
+                ...Array.from({ length: iterations }, () => this.randomInputs(ruleset, random))
+            ];
+
+            for (const inputs of cases) {
+                report.total++;
+                const outcome = await this.check(inputs, ruleset);
+
+                if (outcome.status === 'passed') {
+                    report.passed++;
+                } else if (outcome.status === 'rejected') {
+                    report.rejected++;
+                } else {
+                    report.failures.push({ casing, inputs, ...outcome });
+                }
+            }
+        }
+
+        this.lastReport = report;
+
+        const icon = report.failures.length === 0 ? '✅' : '❌';
+        console.log(`${icon} Round trip: ${report.passed} passed, ${report.rejected} rejected, ` +
+            `${report.failures.length} failed of ${report.total} (seed ${seed})`);
+        if (report.failures.length > 0) {
+            console.table(report.failures.slice(0, 20).map(failure => ({
+                casing: failure.casing,
+                code: failure.code || '',
+                error: failure.error
+            })));
+        }
+
+        return report;
+    }
+
+    /**
+     * Check one set of inputs.
+     * The parse is repeated here rather than trusting the generator's own check.
+     */
+    async check(inputs, ruleset) {
+        let code;
+
+        try {
+            code = await promocodeGenerator.generateCode(inputs, { ruleset, dryRun: true });
+        } catch (error) {
+            // Ambiguous campaign text is a deliberate, explained rejection
+            if (/is ambiguous/.test(error.message)) {
+                return { status: 'rejected', error: error.message };
+            }
+            return { status: 'failed', error: error.message };
+        }
+
+        const result = await promocodeParser.parseCode(code, { ruleset });
+        if (!result.isValid) {
+            return { status: 'failed', code, error: result.error };
+        }
+
+        const generated = this.getExpectedSegments(inputs, ruleset);
+        const mismatches = promocodeGenerator.getRoundTripMismatches(inputs, generated, result, ruleset);
+        if (mismatches.length > 0) {
+            return { status: 'failed', code, error: mismatches.join(', ') };
+        }
+
+        return { status: 'passed', code };
+    }
+
+    /**
+     * Segments the generator writes for the inputs, keyed by field
+     */
+    getExpectedSegments(inputs, ruleset) {
+        const generated = {};
+
+        promocodeSegments.getDefinitions(ruleset).forEach(definition => {
+            const segment = promocodeGenerator.generateSegment(definition, inputs, ruleset);
+            if (segment) {
+                generated[definition.field] = segment;
+            }
+        });
+
+        return generated;
+    }
+
+    /**
+     * Inputs that previously broke the round trip: campaign text that looks like
+     * a code type, renewal type, offer or renewal plan, and text needing sanitizing
+     */
+    getEdgeCases(ruleset) {
+        const base = this.randomInputs(ruleset, this.createRandom(1));
+        const termKey = Object.keys(ruleset.termMap || Config.PROMOCODE.TERMS)[0];
+        const periodKey = Object.keys(ruleset.periodMap || Config.PROMOCODE.PERIODS)[0];
+        const priceTypeKey = Object.keys(ruleset.priceTypeMap || Config.PROMOCODE.DISCOUNT_TYPES)[0];
+
+        const campaignTexts = [
+            '',
+            ...codeTypeService.getCodes(),
+            ...codeTypeService.getCodes().map(type => type.toLowerCase()),
+            ...Object.keys(Config.PROMOCODE.RENEWAL_TYPES),
+            `${termKey}249`,
+            `3${periodKey}199${priceTypeKey}`,
+            'Spring-Sale!',
+            'x'.repeat(40)
+        ];
+
+        const cases = campaignTexts.map(campaignText => ({ ...base, campaignText, codeType: '' }));
+
+        // Code type with and without campaign text
+        codeTypeService.getCodes().forEach(codeType => {
+            cases.push({ ...base, campaignText: '', codeType });
+            cases.push({ ...base, campaignText: 'SUMMER', codeType });
+        });
+
+        // Zero discount, fractional price
+        cases.push({ ...base, discountAmount: 0, price: 249.5 });
+
+        return cases;
+    }
+
+    /**
+     * Random inputs drawn from the ruleset vocabularies
+     */
+    randomInputs(ruleset, random) {
+        const pick = values => values[Math.floor(random() * values.length)];
+        const integer = (min, max) => min + Math.floor(random() * (max - min + 1));
+
+        const brands = brandService.brands.filter(brand => brand.code);
+        const products = productService.allProducts.filter(product => productService.getProductCode(product));
+        const codeTypes = codeTypeService.getCodes();
+
+        return {
+            brand: brands.length > 0 ? pick(brands) : { id: null, name: 'Test Brand', code: 'TB' },
+            product: products.length > 0 ? pick(products) : { id: null, name: 'Test Product', code: 'TEST' },
+            initialLength: integer(1, 36),
+            initialPeriod: pick(Object.keys(ruleset.periodMap || Config.PROMOCODE.PERIODS)),
+            discountAmount: integer(0, 9999),
+            discountType: pick(Object.keys(ruleset.priceTypeMap || Config.PROMOCODE.DISCOUNT_TYPES)),
+            renewalType: pick(Object.keys(Config.PROMOCODE.RENEWAL_TYPES)),
+            renewalTerm: pick(Object.keys(ruleset.termMap || Config.PROMOCODE.TERMS)),
+            price: integer(0, 9999),
+            campaignText: random() < 0.5 ? this.randomText(random, integer(1, 20)) : '',
+            codeType: random() < 0.3 ? pick(codeTypes) : ''
+        };
+    }
+
+    /**
+     * Random campaign text, including lowercase letters and punctuation
+     */
+    randomText(random, length) {
+        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789 -_!';
+        let text = '';
+        for (let i = 0; i < length; i++) {
+            text += alphabet.charAt(Math.floor(random() * alphabet.length));
+        }
+        return text;
+    }
+
+    /**
+     * Seeded random number generator (mulberry32) so failures can be replayed
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+// Create singleton instance
+const promocodeRoundTrip = new PromocodeRoundTrip();
+
+// Export for use in other modules
+window.promocodeRoundTrip = promocodeRoundTrip;
+
+if (Config.FEATURES.DEBUG_MODE) {
+    console.log('🔁 Promocode Round Trip initialized', promocodeRoundTrip);
+}
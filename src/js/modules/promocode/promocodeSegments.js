@@ -0,0 +1,295 @@
+/* ============================================================================
+   CODEX NOVA NEBULA - Promocode Segments
+   Shared segment definitions used by both the generator and the parser
+   ============================================================================ */
+
+class PromocodeSegments {
+    /**
+     * Get ordered segment definitions for a ruleset
+     */
+    getDefinitions(ruleset) {
+        const definitions = ruleset?.segments?.length
+            ? ruleset.segments
+            : Config.PROMOCODE.SEGMENTS;
+
+        return definitions.map(definition => ({
+            ...definition,
+            regex: this.resolveRegex(definition, ruleset)
+        }));
+    }
+
+    /**
+     * Resolve the regex for a segment (definition first, then ruleset, then defaults)
+     */
+    resolveRegex(definition, ruleset) {
+        if (definition.regex) return definition.regex;
+
+        switch (definition.name) {
+            case 'INITIAL_OFFER':
+                return ruleset?.initialOfferRegex || this.buildInitialOfferRegex(ruleset);
+            case 'RENEWAL_PLAN':
+                return ruleset?.renewalPlanRegex || this.buildRenewalPlanRegex(ruleset);
+            case 'CODE_TYPE':
+                return `^(${this.toAlternation(codeTypeService.getCodes())})$`;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Build the initial offer regex from the ruleset's period and price type maps
+     */
+    buildInitialOfferRegex(ruleset) {
+        const periods = this.toAlternation(ruleset?.periodMap || Config.PROMOCODE.PERIODS);
+        const priceTypes = this.toAlternation(ruleset?.priceTypeMap || Config.PROMOCODE.DISCOUNT_TYPES);
+        return `^(\\d+)(${periods})(\\d+)(${priceTypes})$`;
+    }
+
+    /**
+     * Build the renewal plan regex from the ruleset's term map
+     */
+    buildRenewalPlanRegex(ruleset) {
+        const terms = this.toAlternation(ruleset?.termMap || Config.PROMOCODE.TERMS);
+        return `^(${terms})(\\d+)$`;
+    }
+
+    /**
+     * Turn a list of codes (or the keys of a vocabulary map) into a regex alternation
+     */
+    toAlternation(values) {
+        const codes = Array.isArray(values) ? values : Object.keys(values);
+        return codes
+            .map(key => key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('|');
+    }
+
+    /**
+     * Get the closed vocabulary for a source, or null if the source is open.
+     * Open vocabularies (brands, products) are only used for decoding.
+     */
+    getVocabulary(source) {
+        switch (source) {
+            case 'CODE_TYPES':
+                return codeTypeService.getCodes();
+            case 'RENEWAL_TYPES':
+                return Object.keys(Config.PROMOCODE.RENEWAL_TYPES);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Check if a value satisfies a segment definition
+     */
+    matches(definition, value) {
+        if (!value) return false;
+
+        if (definition.regex && !new RegExp(definition.regex).test(value)) {
+            return false;
+        }
+
+        const vocabulary = this.getVocabulary(definition.vocabularySource);
+        if (vocabulary && !vocabulary.includes(value.toUpperCase())) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Other definitions a value would also satisfy.
+     * Only definitions with a closed vocabulary or their own pattern count:
+     * open vocabularies (brands, products) accept almost any value.
+     */
+    findConflicts(definition, value, definitions) {
+        return definitions.filter(other =>
+            other.name !== definition.name &&
+            this.isDistinctive(other) &&
+            this.matches(other, value)
+        );
+    }
+
+    /**
+     * Check if a definition restricts its values enough to be told apart
+     */
+    isDistinctive(definition) {
+        if (this.getVocabulary(definition.vocabularySource)) return true;
+        if (definition.vocabularySource) return false;
+        return Boolean(definition.regex);
+    }
+
+    /**
+     * Count required segments
+     */
+    countRequired(definitions) {
+        return definitions.filter(definition => definition.required).length;
+    }
+
+    /**
+     * Assign code segments to definitions.
+     * Optional definitions are skipped unless needed, so free text only
+     * claims a segment when no more specific definition can.
+     * Returns [{ definition, value, index }] or null if no assignment fits.
+     */
+    match(tokens, definitions, tokenIndex = 0, definitionIndex = 0) {
+        if (definitionIndex === definitions.length) {
+            return tokenIndex === tokens.length ? [] : null;
+        }
+
+        const definition = definitions[definitionIndex];
+
+        if (!definition.required) {
+            const skipped = this.match(tokens, definitions, tokenIndex, definitionIndex + 1);
+            if (skipped) return skipped;
+        }
+
+        if (tokenIndex < tokens.length && this.matches(definition, tokens[tokenIndex])) {
+            const rest = this.match(tokens, definitions, tokenIndex + 1, definitionIndex + 1);
+            if (rest) {
+                return [{ definition, value: tokens[tokenIndex], index: tokenIndex }, ...rest];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Diagnose every problem in segments that could not be matched.
+     * Aligns segments to definitions best-effort and keeps going after errors.
+     * Returns [{ definition, index, insertAt, actual, expected, message, severity }]
+     * where index is null for missing segments (insertAt gives the segment slot).
+     */
+    diagnose(tokens, definitions, ruleset) {
+        const diagnostics = [];
+        let tokenIndex = 0;
+
+        definitions.forEach((definition, definitionIndex) => {
+            const token = tokens[tokenIndex];
+            const laterDefinitions = definitions.slice(definitionIndex + 1);
+            const requiredAfter = this.countRequired(laterDefinitions);
+            const tokensLeft = tokens.length - tokenIndex;
+
+            if (token !== undefined && this.matches(definition, token)) {
+                // Optional segments must leave enough segments for required ones
+                if (definition.required || tokensLeft - 1 >= requiredAfter) {
+                    tokenIndex++;
+                }
+                return;
+            }
+
+            if (!definition.required) return;
+
+            const label = definition.label.toLowerCase();
+            const expected = this.describeExpected(definition, ruleset);
+            // Optional open-ended segments (free text) accept almost anything, so they
+            // don't show that a token belongs further on
+            const fitsLater = token !== undefined && laterDefinitions
+                .filter(laterDefinition => laterDefinition.required || this.getVocabulary(laterDefinition.vocabularySource))
+                .some(laterDefinition => this.matches(laterDefinition, token));
+
+            // Too few segments left and this one belongs further on: report as missing
+            if (token === undefined || (tokensLeft <= requiredAfter && fitsLater)) {
+                diagnostics.push({
+                    definition,
+                    index: null,
+                    insertAt: tokenIndex,
+                    actual: '',
+                    expected,
+                    message: `Missing ${label} segment`,
+                    severity: 'error'
+                });
+                return;
+            }
+
+            diagnostics.push({
+                definition,
+                index: tokenIndex,
+                actual: token,
+                expected,
+                message: `Invalid ${label} format: ${token}`,
+                severity: 'error'
+            });
+            tokenIndex++;
+        });
+
+        for (; tokenIndex < tokens.length; tokenIndex++) {
+            diagnostics.push({
+                definition: null,
+                index: tokenIndex,
+                actual: tokens[tokenIndex],
+                expected: 'no further segments',
+                message: `Unexpected segment: ${tokens[tokenIndex]}`,
+                severity: 'error'
+            });
+        }
+
+        return diagnostics;
+    }
+
+    /**
+     * Describe what a segment should look like, in plain words
+     */
+    describeExpected(definition, ruleset) {
+        const periodMap = ruleset?.periodMap || Config.PROMOCODE.PERIODS;
+        const priceTypeMap = ruleset?.priceTypeMap || Config.PROMOCODE.DISCOUNT_TYPES;
+        const termMap = ruleset?.termMap || Config.PROMOCODE.TERMS;
+
+        switch (definition.name) {
+            case 'BRAND':
+                return 'a brand code (letters and digits)';
+            case 'PRODUCT':
+                return 'a product code (letters and digits)';
+            case 'INITIAL_OFFER': {
+                const example = `3${Object.keys(periodMap)[0]}199${Object.keys(priceTypeMap)[0]}`;
+                return `length, period (${this.describeVocabulary(periodMap)}), discount amount and ` +
+                    `discount type (${this.describeVocabulary(priceTypeMap)}), e.g. ${example}`;
+            }
+            case 'RENEWAL_TYPE':
+                return `one of ${this.describeVocabulary(Config.PROMOCODE.RENEWAL_TYPES)}`;
+            case 'FREETEXT':
+                return 'letters and digits only';
+            case 'CODE_TYPE':
+                return `one of ${codeTypeService.getCodes().join(', ')}`;
+            case 'RENEWAL_PLAN': {
+                const example = `${Object.keys(termMap)[0]}249`;
+                return `renewal term (${this.describeVocabulary(termMap)}) followed by the price, e.g. ${example}`;
+            }
+            default:
+                return definition.regex ? `text matching ${definition.regex}` : 'any text';
+        }
+    }
+
+    /**
+     * Format a code => label map as "M (Months), U (Weeks)"
+     */
+    describeVocabulary(map) {
+        return Object.entries(map)
+            .map(([code, label]) => `${code} (${label})`)
+            .join(', ');
+    }
+
+    /**
+     * Character range [start, end) of each segment in the code
+     */
+    getSegmentPositions(tokens, separator) {
+        const positions = [];
+        let offset = 0;
+
+        tokens.forEach(token => {
+            positions.push({ start: offset, end: offset + token.length });
+            offset += token.length + separator.length;
+        });
+
+        return positions;
+    }
+}
+
+// Create singleton instance
+const promocodeSegments = new PromocodeSegments();
+
+// Export for use in other modules
+window.promocodeSegments = promocodeSegments;
+
+if (Config.FEATURES.DEBUG_MODE) {
+    console.log('🧩 Promocode Segments initialized', promocodeSegments);
+}
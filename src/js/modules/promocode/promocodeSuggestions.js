@@ -0,0 +1,277 @@
+/* ============================================================================
+   CODEX NOVA NEBULA - Promocode Suggestions
+   "Did you mean" corrections for codes that fail validation
+   ============================================================================ */
+
+class PromocodeSuggestions {
+    constructor() {
+        this.maxSuggestions = 5;
+        this.maxDistance = 2;
+
+        // Characters customers commonly mix up when typing codes
+        this.confusables = {
+            O: '0', '0': 'O',
+            I: '1', '1': 'I',
+            L: '1',
+            S: '5', '5': 'S',
+            B: '8', '8': 'B'
+        };
+    }
+
+    /**
+     * Suggest corrected codes for a parse result.
+     * When fixing separators and casing makes the code valid, that is the only
+     * suggestion. Otherwise each candidate is a single correction of the segments
+     * as typed that passes validation with known brand and product codes.
+     * Returns [{ code, reason }] ordered by closeness to the original.
+     */
+    async suggest(result) {
+        if (!result || !result.originalCode) return [];
+
+        const hasProblems = !result.isValid || (result.diagnostics || []).length > 0;
+        if (!hasProblems) return [];
+
+        const ruleset = result.ruleset || promocodeParser.ruleset;
+        const separator = ruleset?.separator || Config.PROMOCODE.SEPARATOR;
+        const original = result.originalCode;
+
+        const normalized = this.normalize(original, ruleset);
+        if (normalized !== original && await this.isAcceptable(normalized.split(separator), ruleset)) {
+            return [{ code: normalized, reason: 'Fixed separators and casing' }];
+        }
+
+        const candidates = this.getCandidates(this.tokenize(original), ruleset);
+
+        const suggestions = [];
+        const seen = new Set([original]);
+
+        for (const candidate of candidates) {
+            const code = this.normalize(candidate.tokens.join(separator), ruleset);
+            if (seen.has(code)) continue;
+            seen.add(code);
+
+            if (await this.isAcceptable(candidate.tokens, ruleset)) {
+                suggestions.push({
+                    code,
+                    reason: candidate.reason,
+                    distance: TextUtils.distance(original.toUpperCase(), code.toUpperCase())
+                });
+            }
+        }
+
+        // Stable sort keeps generation order for equally close candidates
+        return suggestions
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, this.maxSuggestions)
+            .map(({ code, reason }) => ({ code, reason }));
+    }
+
+    /**
+     * Segments as typed: split at separators and stray separators, casing kept
+     */
+    tokenize(code) {
+        return code.trim().split(/[^A-Za-z0-9]+/).filter(part => part !== '');
+    }
+
+    /**
+     * Apply the ruleset casing and replace stray separators (spaces, underscores, dots...)
+     */
+    normalize(code, ruleset) {
+        const separator = ruleset?.separator || Config.PROMOCODE.SEPARATOR;
+        const cased = promocodeGenerator.applyCasing(code.trim(), ruleset?.casing || Config.PROMOCODE.CASING);
+
+        return cased
+            .split(separator)
+            .map(part => part.replace(/[^A-Za-z0-9]+/g, separator))
+            .join(separator)
+            .split(separator)
+            .filter(part => part !== '')
+            .join(separator);
+    }
+
+    /**
+     * Generate single-correction candidates for each segment
+     */
+    getCandidates(tokens, ruleset) {
+        const candidates = [];
+        const replace = (index, values) => [...tokens.slice(0, index), ...values, ...tokens.slice(index + 1)];
+
+        tokens.forEach((token, index) => {
+            // Missing separator, e.g. "3M199KT" => "3M199K", "T"
+            for (let position = 1; position < token.length; position++) {
+                candidates.push({
+                    tokens: replace(index, [token.slice(0, position), token.slice(position)]),
+                    reason: `Added missing separator in ${token}`
+                });
+            }
+
+            // Extra separator, e.g. "3M", "199K" => "3M199K"
+            if (index < tokens.length - 1) {
+                candidates.push({
+                    tokens: [...tokens.slice(0, index), token + tokens[index + 1], ...tokens.slice(index + 2)],
+                    reason: `Removed separator between ${token} and ${tokens[index + 1]}`
+                });
+            }
+
+            // Stray segment
+            candidates.push({
+                tokens: tokens.filter((_, i) => i !== index),
+                reason: `Removed segment ${token}`
+            });
+
+            // Known codes close to this segment
+            this.getCloseValues(token, this.getKnownBrandCodes()).forEach(value => {
+                candidates.push({ tokens: replace(index, [value]), reason: `Brand ${value} instead of ${token}` });
+            });
+            this.getCloseValues(token, this.getKnownProductCodes()).forEach(value => {
+                candidates.push({ tokens: replace(index, [value]), reason: `Product ${value} instead of ${token}` });
+            });
+            this.getCloseValues(token, this.getClosedVocabulary(), 1).forEach(value => {
+                candidates.push({ tokens: replace(index, [value]), reason: `${value} instead of ${token}` });
+            });
+
+            // Character level typos in structured segments (offer, renewal plan)
+            if (/\d/.test(token)) {
+                this.getTypoVariants(token, ruleset).forEach(value => {
+                    candidates.push({ tokens: replace(index, [value]), reason: `${value} instead of ${token}` });
+                });
+            }
+        });
+
+        return candidates;
+    }
+
+    /**
+     * Values within the edit distance of a token (excluding the token itself)
+     */
+    getCloseValues(token, values, maxDistance = this.maxDistance) {
+        if (token.length < 2 && maxDistance > 1) {
+            maxDistance = 1;
+        }
+
+        return values
+            .filter(value => value && value !== token)
+            .map(value => ({ value, distance: TextUtils.distance(token.toUpperCase(), value.toUpperCase()) }))
+            .filter(entry => entry.distance <= maxDistance)
+            .sort((a, b) => a.distance - b.distance)
+            .map(entry => entry.value);
+    }
+
+    /**
+     * Swapped letters, wrong period/type letters and look-alike characters
+     */
+    getTypoVariants(token, ruleset) {
+        const variants = new Set();
+        const letters = this.getStructureLetters(ruleset);
+        const chars = token.split('');
+
+        chars.forEach((char, i) => {
+            // Any two letters swapped, e.g. "3K199M" => "3M199K"
+            for (let j = i + 1; j < chars.length; j++) {
+                if (chars[j] !== char && (/[A-Z]/i.test(char) || j === i + 1)) {
+                    const swapped = [...chars];
+                    swapped[i] = chars[j];
+                    swapped[j] = char;
+                    variants.add(swapped.join(''));
+                }
+            }
+
+            // Wrong vocabulary letter, e.g. "3N199K" => "3M199K"
+            if (/[A-Z]/i.test(char)) {
+                letters.forEach(letter => {
+                    if (letter !== char) {
+                        variants.add(token.slice(0, i) + letter + token.slice(i + 1));
+                    }
+                });
+            }
+
+            // Look-alike characters, e.g. "3M1O9K" => "3M109K"
+            const confusable = this.confusables[char.toUpperCase()];
+            if (confusable) {
+                variants.add(token.slice(0, i) + confusable + token.slice(i + 1));
+            }
+        });
+
+        variants.delete(token);
+        return [...variants];
+    }
+
+    /**
+     * Single letters used by the period, price type and term vocabularies
+     */
+    getStructureLetters(ruleset) {
+        const maps = [
+            ruleset?.periodMap || Config.PROMOCODE.PERIODS,
+            ruleset?.priceTypeMap || Config.PROMOCODE.DISCOUNT_TYPES,
+            ruleset?.termMap || Config.PROMOCODE.TERMS
+        ];
+
+        const letters = new Set();
+        maps.forEach(map => Object.keys(map).forEach(key => letters.add(key)));
+        return [...letters];
+    }
+
+    /**
+     * Known brand codes
+     */
+    getKnownBrandCodes() {
+        return brandService.brands.map(brand => brand.code).filter(Boolean);
+    }
+
+    /**
+     * Known product codes (as matched by productService.getProductByCode)
+     */
+    getKnownProductCodes() {
+        const codes = productService.allProducts.map(product => product.code);
+        return [...new Set(codes.filter(Boolean))];
+    }
+
+    /**
+     * Closed vocabularies (renewal types, code types)
+     */
+    getClosedVocabulary() {
+        return [
+            ...Object.keys(Config.PROMOCODE.RENEWAL_TYPES),
+            ...codeTypeService.getCodes()
+        ];
+    }
+
+    /**
+     * A candidate must fit the segment definitions of the ruleset for its
+     * brand, with brand and product codes that exist (when they are loaded)
+     */
+    async isAcceptable(tokens, ruleset) {
+        // Casing is presentation only: match in uppercase, as parseCode does
+        const upperTokens = tokens.map(token => token.toUpperCase());
+
+        const brand = brandService.getBrandByCode(upperTokens[0]);
+        const candidateRuleset = brand && brand.id !== ruleset?.brandId
+            ? await dataSource.resolveRuleset(
+                promocodeParser.rulesets, promocodeParser.brandOverrides, { brandId: brand.id })
+            : ruleset;
+
+        const assignments = promocodeSegments.match(upperTokens, promocodeSegments.getDefinitions(candidateRuleset));
+        if (!assignments) return false;
+
+        return assignments.every(({ definition, value }) => {
+            switch (definition.name) {
+                case 'BRAND':
+                    return brandService.brands.length === 0 || Boolean(brandService.getBrandByCode(value));
+                case 'PRODUCT':
+                    return productService.allProducts.length === 0 || Boolean(productService.getProductByCode(value));
+                default:
+                    return true;
+            }
+        });
+    }
+}
+
+// Create singleton instance
+const promocodeSuggestions = new PromocodeSuggestions();
+
+// Export for use in other modules
+window.promocodeSuggestions = promocodeSuggestions;
+
+if (Config.FEATURES.DEBUG_MODE) {
+    console.log('💡 Promocode Suggestions initialized', promocodeSuggestions);
+}
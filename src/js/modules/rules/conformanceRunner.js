@@ -0,0 +1,223 @@
+/* ============================================================================
+   CODEX NOVA NEBULA - Conformance Runner
+   Runs the golden cases from the Tests_Fixtures table through the generator
+   and parser and reports each one with a field-by-field diff.
+   Works without the DOM: the Rules section and server/runFixtures.js share it.
+   ============================================================================ */
+
+class ConformanceRunner {
+    constructor() {
+        this.lastReport = null;
+    }
+
+    /**
+     * Run every fixture.
+     * Options: fixtures (instead of loading them from the data source) and
+     * rulesetVersion (a candidate, e.g. a draft, used for fixtures that don't pin a version).
+     * Returns { rulesetVersion, total, passed, failed, skipped, results }
+     */
+    async run(options = {}) {
+        const fixtures = options.fixtures || await dataSource.listTestFixtures();
+        const rulesetVersion = options.rulesetVersion ? String(options.rulesetVersion) : null;
+
+        await brandService.initialize();
+        await productService.initialize();
+        await promocodeGenerator.initialize();
+        await promocodeParser.initialize();
+
+        if (rulesetVersion && !promocodeGenerator.rulesets.some(ruleset => ruleset.version === rulesetVersion)) {
+            throw new Error(`Unknown ruleset version: ${rulesetVersion}`);
+        }
+
+        const report = { rulesetVersion, total: fixtures.length, passed: 0, failed: 0, skipped: 0, results: [] };
+
+        for (const fixture of fixtures) {
+            const result = await this.runFixture(fixture, rulesetVersion);
+            report[result.status]++;
+            report.results.push(result);
+        }
+
+        this.lastReport = report;
+
+        const icon = report.failed === 0 ? '✅' : '❌';
+        console.log(`${icon} Fixtures: ${report.passed} passed, ${report.failed} failed, ` +
+            `${report.skipped} skipped of ${report.total}`);
+
+        return report;
+    }
+
+    /**
+     * Run one fixture. Fixtures pinned to a ruleset version always use that version.
+     * Returns { fixture, status: 'passed' | 'failed' | 'skipped', rulesetVersion, actual, diffs, error }
+     */
+    async runFixture(fixture, rulesetVersion = null) {
+        const result = {
+            fixture: fixture,
+            status: 'failed',
+            rulesetVersion: fixture.rulesetVersion || rulesetVersion,
+            actual: null,
+            diffs: [],
+            error: null
+        };
+
+        if (fixture.skip) {
+            result.status = 'skipped';
+            return result;
+        }
+
+        if (fixture.error) {
+            result.error = fixture.error;
+            return result;
+        }
+
+        try {
+            if (fixture.kind === 'generate') {
+                await this.checkGenerate(fixture, result);
+            } else if (fixture.kind === 'parse') {
+                await this.checkParse(fixture, result);
+            } else {
+                result.error = `Unknown fixture kind: ${fixture.kind}`;
+                return result;
+            }
+        } catch (error) {
+            this.checkError(fixture, error, result);
+            return result;
+        }
+
+        if (fixture.expectedError) {
+            result.diffs.push({ field: 'error', expected: fixture.expectedError, actual: '(none)' });
+        }
+
+        result.status = result.diffs.length === 0 ? 'passed' : 'failed';
+        return result;
+    }
+
+    /**
+     * Generate a code from the fixture's inputs and compare it with the expected code
+     */
+    async checkGenerate(fixture, result) {
+        const inputs = this.toGeneratorInputs(fixture.inputs || {});
+        const ruleset = await dataSource.resolveRuleset(promocodeGenerator.rulesets, promocodeGenerator.brandOverrides, {
+            brandId: inputs.brand.id,
+            version: result.rulesetVersion
+        });
+        result.rulesetVersion = ruleset.version;
+
+        const code = await promocodeGenerator.generateCode(inputs, { ruleset, dryRun: true });
+        result.actual = { code };
+
+        if (!fixture.expectedError && code !== fixture.code) {
+            result.diffs.push({ field: 'code', expected: fixture.code, actual: code });
+        }
+    }
+
+    /**
+     * Decode the fixture's code and compare the expected fields.
+     * Expected { "isValid": false } asserts that the code is rejected.
+     * A fixture date decodes with the ruleset in force on that date.
+     */
+    async checkParse(fixture, result) {
+        const parsed = await promocodeParser.parseCode(fixture.code, {
+            rulesetVersion: result.rulesetVersion,
+            // Otherwise the ruleset in force now, not the one in the local history
+            date: fixture.date ? new Date(fixture.date) : new Date()
+        });
+        const expected = fixture.expected || {};
+
+        result.rulesetVersion = parsed.rulesetVersion;
+        result.actual = { isValid: parsed.isValid, ...parsed.parsed };
+
+        if (!parsed.isValid && fixture.expectedError) {
+            // Checked like a thrown error (see runFixture)
+            throw new Error(parsed.error);
+        }
+
+        // A valid code where an error was expected is reported by runFixture
+        if (fixture.expectedError) {
+            return;
+        }
+
+        if (expected.isValid === false) {
+            if (parsed.isValid) {
+                result.diffs.push({ field: 'isValid', expected: false, actual: true });
+            }
+            return;
+        }
+
+        if (!parsed.isValid) {
+            result.diffs.push({ field: 'isValid', expected: true, actual: false });
+            result.error = parsed.error;
+            return;
+        }
+
+        Object.entries(expected).forEach(([field, value]) => {
+            const actual = field === 'isValid' ? parsed.isValid : parsed.parsed[field];
+            if (String(actual ?? '') !== String(value ?? '')) {
+                result.diffs.push({ field, expected: value, actual: actual ?? null });
+            }
+        });
+    }
+
+    /**
+     * Record a thrown error: it passes when it is the error the fixture expects
+     */
+    checkError(fixture, error, result) {
+        const expectedError = fixture.expectedError;
+        const matches = expectedError && (error.code === expectedError ||
+            error.message.toLowerCase().includes(expectedError.toLowerCase()));
+
+        result.actual = { ...result.actual, error: error.code || error.message };
+
+        if (matches) {
+            result.status = 'passed';
+            return;
+        }
+
+        result.error = error.message;
+        if (expectedError) {
+            result.diffs.push({ field: 'error', expected: expectedError, actual: error.code || error.message });
+        }
+    }
+
+    /**
+     * Convert fixture inputs (structured inputs as stored in Promocode_History,
+     * or bulk-generator column names) to generator inputs
+     */
+    toGeneratorInputs(inputs) {
+        const row = {};
+
+        Object.entries({ ...inputs, price: inputs.price ?? inputs.overridePrice }).forEach(([key, value]) => {
+            row[key] = value === null || value === undefined ? '' : String(value);
+        });
+
+        return promocodeBulkGenerator.rowToInputs(promocodeBulkGenerator.normalizeRow(row));
+    }
+
+    /**
+     * One-line description of a result, e.g. for the console or CI logs
+     */
+    describeResult(result) {
+        const name = result.fixture.name;
+
+        if (result.status !== 'failed') {
+            return `${result.status === 'passed' ? 'PASS' : 'SKIP'} ${name}`;
+        }
+
+        const diffs = result.diffs
+            .map(diff => `${diff.field}: expected ${JSON.stringify(diff.expected)}, got ${JSON.stringify(diff.actual)}`);
+        const details = diffs.length > 0 ? diffs.join('; ') : result.error;
+
+        return `FAIL ${name} - ${details}`;
+    }
+}
+
+// Create singleton instance
+const conformanceRunner = new ConformanceRunner();
+
+// Export for use in other modules
+window.conformanceRunner = conformanceRunner;
+window.ConformanceRunner = ConformanceRunner;
+
+if (Config.FEATURES.DEBUG_MODE) {
+    console.log('🧪 Conformance Runner initialized', conformanceRunner);
+}
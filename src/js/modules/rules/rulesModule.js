@@ -0,0 +1,187 @@
+/* ============================================================================
+   CODEX NOVA NEBULA - Rules Module
+   Rules section: runs the Tests_Fixtures golden cases against the ruleset in
+   force or a candidate version and shows pass/fail with diffs
+   ============================================================================ */
+
+class RulesModule {
+    constructor() {
+        this.conformanceRunner = window.conformanceRunner;
+
+        // DOM element references
+        this.elements = {};
+
+        // State
+        this.isRunning = false;
+
+        // Bind methods
+        this.handleRun = this.handleRun.bind(this);
+    }
+
+    /**
+     * Render the section and load the ruleset versions
+     */
+    async init(container) {
+        container.innerHTML = this.getHTML();
+
+        this.elements.rulesetSelect = container.querySelector('#fixture-ruleset-select');
+        this.elements.runBtn = container.querySelector('#run-fixtures-btn');
+        this.elements.result = container.querySelector('#fixture-result');
+
+        this.elements.runBtn.addEventListener('click', this.handleRun);
+
+        await this.loadRulesetVersions();
+    }
+
+    /**
+     * Section HTML
+     */
+    getHTML() {
+        return `
+            <div class="card">
+                <div class="card-header">
+                    <h2 class="card-title">Conformance Fixtures</h2>
+                </div>
+                <div class="card-body">
+                    <p class="text-muted">
+                        Runs the golden cases in the <code>${HtmlUtils.escape(Config.AIRTABLE.TABLES.TESTS_FIXTURES)}</code> table
+                        through the generator and parser. Pick a draft version to check a ruleset change before it goes live.
+                    </p>
+                    <div class="bulk-actions">
+                        <select id="fixture-ruleset-select" class="form-control form-select">
+                            <option value="">Ruleset in force</option>
+                        </select>
+                        <button class="btn btn-primary" id="run-fixtures-btn">Run Fixtures</button>
+                    </div>
+                    <div id="fixture-result"></div>
+                </div>
+            </div>`;
+    }
+
+    /**
+     * Offer every ruleset version as a candidate
+     */
+    async loadRulesetVersions() {
+        try {
+            const rulesets = await dataSource.listRulesets();
+
+            rulesets
+                .filter(ruleset => ruleset.version)
+                .forEach(ruleset => {
+                    const option = document.createElement('option');
+                    option.value = ruleset.version;
+                    option.textContent = `${ruleset.name} v${ruleset.version} (${ruleset.status})`;
+                    this.elements.rulesetSelect.appendChild(option);
+                });
+        } catch (error) {
+            console.error('Failed to load ruleset versions:', error);
+        }
+    }
+
+    /**
+     * Handle run button click
+     */
+    async handleRun() {
+        if (this.isRunning) return;
+
+        try {
+            this.isRunning = true;
+            this.elements.runBtn.disabled = true;
+            this.elements.runBtn.textContent = 'Running...';
+
+            const report = await this.conformanceRunner.run({
+                rulesetVersion: this.elements.rulesetSelect.value || null
+            });
+            this.displayReport(report);
+
+        } catch (error) {
+            console.error('Fixture run failed:', error);
+            this.elements.result.innerHTML = `
+                <div class="alert alert-danger mt-lg">${HtmlUtils.escape(error.message || 'Fixture run failed')}</div>`;
+        } finally {
+            this.isRunning = false;
+            this.elements.runBtn.disabled = false;
+            this.elements.runBtn.textContent = 'Run Fixtures';
+        }
+    }
+
+    /**
+     * Show the results, failures first
+     */
+    displayReport(report) {
+        if (report.total === 0) {
+            this.elements.result.innerHTML = `
+                <div class="placeholder">
+                    <div class="placeholder-icon">🧪</div>
+                    <h3>No Fixtures Yet</h3>
+                    <p>Add golden cases to the ${HtmlUtils.escape(Config.AIRTABLE.TABLES.TESTS_FIXTURES)} table to run them here.</p>
+                </div>`;
+            return;
+        }
+
+        const order = { failed: 0, passed: 1, skipped: 2 };
+        const results = [...report.results].sort((a, b) => order[a.status] - order[b.status]);
+
+        let html = `
+            <div class="bulk-summary">
+                <span><strong>${report.passed}</strong> passed, <strong>${report.failed}</strong> failed,
+                    <strong>${report.skipped}</strong> skipped</span>
+            </div>
+            <div class="bulk-table-wrapper">
+                <table class="bulk-table fixture-table">
+                    <thead>
+                        <tr>
+                            <th>Fixture</th>
+                            <th>Kind</th>
+                            <th>Ruleset</th>
+                            <th>Result</th>
+                        </tr>
+                    </thead>
+                    <tbody>`;
+
+        results.forEach(result => {
+            const rowStatus = result.status === 'failed' ? 'error' : 'success';
+
+            html += `
+                        <tr class="bulk-row-${rowStatus} fixture-${result.status}">
+                            <td>${HtmlUtils.escape(result.fixture.name)}</td>
+                            <td>${HtmlUtils.escape(result.fixture.kind)}</td>
+                            <td>${result.rulesetVersion ? `v${HtmlUtils.escape(result.rulesetVersion)}` : ''}</td>
+                            <td>${this.formatOutcome(result)}</td>
+                        </tr>`;
+        });
+
+        html += `
+                    </tbody>
+                </table>
+            </div>`;
+
+        this.elements.result.innerHTML = html;
+    }
+
+    /**
+     * Result cell: the status, or the diff of a failure
+     */
+    formatOutcome(result) {
+        if (result.status === 'skipped') return 'Skipped';
+        if (result.status === 'passed') return 'Passed';
+
+        if (result.diffs.length === 0) {
+            return HtmlUtils.escape(result.error || 'Failed');
+        }
+
+        return result.diffs.map(diff => `
+            <div class="fixture-diff">
+                <strong>${HtmlUtils.escape(diff.field)}</strong>:
+                expected <span class="font-mono">${HtmlUtils.escape(JSON.stringify(diff.expected))}</span>,
+                got <span class="font-mono">${HtmlUtils.escape(JSON.stringify(diff.actual))}</span>
+            </div>`).join('');
+    }
+}
+
+// Export for use in other modules
+window.RulesModule = RulesModule;
+
+if (Config.FEATURES.DEBUG_MODE) {
+    console.log('📋 Rules Module loaded');
+}
@@ -0,0 +1,167 @@
+/* ============================================================================
+   CODEX NOVA NEBULA - Airtable Records
+   Converts Airtable records ({ id, fields, createdTime }) into app objects
+   through Config.AIRTABLE.FIELDS. Makes no requests, so adapters reading
+   exported records can use it without going through AirtableService.
+   ============================================================================ */
+
+class AirtableRecords {
+    /**
+     * Convert a Brands record using Config.AIRTABLE.FIELDS.BRANDS
+     */
+    normalizeBrand(record) {
+        const fieldMap = Config.AIRTABLE.FIELDS.BRANDS;
+        const fields = record.fields;
+        const code = fields[fieldMap.BRAND_CODE] || '';
+        
+        return {
+            id: record.id,
+            code: code,
+            name: fields[fieldMap.BRAND_NAME] || '',
+            country: fields[fieldMap.COUNTRY] || '',
+            // Brands without their own Braze code use the brand code
+            brazeCode: fields[fieldMap.BRAZE_CODE] || code,
+            raw: fields
+        };
+    }
+
+    /**
+     * Convert a Products record using Config.AIRTABLE.FIELDS.PRODUCTS
+     * (brandIds default to its Brand link)
+     */
+    normalizeProduct(record, brandIds = null) {
+        const fieldMap = Config.AIRTABLE.FIELDS.PRODUCTS;
+        const fields = record.fields;
+        
+        return {
+            id: record.id,
+            name: fields[fieldMap.PRODUCT_NAME] || 'Unknown Product',
+            type: fields[fieldMap.PRODUCT_TYPE] || '',
+            code: fields[fieldMap.PRODUCT_CODE] || '',
+            brandIds: brandIds || fields[fieldMap.BRAND] || [],
+            promocodeId: fields[fieldMap.PROMOCODE_ID] || '',
+            raw: fields
+        };
+    }
+
+    /**
+     * Convert a Rate_Plans record using Config.AIRTABLE.FIELDS.RATE_PLANS
+     */
+    normalizeRatePlan(record, productIds = null) {
+        const fieldMap = Config.AIRTABLE.FIELDS.RATE_PLANS;
+        const fields = record.fields;
+        
+        return {
+            id: record.id,
+            code: fields[fieldMap.PLAN_CODE] || '',
+            name: fields[fieldMap.PLAN_NAME] || '',
+            price: fields[fieldMap.PRICE] || 0,
+            category: fields[fieldMap.CATEGORY] || '',
+            productIds: productIds || fields[fieldMap.PRODUCT] || [],
+            planId: fields[fieldMap.PLAN_ID] || '',
+            raw: fields
+        };
+    }
+
+    /**
+     * Convert a Promocode_Code_Types record
+     */
+    normalizeCodeType(record) {
+        const fieldMap = Config.AIRTABLE.FIELDS.PROMOCODE_CODE_TYPES;
+        const fields = record.fields;
+        
+        return {
+            id: record.id,
+            code: String(fields[fieldMap.CODE] || '').trim().toUpperCase(),
+            label: fields[fieldMap.LABEL] || '',
+            active: Boolean(fields[fieldMap.ACTIVE]),
+            description: fields[fieldMap.DESCRIPTION] || ''
+        };
+    }
+
+    /**
+     * Convert a Braze_Object_Types or Braze_Code_Classes record
+     */
+    normalizeBrazeVocabularyEntry(record, tableKey) {
+        const fieldMap = Config.AIRTABLE.FIELDS[tableKey];
+        const fields = record.fields;
+
+        return {
+            id: record.id,
+            code: String(fields[fieldMap.CODE] ?? '').trim().toUpperCase(),
+            label: fields[fieldMap.LABEL] || '',
+            description: fields[fieldMap.DESCRIPTION] || '',
+            active: Boolean(fields[fieldMap.ACTIVE])
+        };
+    }
+
+    /**
+     * Convert a Promocode_History record
+     */
+    normalizeHistoryRecord(record) {
+        const fieldMap = Config.AIRTABLE.FIELDS.PROMOCODE_HISTORY;
+        const fields = record.fields;
+        
+        return {
+            id: record.id,
+            code: fields[fieldMap.CODE] || '',
+            generatedDate: fields[fieldMap.GENERATED_DATE] || record.createdTime || null,
+            generatedBy: fields[fieldMap.GENERATED_BY] || '',
+            brandIds: fields[fieldMap.BRAND] || [],
+            productIds: fields[fieldMap.PRODUCT] || []
+        };
+    }
+
+    /**
+     * Convert a Tests_Fixtures record. Unreadable JSON is kept as an error on the
+     * fixture so the runner reports it as a failing case.
+     */
+    normalizeTestFixture(record) {
+        const fieldMap = Config.AIRTABLE.FIELDS.TESTS_FIXTURES;
+        const fields = record.fields;
+        const fixture = {
+            id: record.id,
+            name: fields[fieldMap.NAME] || record.id,
+            kind: '',
+            inputs: null,
+            code: String(fields[fieldMap.CODE] || '').trim(),
+            expected: null,
+            expectedError: String(fields[fieldMap.EXPECTED_ERROR] || '').trim(),
+            rulesetVersion: fields[fieldMap.RULESET_VERSION] ? String(fields[fieldMap.RULESET_VERSION]) : null,
+            date: fields[fieldMap.DATE] || null,
+            skip: Boolean(fields[fieldMap.SKIP]),
+            error: null
+        };
+        
+        try {
+            if (fields[fieldMap.INPUTS]) fixture.inputs = this.parseJsonField(fields[fieldMap.INPUTS]);
+            if (fields[fieldMap.EXPECTED]) fixture.expected = this.parseJsonField(fields[fieldMap.EXPECTED]);
+        } catch (error) {
+            fixture.error = `Invalid JSON: ${error.message}`;
+        }
+        
+        // Without a Kind, fixtures with inputs test generation
+        const kind = String(fields[fieldMap.KIND] || '').trim().toLowerCase();
+        fixture.kind = kind || (fixture.inputs ? 'generate' : 'parse');
+        
+        return fixture;
+    }
+
+    /**
+     * Read a JSON field (exports may already hold the parsed value)
+     */
+    parseJsonField(value) {
+        return typeof value === 'string' ? JSON.parse(value) : value;
+    }
+}
+
+// Create singleton instance
+const airtableRecords = new AirtableRecords();
+
+// Export for use in other modules
+window.airtableRecords = airtableRecords;
+window.AirtableRecords = AirtableRecords;
+
+if (Config.FEATURES.DEBUG_MODE) {
+    console.log('🗂️ Airtable Records initialized', airtableRecords);
+}
@@ -5,26 +5,72 @@
    ============================================================================ */
 
 class AirtableService {
-    constructor() {
-        this.baseUrl = Config.AIRTABLE.BASE_URL;
-        this.baseId = Config.AIRTABLE.BASE_ID;
-        this.apiKey = Config.AIRTABLE.API_KEY;
+    /**
+     * Options override the configured connection (baseUrl, baseId, apiKey,
+     * useProxy, proxyUrl, scheduler), e.g. to point a second instance at a
+     * local stand-in server:
+     * new AirtableService({ useProxy: false, baseUrl: 'http://localhost:4010' })
+     */
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl || Config.AIRTABLE.BASE_URL;
+        this.baseId = options.baseId || Config.AIRTABLE.BASE_ID;
+        this.apiKey = options.apiKey || Config.AIRTABLE.API_KEY;
+        this.useProxy = options.useProxy ?? Config.FEATURES.USE_PROXY;
+        this.proxyUrl = options.proxyUrl || Config.PROXY.BASE_URL;
+        this.scheduler = options.scheduler || requestScheduler;
+        this.persistentCache = options.persistentCache || persistentCache;
         this.cache = new Map();
         this.pendingRequests = new Map();
         
-        // Store discovered field mappings
-        this.fieldMappings = {
-            brands: {},
-            products: {},
-            ratePlans: {}
-        };
+        // Age of the data served per cache key, and whether Airtable is reachable
+        this.dataTimestamps = new Map();
+        this.isOffline = false;
+        this.statusListeners = [];
+        
+        // Refresh stale or offline data as soon as the connection comes back
+        window.addEventListener('online', () => this.revalidateAll());
+    }
+
+    /**
+     * URL of a table: its proxy endpoint, or the table in the Airtable API
+     */
+    getTableBaseUrl(tableName) {
+        if (this.useProxy) {
+            return `${this.proxyUrl}${this.getProxyEndpoint(tableName)}`;
+        }
+        
+        return `${this.baseUrl}/${this.baseId}/${encodeURIComponent(tableName)}`;
+    }
+
+    /**
+     * Find the Config.PROXY endpoint for a table
+     */
+    getProxyEndpoint(tableName) {
+        const endpoint = this.getTableSetting(tableName, Config.PROXY.ENDPOINTS);
+        
+        if (!endpoint) {
+            throw new Error(`No proxy endpoint for table ${tableName}`);
+        }
+        
+        return endpoint;
+    }
+
+    /**
+     * Look up a table in a map keyed like Config.AIRTABLE.TABLES
+     */
+    getTableSetting(tableName, settings) {
+        const tableKey = Object.keys(Config.AIRTABLE.TABLES).find(key =>
+            Config.AIRTABLE.TABLES[key] === tableName && settings[key] !== undefined
+        );
+        
+        return tableKey ? settings[tableKey] : undefined;
     }
 
     /**
      * Build the full API URL for a table
      */
     getTableUrl(tableName, options = {}) {
-        let url = `${this.baseUrl}/${this.baseId}/${encodeURIComponent(tableName)}`;
+        let url = this.getTableBaseUrl(tableName);
         
         const params = new URLSearchParams();
         
@@ -66,20 +112,50 @@ class AirtableService {
     /**
      * Check if cached data is still valid
      */
-    isCacheValid(cacheEntry) {
+    isCacheValid(cacheEntry, ttl = Config.API.CACHE_DURATION) {
         if (!cacheEntry) return false;
         const now = Date.now();
-        return (now - cacheEntry.timestamp) < Config.API.CACHE_DURATION;
+        return (now - cacheEntry.timestamp) < ttl;
+    }
+
+    /**
+     * How long a table's data counts as fresh
+     */
+    getCacheTtl(tableName) {
+        return this.getTableSetting(tableName, Config.API.CACHE_TTL) ?? Config.API.CACHE_DURATION;
+    }
+
+    /**
+     * Tables with a Config.API.CACHE_TTL are kept across page loads
+     */
+    isPersisted(tableName) {
+        return this.getTableSetting(tableName, Config.API.CACHE_TTL) !== undefined;
+    }
+
+    /**
+     * Key of a persisted entry (the base is included so switching bases can't mix data)
+     */
+    getPersistentKey(cacheKey) {
+        return `${this.baseId}_${cacheKey}`;
     }
 
     /**
      * Get headers for API requests
      */
     getHeaders() {
-        if (Config.FEATURES.USE_PROXY) {
-            return {
+        // The proxy adds the token server-side
+        if (this.useProxy) {
+            const headers = {
                 'Content-Type': 'application/json'
             };
+            
+            // Only needed when the proxy is started with PROXY_WRITE_TOKEN
+            const proxyToken = this.getProxyToken();
+            if (proxyToken) {
+                headers['X-Proxy-Token'] = proxyToken;
+            }
+            
+            return headers;
         }
         
         return {
@@ -89,20 +165,52 @@ class AirtableService {
     }
 
     /**
-     * Fetch data with caching and error handling
+     * Token the proxy asks for on writes, kept in localStorage (not in the code)
+     */
+    getProxyToken() {
+        try {
+            return localStorage.getItem(Config.STORAGE.PROXY_TOKEN) || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Fetch data with caching and error handling.
+     * Persisted tables are served from the last visit's data straight away;
+     * stale data is refreshed in the background (stale-while-revalidate).
      */
     async fetchData(tableName, options = {}) {
         const cacheKey = this.getCacheKey(tableName, options);
+        const ttl = this.getCacheTtl(tableName);
         
         // Check cache first if caching is enabled
         if (Config.FEATURES.USE_CACHE && !options.noCache) {
             const cachedData = this.cache.get(cacheKey);
-            if (this.isCacheValid(cachedData)) {
+            if (this.isCacheValid(cachedData, ttl)) {
                 if (Config.FEATURES.DEBUG_MODE) {
                     console.log(`📦 Using cached data for ${tableName}`);
                 }
                 return cachedData.data;
             }
+            
+            const storedData = this.isPersisted(tableName)
+                ? this.persistentCache.get(this.getPersistentKey(cacheKey))
+                : null;
+            
+            if (storedData) {
+                this.cache.set(cacheKey, storedData);
+                this.setDataTimestamp(cacheKey, tableName, options, storedData.timestamp);
+                
+                if (!this.isCacheValid(storedData, ttl)) {
+                    if (Config.FEATURES.DEBUG_MODE) {
+                        console.log(`💾 Using stored data for ${tableName}, refreshing in background`);
+                    }
+                    this.revalidate(tableName, options);
+                }
+                
+                return storedData.data;
+            }
         }
         
         // Check if request is already pending
@@ -113,86 +221,175 @@ class AirtableService {
             return this.pendingRequests.get(cacheKey);
         }
         
+        return this.loadFresh(tableName, options);
+    }
+
+    /**
+     * Fetch from Airtable and update the memory and persisted caches
+     */
+    async loadFresh(tableName, options = {}) {
+        const cacheKey = this.getCacheKey(tableName, options);
+        
         // Create new request
         const requestPromise = this.performFetch(tableName, options);
         this.pendingRequests.set(cacheKey, requestPromise);
         
         try {
             const data = await requestPromise;
+            const timestamp = Date.now();
             
             // Cache the successful response
             if (Config.FEATURES.USE_CACHE) {
                 this.cache.set(cacheKey, {
                     data: data,
-                    timestamp: Date.now()
+                    timestamp: timestamp
                 });
+                
+                if (this.isPersisted(tableName) && !options.noCache) {
+                    this.persistentCache.set(this.getPersistentKey(cacheKey), data, timestamp);
+                    this.setDataTimestamp(cacheKey, tableName, options, timestamp);
+                }
             }
             
+            this.setOffline(false);
             return data;
+        } catch (error) {
+            if (this.isUnreachableError(error)) {
+                this.setOffline(true);
+            }
+            throw error;
         } finally {
             this.pendingRequests.delete(cacheKey);
         }
     }
 
     /**
-     * Perform the actual fetch with retry logic
+     * Refresh data in the background, keeping what is cached if it fails
      */
-    async performFetch(tableName, options = {}, retryCount = 0) {
-        const url = this.getTableUrl(tableName, options);
+    revalidate(tableName, options = {}) {
+        const cacheKey = this.getCacheKey(tableName, options);
+        if (this.pendingRequests.has(cacheKey)) return;
         
-        if (Config.FEATURES.DEBUG_MODE) {
-            console.log(`🔄 Fetching: ${url}`);
+        this.loadFresh(tableName, options).catch(error => {
+            console.warn(`Could not refresh ${tableName}, keeping cached data:`, error.message);
+        });
+    }
+
+    /**
+     * Refresh every persisted entry that is stale (or all of them when offline or forced)
+     */
+    revalidateAll(force = false) {
+        for (const [cacheKey, entry] of this.dataTimestamps) {
+            const isStale = !this.isCacheValid(this.cache.get(cacheKey), this.getCacheTtl(entry.tableName));
+            if (force || this.isOffline || isStale) {
+                this.revalidate(entry.tableName, entry.options);
+            }
         }
+    }
+
+    /**
+     * Network failures and gateway errors mean Airtable (or the proxy) is unreachable
+     */
+    isUnreachableError(error) {
+        return !error.status || [502, 503, 504].includes(error.status);
+    }
+
+    // =========================================================================
+    // Data status ("data as of", offline)
+    // =========================================================================
+
+    /**
+     * Remember when the data served for a cache key was fetched
+     */
+    setDataTimestamp(cacheKey, tableName, options, timestamp) {
+        this.dataTimestamps.set(cacheKey, { tableName, options, timestamp });
+        this.notifyStatusChange();
+    }
+
+    /**
+     * Switch offline (read-only) mode on or off
+     */
+    setOffline(isOffline) {
+        if (this.isOffline === isOffline) return;
         
-        try {
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: this.getHeaders(),
-                signal: AbortSignal.timeout(Config.API.TIMEOUT)
-            });
-            
-            if (!response.ok) {
-                // Get more details about the error
-                let errorDetails = `HTTP error! status: ${response.status}`;
-                try {
-                    const errorBody = await response.json();
-                    if (errorBody.error) {
-                        errorDetails = `Airtable Error: ${errorBody.error.type || 'Unknown'} - ${errorBody.error.message || 'No message'}`;
-                        console.error('📛 Airtable API Error:', errorBody.error);
-                    }
-                } catch (e) {
-                    // Could not parse error body
-                }
-                throw new Error(errorDetails);
-            }
-            
-            const data = await response.json();
-            
-            // Handle pagination
-            let allRecords = [...data.records];
-            
-            if (data.offset && !options.noPagination) {
-                const nextOptions = { ...options, offset: data.offset };
-                const nextData = await this.performFetch(tableName, nextOptions);
-                allRecords = [...allRecords, ...nextData];
+        this.isOffline = isOffline;
+        console.log(isOffline
+            ? '📴 Airtable unreachable, working read-only from cached data'
+            : '📶 Airtable reachable again');
+        this.notifyStatusChange();
+    }
+
+    /**
+     * Current data status: { offline, asOf (oldest data in use), stale }
+     */
+    getDataStatus() {
+        const entries = [...this.dataTimestamps.values()];
+        const timestamps = entries.map(entry => entry.timestamp);
+        
+        return {
+            offline: this.isOffline,
+            asOf: timestamps.length > 0 ? Math.min(...timestamps) : null,
+            stale: entries.some(entry => Date.now() - entry.timestamp >= this.getCacheTtl(entry.tableName))
+        };
+    }
+
+    /**
+     * Call a listener with the data status whenever it changes
+     */
+    onStatusChange(listener) {
+        this.statusListeners.push(listener);
+        listener(this.getDataStatus());
+    }
+
+    /**
+     * Notify status listeners
+     */
+    notifyStatusChange() {
+        const status = this.getDataStatus();
+        this.statusListeners.forEach(listener => {
+            try {
+                listener(status);
+            } catch (error) {
+                console.error('Data status listener failed:', error);
             }
-            
-            return allRecords;
-            
-        } catch (error) {
-            // Retry logic for network errors only
-            if (retryCount < Config.API.RETRY_ATTEMPTS && !error.message.includes('422') && !error.message.includes('INVALID_FILTER')) {
+        });
+    }
+
+    /**
+     * Perform the actual fetch, following pagination.
+     * Rate limiting and retries are handled by the request scheduler.
+     */
+    async performFetch(tableName, options = {}) {
+        const allRecords = [];
+        let offset = options.offset || null;
+        
+        try {
+            do {
+                const url = this.getTableUrl(tableName, { ...options, offset });
+                
                 if (Config.FEATURES.DEBUG_MODE) {
-                    console.log(`⚠️ Retry ${retryCount + 1}/${Config.API.RETRY_ATTEMPTS} for ${tableName}`);
+                    console.log(`🔄 Fetching: ${url}`);
                 }
                 
-                await new Promise(resolve => 
-                    setTimeout(resolve, Config.API.RETRY_DELAY * (retryCount + 1))
-                );
+                const response = await this.scheduler.fetch(url, {
+                    method: 'GET',
+                    headers: this.getHeaders()
+                });
                 
-                return this.performFetch(tableName, options, retryCount + 1);
-            }
+                if (!response.ok) {
+                    throw await this.createResponseError(response);
+                }
+                
+                const data = await response.json();
+                allRecords.push(...data.records);
+                
+                // Handle pagination
+                offset = options.noPagination ? null : data.offset;
+            } while (offset);
             
+            return allRecords;
+            
+        } catch (error) {
             console.error(`❌ Failed to fetch ${tableName}:`, error);
             throw error;
         }
@@ -208,15 +405,269 @@ class AirtableService {
                     this.cache.delete(key);
                 }
             }
+            for (const [key] of this.dataTimestamps) {
+                if (key.startsWith(tableName)) {
+                    this.dataTimestamps.delete(key);
+                }
+            }
+            this.persistentCache.removeByPrefix(this.getPersistentKey(tableName));
         } else {
             this.cache.clear();
+            this.dataTimestamps.clear();
+            this.persistentCache.removeByPrefix(this.getPersistentKey(''));
         }
         
+        this.notifyStatusChange();
+        
         if (Config.FEATURES.DEBUG_MODE) {
             console.log(`🧹 Cache cleared: ${tableName || 'all'}`);
         }
     }
 
+    /**
+     * Build an error from a failed response, keeping the status and Airtable error type
+     */
+    async createResponseError(response) {
+        let errorDetails = `HTTP error! status: ${response.status}`;
+        let type = null;
+        
+        // Get more details about the error
+        try {
+            const errorBody = await response.json();
+            if (errorBody.error) {
+                type = typeof errorBody.error === 'string' ? errorBody.error : errorBody.error.type || null;
+                errorDetails = `Airtable Error: ${type || 'Unknown'} - ${errorBody.error.message || 'No message'}`;
+                console.error('📛 Airtable API Error:', errorBody.error);
+            }
+        } catch (e) {
+            // Could not parse error body
+        }
+        
+        // A web server without the proxy answers its endpoints with a plain 404
+        if (this.useProxy && !type && response.status === 404) {
+            errorDetails = `Airtable proxy not found at ${this.proxyUrl}: start server/airtableProxy.js and open the app ` +
+                'through it, or turn off FEATURES.USE_PROXY in src/js/config.js';
+        }
+        
+        const error = new Error(errorDetails);
+        error.status = response.status;
+        error.type = type;
+        return error;
+    }
+
+    // =========================================================================
+    // Write methods
+    // =========================================================================
+
+    /**
+     * Create records. Each item is a fields object.
+     * Options: typecast (let Airtable convert values, e.g. create select options)
+     * Returns { records: [{ id, createdTime, fields }], errors: [{ index, record, error, status }] }
+     */
+    async createRecords(tableName, items, options = {}) {
+        return this.writeInBatches(tableName, items, async batch => {
+            const data = await this.sendWriteRequest('POST', this.getTableUrl(tableName), {
+                records: batch.map(fields => ({ fields })),
+                typecast: Boolean(options.typecast)
+            });
+            return data.records;
+        });
+    }
+
+    /**
+     * Update records. Each item is { id, fields }.
+     * Options: typecast, replace (PUT: clear fields that aren't given)
+     */
+    async updateRecords(tableName, items, options = {}) {
+        return this.writeInBatches(tableName, items, async batch => {
+            const data = await this.sendWriteRequest(options.replace ? 'PUT' : 'PATCH', this.getTableUrl(tableName), {
+                records: batch.map(({ id, fields }) => ({ id, fields })),
+                typecast: Boolean(options.typecast)
+            });
+            return data.records;
+        });
+    }
+
+    /**
+     * Create or update records matched on the given fields.
+     * Each item is a fields object; returned records are flagged with created: true/false.
+     */
+    async upsertRecords(tableName, items, fieldsToMergeOn, options = {}) {
+        return this.writeInBatches(tableName, items, async batch => {
+            const data = await this.sendWriteRequest('PATCH', this.getTableUrl(tableName), {
+                performUpsert: { fieldsToMergeOn },
+                records: batch.map(fields => ({ fields })),
+                typecast: Boolean(options.typecast)
+            });
+            const createdIds = data.createdRecords || [];
+            return data.records.map(record => ({ ...record, created: createdIds.includes(record.id) }));
+        });
+    }
+
+    /**
+     * Delete records by id.
+     * Returns { records: [{ id, deleted }], errors: [...] }
+     */
+    async deleteRecords(tableName, ids) {
+        return this.writeInBatches(tableName, ids, async batch => {
+            const params = new URLSearchParams();
+            batch.forEach(id => params.append('records[]', id));
+            
+            const data = await this.sendWriteRequest('DELETE', `${this.getTableUrl(tableName)}?${params.toString()}`);
+            return data.records;
+        });
+    }
+
+    /**
+     * Create a single record, throwing if it fails
+     */
+    async createRecord(tableName, fields, options = {}) {
+        const { records, errors } = await this.createRecords(tableName, [fields], options);
+        
+        if (errors.length > 0) {
+            const error = new Error(errors[0].error);
+            error.status = errors[0].status;
+            throw error;
+        }
+        
+        return records[0];
+    }
+
+    /**
+     * Send items in batches of Config.API.WRITE_BATCH_SIZE, collecting errors per item.
+     * Airtable rejects a whole batch if one record is invalid (422), so such
+     * batches are retried one record at a time to find the failing ones.
+     */
+    async writeInBatches(tableName, items, sendBatch) {
+        const result = { records: [], errors: [] };
+        const batchSize = Config.API.WRITE_BATCH_SIZE;
+        
+        for (let start = 0; start < items.length; start += batchSize) {
+            const batch = items.slice(start, start + batchSize);
+            
+            try {
+                const records = await sendBatch(batch);
+                result.records.push(...records.map(record => this.normalizeRecord(record)));
+            } catch (error) {
+                if (error.status === 422 && batch.length > 1) {
+                    for (let i = 0; i < batch.length; i++) {
+                        try {
+                            const records = await sendBatch([batch[i]]);
+                            result.records.push(...records.map(record => this.normalizeRecord(record)));
+                        } catch (itemError) {
+                            result.errors.push(this.createItemError(start + i, batch[i], itemError));
+                        }
+                    }
+                } else {
+                    batch.forEach((item, i) => {
+                        result.errors.push(this.createItemError(start + i, item, error));
+                    });
+                }
+            }
+        }
+        
+        // Cached reads of this table are now stale
+        if (result.records.length > 0) {
+            this.clearCache(tableName);
+        }
+        
+        if (Config.FEATURES.DEBUG_MODE) {
+            console.log(`✏️ Wrote ${result.records.length} records to ${tableName}, ${result.errors.length} failed`);
+        }
+        
+        return result;
+    }
+
+    /**
+     * Send a write request and return the parsed body
+     */
+    async sendWriteRequest(method, url, body = null) {
+        if (Config.FEATURES.DEBUG_MODE) {
+            console.log(`✏️ ${method}: ${url}`);
+        }
+        
+        const response = await this.scheduler.fetch(url, {
+            method: method,
+            headers: this.getHeaders(),
+            body: body ? JSON.stringify(body) : undefined
+        });
+        
+        if (!response.ok) {
+            throw await this.createResponseError(response);
+        }
+        
+        return response.json();
+    }
+
+    /**
+     * Normalize a written record
+     */
+    normalizeRecord(record) {
+        const normalized = {
+            id: record.id,
+            createdTime: record.createdTime || null,
+            fields: record.fields || {}
+        };
+        
+        if (record.deleted !== undefined) normalized.deleted = record.deleted;
+        if (record.created !== undefined) normalized.created = record.created;
+        
+        return normalized;
+    }
+
+    /**
+     * Per-item error entry
+     */
+    createItemError(index, item, error) {
+        return {
+            index: index,
+            record: item,
+            error: error.message,
+            status: error.status || null
+        };
+    }
+
+    // =========================================================================
+    // Schema
+    // =========================================================================
+
+    /**
+     * Fetch the tables and fields of the base from the metadata API
+     * (the token needs the schema.bases:read scope).
+     * Returns [{ id, name, fields: [{ id, name, type }] }]
+     */
+    async fetchTableSchemas() {
+        const url = this.useProxy
+            ? `${this.proxyUrl}${Config.PROXY.SCHEMA_ENDPOINT}`
+            : `${this.baseUrl}/meta/bases/${this.baseId}/tables`;
+        
+        const response = await this.scheduler.fetch(url, {
+            method: 'GET',
+            headers: this.getHeaders()
+        });
+        
+        if (!response.ok) {
+            throw await this.createResponseError(response);
+        }
+        
+        const data = await response.json();
+        return data.tables || [];
+    }
+
+    /**
+     * Field names seen in a sample of a table's records (empty fields aren't returned by Airtable)
+     */
+    async fetchSampleFieldNames(tableName, sampleSize = 50) {
+        const records = await this.fetchData(tableName, { maxRecords: sampleSize, noPagination: true, noCache: true });
+        const fieldNames = new Set();
+        
+        records.forEach(record => {
+            Object.keys(record.fields || {}).forEach(fieldName => fieldNames.add(fieldName));
+        });
+        
+        return { fieldNames: [...fieldNames], recordCount: records.length };
+    }
+
     // =========================================================================
     // Specific methods for each table
     // =========================================================================
@@ -228,26 +679,7 @@ class AirtableService {
         try {
             const records = await this.fetchData(Config.AIRTABLE.TABLES.BRANDS);
             
-            // Log field structure for first brand
-            if (records.length > 0 && !this.fieldMappings.brands.logged) {
-                console.log('📊 BRAND TABLE STRUCTURE:');
-                console.log('  Fields:', Object.keys(records[0].fields));
-                console.log('  Sample:', JSON.stringify(records[0].fields, null, 2));
-                this.fieldMappings.brands.logged = true;
-            }
-            
-            return records.map(record => {
-                const fields = record.fields;
-                
-                return {
-                    id: record.id,
-                    code: fields['Brand_Code'] || fields['Code'] || '',
-                    name: fields['Brand_Name'] || fields['Name'] || '',
-                    country: fields['Country'] || '',
-                    brazeCode: fields['Braze_Code'] || fields['Brand_Code'] || '',
-                    raw: fields
-                };
-            });
+            return records.map(record => airtableRecords.normalizeBrand(record));
         } catch (error) {
             console.error('Failed to fetch brands:', error);
             throw error;
@@ -255,98 +687,31 @@ class AirtableService {
     }
 
     /**
-     * Fetch products filtered by brand
+     * Fetch the products of a brand.
+     * Airtable formulas see linked records by their primary field, not their id,
+     * so the brand's reverse link (Brands.Products) supplies the ids to request.
+     * The formula is part of the cache key, so results are cached per brand.
      */
     async fetchProductsByBrand(brandId) {
         try {
-            // First, let's fetch ALL products to see their structure and find the right ones
-            console.log('🔍 Fetching all products to analyze structure...');
-            const allRecords = await this.fetchData(Config.AIRTABLE.TABLES.PRODUCTS);
+            const brand = await this.fetchBrandById(brandId);
+            const productIds = brand?.fields?.[Config.AIRTABLE.FIELDS.BRANDS.PRODUCTS];
             
-            if (allRecords.length > 0) {
-                console.log('📊 PRODUCT TABLE ANALYSIS:');
-                console.log('  Total products:', allRecords.length);
-                console.log('  First product fields:', Object.keys(allRecords[0].fields));
-                console.log('  First product data:', JSON.stringify(allRecords[0].fields, null, 2));
-                
-                // Look for any field that might contain brand references
-                const sampleProduct = allRecords[0].fields;
-                for (const [fieldName, fieldValue] of Object.entries(sampleProduct)) {
-                    if (fieldValue && (Array.isArray(fieldValue) || typeof fieldValue === 'string')) {
-                        // Check if this field contains record IDs (they start with 'rec')
-                        const valueToCheck = Array.isArray(fieldValue) ? fieldValue[0] : fieldValue;
-                        if (valueToCheck && typeof valueToCheck === 'string' && valueToCheck.startsWith('rec')) {
-                            console.log(`  Potential link field "${fieldName}":`, fieldValue);
-                        }
-                    }
-                }
+            let records;
+            if (Array.isArray(productIds)) {
+                records = await this.fetchRecordsById(Config.AIRTABLE.TABLES.PRODUCTS, productIds, this.getProductFields());
+            } else {
+                // No reverse link on the brand: filter the whole table on the product side
+                console.log('⚠️ Brand has no Products link field, filtering all products');
+                const allRecords = await this.fetchProjected(Config.AIRTABLE.TABLES.PRODUCTS, {}, this.getProductFields());
+                records = this.filterByLink(allRecords, Config.AIRTABLE.FIELDS.PRODUCTS.BRAND, brandId);
             }
             
-            // Now filter products for our brand
-            // Since the Brand has a Products field with product IDs, we can use those IDs
-            const brand = await this.fetchBrandById(brandId);
-            if (brand && brand.fields.Products) {
-                const productIds = brand.fields.Products;
-                console.log('📦 Brand has these product IDs:', productIds);
-                
-                // Filter products by ID
-                const brandProducts = allRecords.filter(record => 
-                    productIds.includes(record.id)
-                );
-                
-                console.log(`✅ Found ${brandProducts.length} products for brand`);
-                
-                return brandProducts.map(record => {
-                    const fields = record.fields;
-                    
-                    return {
-                        id: record.id,
-                        name: fields['Product_Name'] || fields['Name'] || 'Unknown Product',
-                        type: fields['Product_Type'] || fields['Type'] || fields['Category'] || '',
-                        code: fields['Product_Code'] || fields['Code'] || fields['SKU'] || '',
-                        brandIds: [brandId], // We know this product belongs to this brand
-                        promocodeId: fields['Promocode_ID'] || fields['Promocode ID'] || '',
-                        raw: fields
-                    };
-                });
+            if (Config.FEATURES.DEBUG_MODE) {
+                console.log(`✅ Found ${records.length} products for brand ${brandId}`);
             }
             
-            // If we can't find products through the brand's Products field, try other methods
-            console.log('⚠️ Could not find products through Brand.Products field');
-            
-            // Try to find which field in Products links to Brand
-            const records = allRecords.filter(record => {
-                const fields = record.fields;
-                
-                // Check various possible field names
-                for (const possibleField of ['Brand', 'Brands', 'Brand_ID', 'BrandID', 'brand']) {
-                    const fieldValue = fields[possibleField];
-                    if (fieldValue) {
-                        if (Array.isArray(fieldValue)) {
-                            if (fieldValue.includes(brandId)) return true;
-                        } else if (fieldValue === brandId) {
-                            return true;
-                        }
-                    }
-                }
-                return false;
-            });
-            
-            console.log(`📦 Alternative filter found ${records.length} products`);
-            
-            return records.map(record => {
-                const fields = record.fields;
-                
-                return {
-                    id: record.id,
-                    name: fields['Product_Name'] || fields['Name'] || 'Unknown Product',
-                    type: fields['Product_Type'] || fields['Type'] || fields['Category'] || '',
-                    code: fields['Product_Code'] || fields['Code'] || fields['SKU'] || '',
-                    brandIds: [brandId],
-                    promocodeId: fields['Promocode_ID'] || fields['Promocode ID'] || '',
-                    raw: fields
-                };
-            });
+            return records.map(record => airtableRecords.normalizeProduct(record, [brandId]));
         } catch (error) {
             console.error('Failed to fetch products:', error);
             return [];
@@ -358,21 +723,19 @@ class AirtableService {
      */
     async fetchBrandById(brandId) {
         try {
-            // Try to get from cache first
-            const cachedBrands = this.cache.get(`${Config.AIRTABLE.TABLES.BRANDS}_{}`);
-            if (cachedBrands && this.isCacheValid(cachedBrands)) {
-                const brand = cachedBrands.data.find(b => b.id === brandId);
-                if (brand) return brand;
-            }
+            // The brand list is usually cached or already loading: share that request
+            const brands = await this.fetchData(Config.AIRTABLE.TABLES.BRANDS);
+            const cachedBrand = brands.find(b => b.id === brandId);
+            if (cachedBrand) return cachedBrand;
             
             // Fetch directly
-            const url = `${this.baseUrl}/${this.baseId}/${Config.AIRTABLE.TABLES.BRANDS}/${brandId}`;
-            const response = await fetch(url, {
+            const url = `${this.getTableBaseUrl(Config.AIRTABLE.TABLES.BRANDS)}/${brandId}`;
+            const response = await this.scheduler.fetch(url, {
                 headers: this.getHeaders()
             });
             
             if (!response.ok) {
-                throw new Error(`Failed to fetch brand: ${response.status}`);
+                throw await this.createResponseError(response);
             }
             
             const data = await response.json();
@@ -390,19 +753,7 @@ class AirtableService {
         try {
             const records = await this.fetchData(Config.AIRTABLE.TABLES.PRODUCTS);
             
-            return records.map(record => {
-                const fields = record.fields;
-                
-                return {
-                    id: record.id,
-                    name: fields['Product_Name'] || fields['Name'] || 'Unknown Product',
-                    type: fields['Product_Type'] || fields['Type'] || '',
-                    code: fields['Product_Code'] || fields['Code'] || '',
-                    brandIds: fields['Brand'] || fields['Brands'] || [],
-                    promocodeId: fields['Promocode_ID'] || '',
-                    raw: fields
-                };
-            });
+            return records.map(record => airtableRecords.normalizeProduct(record));
         } catch (error) {
             console.error('Failed to fetch all products:', error);
             throw error;
@@ -410,56 +761,44 @@ class AirtableService {
     }
 
     /**
-     * Fetch rate plans filtered by product
+     * Fetch all rate plans
+     */
+    async fetchAllRatePlans() {
+        try {
+            const records = await this.fetchData(Config.AIRTABLE.TABLES.RATE_PLANS);
+            
+            return records.map(record => airtableRecords.normalizeRatePlan(record));
+        } catch (error) {
+            console.error('Failed to fetch all rate plans:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch the rate plans of a product, using the product's reverse link
+     * (Products.Rate_Plans) like fetchProductsByBrand. Cached per product.
      */
     async fetchRatePlansByProduct(productId) {
         try {
-            // First fetch all rate plans to understand structure
-            console.log('🔍 Fetching rate plans for product:', productId);
-            const allRecords = await this.fetchData(Config.AIRTABLE.TABLES.RATE_PLANS);
+            const linkField = Config.AIRTABLE.FIELDS.PRODUCTS.RATE_PLANS;
+            const [product] = await this.fetchRecordsById(Config.AIRTABLE.TABLES.PRODUCTS, [productId], [linkField]);
+            const ratePlanIds = product?.fields?.[linkField];
             
-            if (allRecords.length > 0 && !this.fieldMappings.ratePlans.logged) {
-                console.log('📊 RATE PLAN TABLE STRUCTURE:');
-                console.log('  Total rate plans:', allRecords.length);
-                console.log('  First rate plan fields:', Object.keys(allRecords[0].fields));
-                console.log('  First rate plan data:', JSON.stringify(allRecords[0].fields, null, 2));
-                this.fieldMappings.ratePlans.logged = true;
+            let records;
+            if (Array.isArray(ratePlanIds)) {
+                records = await this.fetchRecordsById(Config.AIRTABLE.TABLES.RATE_PLANS, ratePlanIds, this.getRatePlanFields());
+            } else {
+                // No reverse link (or no rate plans): filter the whole table on the rate plan side
+                console.log('⚠️ Product has no Rate_Plans links, filtering all rate plans');
+                const allRecords = await this.fetchProjected(Config.AIRTABLE.TABLES.RATE_PLANS, {}, this.getRatePlanFields());
+                records = this.filterByLink(allRecords, Config.AIRTABLE.FIELDS.RATE_PLANS.PRODUCT, productId);
             }
             
-            // Filter for this product
-            const records = allRecords.filter(record => {
-                const fields = record.fields;
-                
-                // Check various possible field names for product link
-                for (const possibleField of ['Product', 'Products', 'Product_ID', 'ProductID']) {
-                    const fieldValue = fields[possibleField];
-                    if (fieldValue) {
-                        if (Array.isArray(fieldValue)) {
-                            if (fieldValue.includes(productId)) return true;
-                        } else if (fieldValue === productId) {
-                            return true;
-                        }
-                    }
-                }
-                return false;
-            });
-            
-            console.log(`📦 Found ${records.length} rate plans for product`);
+            if (Config.FEATURES.DEBUG_MODE) {
+                console.log(`📦 Found ${records.length} rate plans for product ${productId}`);
+            }
             
-            return records.map(record => {
-                const fields = record.fields;
-                
-                return {
-                    id: record.id,
-                    code: fields['Code'] || fields['Plan_Code'] || '',
-                    name: fields['Name'] || fields['Plan_Name'] || fields['Rate_Plan_Name'] || '',
-                    price: fields['Price'] || 0,
-                    category: fields['Category'] || fields['Type'] || '',
-                    productIds: [productId],
-                    planId: fields['Plan_ID'] || fields['ID'] || '',
-                    raw: fields
-                };
-            });
+            return records.map(record => airtableRecords.normalizeRatePlan(record, [productId]));
         } catch (error) {
             console.error('Failed to fetch rate plans:', error);
             return [];
@@ -467,58 +806,351 @@ class AirtableService {
     }
 
     /**
-     * Fetch promocode ruleset
+     * Fetch records by id, in chunks so the formula keeps the URL short
      */
-    async fetchPromocodeRuleset(brandId = null) {
+    async fetchRecordsById(tableName, recordIds, fields = null) {
+        const chunkSize = 50;
+        const records = [];
+        
+        for (let start = 0; start < recordIds.length; start += chunkSize) {
+            const conditions = recordIds
+                .slice(start, start + chunkSize)
+                .map(id => `RECORD_ID()='${this.escapeFormulaValue(id)}'`);
+            
+            records.push(...await this.fetchProjected(tableName, {
+                filterByFormula: conditions.length === 1 ? conditions[0] : `OR(${conditions.join(',')})`
+            }, fields));
+        }
+        
+        return records;
+    }
+
+    /**
+     * Fetch only the given fields. Airtable rejects unknown field names (422),
+     * so if the configured names don't match the table, fall back to all fields.
+     */
+    async fetchProjected(tableName, options = {}, fields = null) {
+        if (!fields) {
+            return this.fetchData(tableName, options);
+        }
+        
         try {
-            // Try to fetch from Rulesets table if it exists
-            const records = await this.fetchData(Config.AIRTABLE.TABLES.RULESETS, {
-                maxRecords: 1
+            return await this.fetchData(tableName, { ...options, fields });
+        } catch (error) {
+            if (error.status === 422 && error.type === 'UNKNOWN_FIELD_NAME') {
+                console.warn(`⚠️ Configured ${tableName} fields not found, fetching all fields:`, fields);
+                return this.fetchData(tableName, options);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Keep records whose link field includes a record id
+     */
+    filterByLink(records, fieldName, recordId) {
+        return records.filter(record => {
+            const fieldValue = record.fields[fieldName];
+            return Array.isArray(fieldValue) ? fieldValue.includes(recordId) : fieldValue === recordId;
+        });
+    }
+
+    /**
+     * Product fields used by normalizeProduct
+     */
+    getProductFields() {
+        const fieldMap = Config.AIRTABLE.FIELDS.PRODUCTS;
+        return [fieldMap.PRODUCT_NAME, fieldMap.PRODUCT_TYPE, fieldMap.PRODUCT_CODE, fieldMap.BRAND, fieldMap.PROMOCODE_ID];
+    }
+
+    /**
+     * Rate plan fields used by normalizeRatePlan
+     */
+    getRatePlanFields() {
+        const fieldMap = Config.AIRTABLE.FIELDS.RATE_PLANS;
+        return [fieldMap.PLAN_CODE, fieldMap.PLAN_NAME, fieldMap.PRICE, fieldMap.CATEGORY, fieldMap.PRODUCT, fieldMap.PLAN_ID];
+    }
+
+    /**
+     * Fetch every promocode ruleset version (none when the table is missing or
+     * empty: DataSource then falls back to the default ruleset)
+     */
+    async fetchPromocodeRulesets() {
+        try {
+            const fieldMap = Config.AIRTABLE.FIELDS.RULESETS;
+            const records = await this.fetchData(Config.AIRTABLE.TABLES.RULESETS);
+            
+            const promocodeRecords = records.filter(record => {
+                const type = record.fields[fieldMap.TYPE];
+                return !type || String(type).toLowerCase() === 'promocode';
             });
             
-            if (records.length > 0) {
-                const ruleset = records[0].fields;
-                console.log('📋 Found ruleset in Airtable:', ruleset);
+            const rulesets = [];
+            for (const record of promocodeRecords) {
+                rulesets.push(await this.normalizeRuleset(record));
+            }
+            
+            return rulesets;
+        } catch (error) {
+            console.log('📋 No Rulesets table or error fetching, using defaults');
+            return [];
+        }
+    }
+
+    /**
+     * Convert a Rulesets record into a ruleset object
+     */
+    async normalizeRuleset(record) {
+        const fieldMap = Config.AIRTABLE.FIELDS.RULESETS;
+        const fields = record.fields;
+        
+        // Parse JSON fields if they exist
+        let periodMap = Config.PROMOCODE.PERIODS;
+        let termMap = Config.PROMOCODE.TERMS;
+        let priceTypeMap = Config.PROMOCODE.DISCOUNT_TYPES;
+        
+        try {
+            if (fields[fieldMap.PERIOD_MAP]) periodMap = JSON.parse(fields[fieldMap.PERIOD_MAP]);
+            if (fields[fieldMap.TERM_MAP]) termMap = JSON.parse(fields[fieldMap.TERM_MAP]);
+            if (fields[fieldMap.PRICE_TYPE_MAP]) priceTypeMap = JSON.parse(fields[fieldMap.PRICE_TYPE_MAP]);
+        } catch (e) {
+            console.log('Could not parse JSON fields');
+        }
+        
+        return {
+            id: record.id,
+            name: fields[fieldMap.NAME] || 'Ruleset',
+            version: fields[fieldMap.VERSION] !== undefined ? String(fields[fieldMap.VERSION]) : '1',
+            // Rulesets created before Status existed have none and were in use: keep them active
+            status: fields[fieldMap.STATUS] || Config.PROMOCODE.RULESET_STATUSES.ACTIVE,
+            effectiveFrom: fields[fieldMap.EFFECTIVE_FROM] || null,
+            effectiveTo: fields[fieldMap.EFFECTIVE_TO] || null,
+            defaultForBrands: fields[fieldMap.DEFAULT_FOR_BRANDS] || [],
+            separator: fields[fieldMap.SEPARATOR] || '-',
+            casing: fields[fieldMap.CASING] || 'UPPER',
+            periodMap: periodMap,
+            termMap: termMap,
+            priceTypeMap: priceTypeMap,
+            freetextMaxLength: fields[fieldMap.FREETEXT_MAX_LENGTH] || 15,
+            // Null regexes are derived from the period/term/price type maps
+            initialOfferRegex: fields[fieldMap.INITIAL_OFFER_REGEX] || null,
+            renewalPlanRegex: fields[fieldMap.RENEWAL_PLAN_REGEX] || null,
+            segments: await this.fetchPromocodeSegments(record.id, fields[fieldMap.SEGMENTS_ORDER])
+        };
+    }
+
+    /**
+     * Fetch per-brand ruleset overrides
+     */
+    async fetchBrandOverrides() {
+        try {
+            const fieldMap = Config.AIRTABLE.FIELDS.BRAND_OVERRIDES;
+            const records = await this.fetchData(Config.AIRTABLE.TABLES.BRAND_OVERRIDES);
+            
+            return records.map(record => {
+                const fields = record.fields;
+                const values = {};
                 
-                // Parse JSON fields if they exist
-                let periodMap = Config.PROMOCODE.PERIODS;
-                let termMap = Config.PROMOCODE.TERMS;
-                let priceTypeMap = Config.PROMOCODE.DISCOUNT_TYPES;
+                if (fields[fieldMap.SEPARATOR]) values.separator = fields[fieldMap.SEPARATOR];
+                if (fields[fieldMap.CASING]) values.casing = fields[fieldMap.CASING];
+                if (fields[fieldMap.FREETEXT_MAX_LENGTH]) values.freetextMaxLength = fields[fieldMap.FREETEXT_MAX_LENGTH];
+                if (fields[fieldMap.INITIAL_OFFER_REGEX]) values.initialOfferRegex = fields[fieldMap.INITIAL_OFFER_REGEX];
+                if (fields[fieldMap.RENEWAL_PLAN_REGEX]) values.renewalPlanRegex = fields[fieldMap.RENEWAL_PLAN_REGEX];
                 
                 try {
-                    if (ruleset['Period_Map_JSON']) periodMap = JSON.parse(ruleset['Period_Map_JSON']);
-                    if (ruleset['Term_Map_JSON']) termMap = JSON.parse(ruleset['Term_Map_JSON']);
-                    if (ruleset['Price_Type_Map_JSON']) priceTypeMap = JSON.parse(ruleset['Price_Type_Map_JSON']);
+                    if (fields[fieldMap.PERIOD_MAP]) values.periodMap = JSON.parse(fields[fieldMap.PERIOD_MAP]);
+                    if (fields[fieldMap.TERM_MAP]) values.termMap = JSON.parse(fields[fieldMap.TERM_MAP]);
+                    if (fields[fieldMap.PRICE_TYPE_MAP]) values.priceTypeMap = JSON.parse(fields[fieldMap.PRICE_TYPE_MAP]);
                 } catch (e) {
-                    console.log('Could not parse JSON fields');
+                    console.log('Could not parse brand override JSON fields');
                 }
                 
                 return {
-                    separator: ruleset['Separator'] || '-',
-                    casing: ruleset['Casing'] || 'UPPER',
-                    periodMap: periodMap,
-                    termMap: termMap,
-                    priceTypeMap: priceTypeMap,
-                    freetextMaxLength: ruleset['Freetext_Max_Length'] || 15,
-                    initialOfferRegex: ruleset['InitialOffer_Regex'] || '^(\\d+)([MUQY])(\\d+)([KP])$',
-                    renewalPlanRegex: ruleset['RenewalPlan_Regex'] || '^([MQYU])(\\d+)$'
+                    id: record.id,
+                    brandIds: fields[fieldMap.BRAND] || [],
+                    rulesetIds: fields[fieldMap.RULESET] || [],
+                    values: values
                 };
+            });
+        } catch (error) {
+            console.log('📋 No Brand_Overrides table or error fetching, using rulesets as-is');
+            return [];
+        }
+    }
+
+    /**
+     * Fetch rule components (segment definitions), optionally linked to a ruleset
+     */
+    async fetchRuleComponents(rulesetId = null) {
+        const fieldMap = Config.AIRTABLE.FIELDS.RULE_COMPONENTS;
+        const records = await this.fetchData(Config.AIRTABLE.TABLES.RULE_COMPONENTS);
+        
+        return records
+            .filter(record => {
+                // Components without a ruleset link apply to every ruleset
+                const rulesetIds = record.fields[fieldMap.RULESET];
+                return !rulesetId || !rulesetIds || rulesetIds.length === 0 || rulesetIds.includes(rulesetId);
+            })
+            .map(record => {
+                const fields = record.fields;
+                const name = String(fields[fieldMap.NAME] || '').trim().toUpperCase().replace(/\s+/g, '_');
+                const defaults = Config.PROMOCODE.SEGMENTS.find(segment => segment.name === name) || {};
+                
+                return {
+                    id: record.id,
+                    name: name,
+                    label: fields[fieldMap.LABEL] || defaults.label || name,
+                    field: fields[fieldMap.FIELD] || defaults.field ||
+                        name.toLowerCase().replace(/_([a-z])/g, (match, letter) => letter.toUpperCase()),
+                    position: Number(fields[fieldMap.POSITION]) || 0,
+                    required: Boolean(fields[fieldMap.REQUIRED]),
+                    regex: fields[fieldMap.REGEX] || defaults.regex || null,
+                    vocabularySource: fields[fieldMap.VOCABULARY_SOURCE] || defaults.vocabularySource || null
+                };
+            })
+            .filter(component => component.name);
+    }
+
+    /**
+     * Fetch ordered segment definitions for a ruleset, falling back to defaults
+     */
+    async fetchPromocodeSegments(rulesetId = null, segmentsOrder = null) {
+        let components = [];
+        
+        try {
+            components = await this.fetchRuleComponents(rulesetId);
+        } catch (error) {
+            console.log('📋 No Rule_Components table or error fetching, using default segments');
+        }
+        
+        const order = this.parseSegmentsOrder(segmentsOrder);
+        
+        if (order.length > 0) {
+            // Segments_Order wins; fall back to default definitions for unlisted components
+            return order
+                .map(name => components.find(component => component.name === name) ||
+                    Config.PROMOCODE.SEGMENTS.find(segment => segment.name === name))
+                .filter(Boolean);
+        }
+        
+        if (components.length > 0) {
+            return [...components].sort((a, b) => a.position - b.position);
+        }
+        
+        return Config.PROMOCODE.SEGMENTS;
+    }
+
+    /**
+     * Parse a Segments_Order value (JSON array or comma-separated names)
+     */
+    parseSegmentsOrder(value) {
+        if (!value) return [];
+        
+        let names = value;
+        if (typeof value === 'string') {
+            try {
+                names = JSON.parse(value);
+            } catch (e) {
+                names = value.split(',');
             }
+        }
+        
+        if (!Array.isArray(names)) return [];
+        
+        return names
+            .map(name => String(name).trim().toUpperCase().replace(/\s+/g, '_'))
+            .filter(Boolean);
+    }
+
+    /**
+     * Fetch promocode code types (all, including inactive)
+     */
+    async fetchCodeTypes() {
+        try {
+            const records = await this.fetchData(Config.AIRTABLE.TABLES.PROMOCODE_CODE_TYPES);
+            
+            return records
+                .map(record => airtableRecords.normalizeCodeType(record))
+                .filter(codeType => codeType.code);
         } catch (error) {
-            console.log('📋 No Rulesets table or error fetching, using defaults');
+            console.error('Failed to fetch code types:', error);
+            throw error;
         }
+    }
+
+    /**
+     * Fetch Braze object types (all, including inactive)
+     */
+    async fetchBrazeObjectTypes() {
+        return this.fetchBrazeVocabulary('BRAZE_OBJECT_TYPES');
+    }
+
+    /**
+     * Fetch Braze code classes (all, including inactive)
+     */
+    async fetchBrazeCodeClasses() {
+        return this.fetchBrazeVocabulary('BRAZE_CODE_CLASSES');
+    }
+
+    /**
+     * Fetch a Braze vocabulary table (keyed like AIRTABLE.TABLES)
+     */
+    async fetchBrazeVocabulary(tableKey) {
+        try {
+            const records = await this.fetchData(Config.AIRTABLE.TABLES[tableKey]);
+
+            return records
+                .map(record => airtableRecords.normalizeBrazeVocabularyEntry(record, tableKey))
+                .filter(entry => entry.code);
+        } catch (error) {
+            console.error(`Failed to fetch ${Config.AIRTABLE.TABLES[tableKey]}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find shared history records for a code (case-insensitive, never cached)
+     */
+    async fetchPromocodeHistoryByCode(code) {
+        const fieldMap = Config.AIRTABLE.FIELDS.PROMOCODE_HISTORY;
+        const formula = `UPPER({${fieldMap.CODE}}) = '${this.escapeFormulaValue(code.toUpperCase())}'`;
         
-        // Return default ruleset
-        return {
-            separator: '-',
-            casing: 'UPPER',
-            periodMap: Config.PROMOCODE.PERIODS,
-            termMap: Config.PROMOCODE.TERMS,
-            priceTypeMap: Config.PROMOCODE.DISCOUNT_TYPES,
-            freetextMaxLength: 15,
-            initialOfferRegex: '^(\\d+)([MUQY])(\\d+)([KP])$',
-            renewalPlanRegex: '^([MQYU])(\\d+)$'
-        };
+        const records = await this.fetchData(Config.AIRTABLE.TABLES.PROMOCODE_HISTORY, {
+            filterByFormula: formula,
+            noCache: true
+        });
+        
+        return records.map(record => airtableRecords.normalizeHistoryRecord(record));
+    }
+
+    /**
+     * Find shared history records whose code starts with a prefix (case-insensitive, never cached)
+     */
+    async fetchPromocodeHistoryByPrefix(prefix) {
+        const fieldMap = Config.AIRTABLE.FIELDS.PROMOCODE_HISTORY;
+        const formula = `FIND('${this.escapeFormulaValue(prefix.toUpperCase())}', UPPER({${fieldMap.CODE}})) = 1`;
+
+        const records = await this.fetchData(Config.AIRTABLE.TABLES.PROMOCODE_HISTORY, {
+            filterByFormula: formula,
+            noCache: true
+        });
+
+        return records.map(record => airtableRecords.normalizeHistoryRecord(record));
+    }
+
+    /**
+     * Fetch the conformance fixtures (never cached: rule owners edit them while testing)
+     */
+    async fetchTestFixtures() {
+        const records = await this.fetchData(Config.AIRTABLE.TABLES.TESTS_FIXTURES, { noCache: true });
+        return records.map(record => airtableRecords.normalizeTestFixture(record));
+    }
+
+    /**
+     * Escape a value for use inside a single-quoted filterByFormula string
+     */
+    escapeFormulaValue(value) {
+        return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
     }
 }
 
@@ -527,6 +1159,7 @@ const airtableService = new AirtableService();
 
 // Export for use in other modules
 window.airtableService = airtableService;
+window.AirtableService = AirtableService;
 
 if (Config.FEATURES.DEBUG_MODE) {
     console.log('📡 Airtable Service initialized', airtableService);
@@ -35,7 +35,7 @@ class BrandService {
                 console.log('🏢 Fetching brands...');
             }
 
-            this.brands = await airtableService.fetchBrands();
+            this.brands = await dataSource.listBrands();
             
             if (Config.FEATURES.DEBUG_MODE) {
                 console.log(`✅ Fetched ${this.brands.length} brands`, this.brands);
@@ -129,7 +129,7 @@ class BrandService {
      */
     async refresh() {
         // Clear cache for brands
-        airtableService.clearCache(Config.AIRTABLE.TABLES.BRANDS);
+        dataSource.clearCache(Config.AIRTABLE.TABLES.BRANDS);
         
         // Fetch fresh data
         return this.fetchBrands();
@@ -0,0 +1,151 @@
+/* ============================================================================
+   CODEX NOVA NEBULA - Braze Vocabulary Service
+   Registry of Braze object types and code classes loaded from the
+   Braze_Object_Types and Braze_Code_Classes tables
+   ============================================================================ */
+
+class BrazeVocabularyService {
+    constructor() {
+        this.objectTypes = this.getDefaultEntries(Config.BRAZE.OBJECT_TYPES);
+        this.codeClasses = this.getDefaultEntries(Config.BRAZE.CODE_CLASSES);
+        this.isLoaded = false;
+        this.isLoading = false;
+        this.error = null;
+        this.loadPromise = null;
+    }
+
+    /**
+     * Initialize and fetch both vocabularies (once)
+     */
+    async initialize() {
+        if (this.isLoaded && !this.error) {
+            return this;
+        }
+
+        // Generator, parser and module all initialize on first use: share one fetch
+        if (!this.loadPromise) {
+            this.loadPromise = this.fetchVocabularies().finally(() => {
+                this.loadPromise = null;
+            });
+        }
+
+        return this.loadPromise;
+    }
+
+    /**
+     * Fetch both vocabularies, keeping the defaults for a table without active entries
+     */
+    async fetchVocabularies() {
+        this.isLoading = true;
+        this.error = null;
+
+        try {
+            const [objectTypes, codeClasses] = await Promise.all([
+                dataSource.listBrazeObjectTypes(),
+                dataSource.listBrazeCodeClasses()
+            ]);
+
+            this.objectTypes = this.pickEntries(objectTypes, Config.BRAZE.OBJECT_TYPES, 'object types');
+            this.codeClasses = this.pickEntries(codeClasses, Config.BRAZE.CODE_CLASSES, 'code classes');
+            this.isLoaded = true;
+
+            if (Config.FEATURES.DEBUG_MODE) {
+                console.log(`✅ Loaded ${this.objectTypes.length} Braze object types and ${this.codeClasses.length} code classes`);
+            }
+        } catch (error) {
+            this.error = error.message || 'Failed to fetch Braze vocabularies';
+            console.error('Braze vocabulary fetch error, using defaults:', error);
+            this.objectTypes = this.getDefaultEntries(Config.BRAZE.OBJECT_TYPES);
+            this.codeClasses = this.getDefaultEntries(Config.BRAZE.CODE_CLASSES);
+        } finally {
+            this.isLoading = false;
+        }
+
+        return this;
+    }
+
+    /**
+     * Loaded entries (inactive ones included, so old names still decode),
+     * or the defaults when none is active
+     */
+    pickEntries(entries, defaults, description) {
+        if (entries.some(entry => entry.active)) {
+            return entries;
+        }
+
+        console.log(`📧 No active Braze ${description} in Airtable, using defaults`);
+        return this.getDefaultEntries(defaults);
+    }
+
+    /**
+     * Entries from a Config.BRAZE map, used until (or if) Airtable can't be loaded
+     */
+    getDefaultEntries(map) {
+        return Object.entries(map).map(([code, label]) => ({
+            id: null,
+            code: code,
+            label: label,
+            description: '',
+            active: true
+        }));
+    }
+
+    /**
+     * Active object types, in table order
+     */
+    getObjectTypes() {
+        return this.objectTypes.filter(entry => entry.active);
+    }
+
+    /**
+     * Active code classes, in table order
+     */
+    getCodeClasses() {
+        return this.codeClasses.filter(entry => entry.active);
+    }
+
+    /**
+     * Get an object type by code, active or not
+     */
+    getObjectType(code) {
+        if (!code) return null;
+        const upperCode = String(code).toUpperCase();
+        return this.objectTypes.find(entry => entry.code === upperCode) || null;
+    }
+
+    /**
+     * Get a code class by code, active or not
+     */
+    getCodeClass(code) {
+        if (!code) return null;
+        const upperCode = String(code).toUpperCase();
+        return this.codeClasses.find(entry => entry.code === upperCode) || null;
+    }
+
+    /**
+     * The one-off code class, written as a year (YYYY), if it is in use
+     */
+    getYearClass() {
+        return this.getCodeClass('YYYY');
+    }
+
+    /**
+     * Refresh both vocabularies (force fetch)
+     */
+    async refresh() {
+        dataSource.clearCache(Config.AIRTABLE.TABLES.BRAZE_OBJECT_TYPES);
+        dataSource.clearCache(Config.AIRTABLE.TABLES.BRAZE_CODE_CLASSES);
+        this.isLoaded = false;
+        return this.initialize();
+    }
+}
+
+// Create singleton instance
+const brazeVocabularyService = new BrazeVocabularyService();
+
+// Export for use in other modules
+window.brazeVocabularyService = brazeVocabularyService;
+
+if (Config.FEATURES.DEBUG_MODE) {
+    console.log('📧 Braze Vocabulary Service initialized', brazeVocabularyService);
+}
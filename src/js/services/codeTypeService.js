@@ -0,0 +1,157 @@
+/* ============================================================================
+   CODEX NOVA NEBULA - Code Type Service
+   Registry of promocode code types loaded from the Promocode_Code_Types table
+   ============================================================================ */
+
+class CodeTypeService {
+    constructor() {
+        this.codeTypes = this.getDefaultCodeTypes();
+        this.isLoaded = false;
+        this.isLoading = false;
+        this.error = null;
+        this.loadPromise = null;
+    }
+
+    /**
+     * Initialize and fetch active code types (once)
+     */
+    async initialize() {
+        if (this.isLoaded && !this.error) {
+            return this.codeTypes;
+        }
+
+        // Generator, parser and module all initialize at startup: share one fetch
+        if (!this.loadPromise) {
+            this.loadPromise = this.fetchCodeTypes().finally(() => {
+                this.loadPromise = null;
+            });
+        }
+
+        return this.loadPromise;
+    }
+
+    /**
+     * Fetch code types from Airtable, keeping the defaults if none are available
+     */
+    async fetchCodeTypes() {
+        this.isLoading = true;
+        this.error = null;
+
+        try {
+            const codeTypes = await dataSource.listCodeTypes();
+            const activeTypes = codeTypes.filter(codeType => codeType.active);
+
+            if (activeTypes.length > 0) {
+                this.codeTypes = activeTypes;
+            } else {
+                console.log('🏷️ No active code types in Airtable, using defaults');
+                this.codeTypes = this.getDefaultCodeTypes();
+            }
+
+            this.isLoaded = true;
+
+            if (Config.FEATURES.DEBUG_MODE) {
+                console.log(`✅ Loaded ${this.codeTypes.length} code types`, this.codeTypes);
+            }
+        } catch (error) {
+            this.error = error.message || 'Failed to fetch code types';
+            console.error('Code type fetch error, using defaults:', error);
+            this.codeTypes = this.getDefaultCodeTypes();
+        } finally {
+            this.isLoading = false;
+        }
+
+        return this.codeTypes;
+    }
+
+    /**
+     * Code types from config, used until (or if) Airtable can't be loaded
+     */
+    getDefaultCodeTypes() {
+        return Config.PROMOCODE.CODE_TYPES.map(code => ({
+            id: null,
+            code: code,
+            label: Config.PROMOCODE.CODE_TYPE_LABELS[code] || code,
+            active: true,
+            description: ''
+        }));
+    }
+
+    /**
+     * Get the codes of all active code types
+     */
+    getCodes() {
+        return this.codeTypes.map(codeType => codeType.code);
+    }
+
+    /**
+     * Get a code type by code (case-insensitive)
+     */
+    getCodeType(code) {
+        if (!code) return null;
+        const upperCode = code.toUpperCase();
+        return this.codeTypes.find(codeType => codeType.code === upperCode) || null;
+    }
+
+    /**
+     * Check if a code is an active code type
+     */
+    isValid(code) {
+        return Boolean(this.getCodeType(code));
+    }
+
+    /**
+     * Get the label for a code, or the code itself if unknown
+     */
+    getLabel(code) {
+        const codeType = this.getCodeType(code);
+        return codeType?.label || code;
+    }
+
+    /**
+     * Populate code type dropdown
+     */
+    populateCodeTypeDropdown(selectElement, selectedCode = null) {
+        if (!selectElement) return;
+
+        // Clear existing options
+        selectElement.innerHTML = '<option value="">None</option>';
+
+        // Add code types
+        this.codeTypes.forEach(codeType => {
+            const option = document.createElement('option');
+            option.value = codeType.code;
+            option.textContent = `${codeType.label} (${codeType.code})`;
+
+            if (codeType.description) {
+                option.setAttribute('data-description', codeType.description);
+                option.title = codeType.description;
+            }
+
+            if (selectedCode && codeType.code === selectedCode) {
+                option.selected = true;
+            }
+
+            selectElement.appendChild(option);
+        });
+    }
+
+    /**
+     * Refresh code types (force fetch)
+     */
+    async refresh() {
+        dataSource.clearCache(Config.AIRTABLE.TABLES.PROMOCODE_CODE_TYPES);
+        this.isLoaded = false;
+        return this.initialize();
+    }
+}
+
+// Create singleton instance
+const codeTypeService = new CodeTypeService();
+
+// Export for use in other modules
+window.codeTypeService = codeTypeService;
+
+if (Config.FEATURES.DEBUG_MODE) {
+    console.log('🏷️ Code Type Service initialized', codeTypeService);
+}
@@ -0,0 +1,259 @@
+/* ============================================================================
+   CODEX NOVA NEBULA - Data Source
+   Single entry point for catalog, ruleset and history data. Delegates to the
+   adapter chosen by Config.DATA_SOURCE (Airtable, static JSON or a catalog export).
+
+   Adapters implement: listBrands(), listProducts({ brandId }),
+   listRatePlans({ productId }), listCodeTypes(), listRulesets(),
+   listBrandOverrides(), getDefaultSegments(), findHistory(code), findHistoryByPrefix(prefix),
+   appendHistory(fields), listTestFixtures(), listBrazeObjectTypes(), listBrazeCodeClasses(),
+   clearCache(tableName)
+
+   Ruleset selection and brand overrides are worked out here, the same for
+   every adapter.
+   ============================================================================ */
+
+class DataSource {
+    constructor() {
+        this.adapter = null;
+    }
+
+    /**
+     * Create the adapter described by a Config.DATA_SOURCE-style settings object.
+     * FEATURES.ENABLE_MOCK_DATA overrides it with the bundled fixture catalog.
+     */
+    createAdapter(settings = Config.DATA_SOURCE) {
+        if (Config.FEATURES.ENABLE_MOCK_DATA) {
+            return new StaticDataSource({ catalog: MockCatalog, type: 'mock' });
+        }
+
+        switch (settings.TYPE) {
+            case 'static':
+                return new StaticDataSource({ url: settings.STATIC_URL });
+            case 'export':
+                return new CatalogExportDataSource({ urls: settings.EXPORT_URLS });
+            case 'airtable':
+                return new AirtableDataSource();
+            default:
+                throw new Error(`Unknown data source type: ${settings.TYPE}`);
+        }
+    }
+
+    /**
+     * Switch to another adapter. Services keep what they already loaded,
+     * so call this before they initialize (or refresh them afterwards).
+     */
+    use(adapter) {
+        this.adapter = adapter;
+
+        if (Config.FEATURES.DEBUG_MODE) {
+            console.log(`🔌 Using ${adapter.type} data source`);
+        }
+
+        return adapter;
+    }
+
+    /**
+     * Type of the current adapter ('airtable', 'static', 'export', 'mock')
+     */
+    get type() {
+        return this.adapter ? this.adapter.type : null;
+    }
+
+    listBrands() {
+        return this.adapter.listBrands();
+    }
+
+    listProducts(filter = {}) {
+        return this.adapter.listProducts(filter);
+    }
+
+    listRatePlans(filter = {}) {
+        return this.adapter.listRatePlans(filter);
+    }
+
+    listCodeTypes() {
+        return this.adapter.listCodeTypes();
+    }
+
+    /**
+     * Ruleset versions, completed from the default ruleset
+     * (which is the only one when the adapter has none)
+     */
+    async listRulesets() {
+        const rulesets = await this.adapter.listRulesets();
+        const defaults = await this.getDefaultRuleset();
+
+        if (rulesets.length === 0) {
+            return [defaults];
+        }
+
+        return rulesets.map(ruleset => ({
+            ...defaults,
+            ...ruleset,
+            version: ruleset.version !== undefined && ruleset.version !== null ? String(ruleset.version) : defaults.version
+        }));
+    }
+
+    listBrandOverrides() {
+        return this.adapter.listBrandOverrides();
+    }
+
+    findHistory(code) {
+        return this.adapter.findHistory(code);
+    }
+
+    findHistoryByPrefix(prefix) {
+        return this.adapter.findHistoryByPrefix(prefix);
+    }
+
+    appendHistory(fields) {
+        return this.adapter.appendHistory(fields);
+    }
+
+    listTestFixtures() {
+        return this.adapter.listTestFixtures();
+    }
+
+    listBrazeObjectTypes() {
+        return this.adapter.listBrazeObjectTypes();
+    }
+
+    listBrazeCodeClasses() {
+        return this.adapter.listBrazeCodeClasses();
+    }
+
+    clearCache(tableName = null) {
+        return this.adapter.clearCache(tableName);
+    }
+
+    /**
+     * The ruleset in force for a brand and date.
+     * Options: brandId, date, version (see resolveRuleset)
+     */
+    async getRuleset(options = {}) {
+        const rulesets = await this.listRulesets();
+        const overrides = options.brandId ? await this.listBrandOverrides() : [];
+
+        return this.resolveRuleset(rulesets, overrides, options);
+    }
+
+    /**
+     * Pick a ruleset from loaded versions and layer the brand's overrides on top.
+     * Options: brandId, date (defaults to now), version (an explicit version wins over the date).
+     * Falls back to the default ruleset when none is in force.
+     */
+    async resolveRuleset(rulesets, overrides = [], options = {}) {
+        const { brandId = null, date = new Date(), version = null } = options;
+
+        let ruleset = version
+            ? rulesets.find(r => r.version === String(version)) || null
+            : null;
+
+        if (!ruleset) {
+            ruleset = this.selectRuleset(rulesets, date, brandId);
+        }
+
+        if (!ruleset) {
+            console.log('📋 No ruleset in force, using defaults');
+            ruleset = await this.getDefaultRuleset();
+        }
+
+        return brandId ? this.applyBrandOverrides(ruleset, overrides, brandId) : ruleset;
+    }
+
+    /**
+     * Select the ruleset in force on a date.
+     * Drafts are never selected; a ruleset assigned to the brand wins over
+     * global ones, Active wins over Retired, then the highest version.
+     */
+    selectRuleset(rulesets, date = new Date(), brandId = null) {
+        const statuses = Config.PROMOCODE.RULESET_STATUSES;
+        const time = new Date(date).getTime();
+
+        const candidates = rulesets.filter(ruleset => {
+            if (ruleset.status !== statuses.ACTIVE && ruleset.status !== statuses.RETIRED) {
+                return false;
+            }
+            if (ruleset.effectiveFrom && new Date(ruleset.effectiveFrom).getTime() > time) {
+                return false;
+            }
+            if (ruleset.effectiveTo && new Date(ruleset.effectiveTo).getTime() <= time) {
+                return false;
+            }
+            return true;
+        });
+
+        const brandRulesets = brandId
+            ? candidates.filter(ruleset => (ruleset.defaultForBrands || []).includes(brandId))
+            : [];
+        const globalRulesets = candidates.filter(ruleset => !(ruleset.defaultForBrands || []).length);
+        const pool = brandRulesets.length > 0 ? brandRulesets : globalRulesets;
+
+        pool.sort((a, b) => {
+            if (a.status !== b.status) {
+                return a.status === statuses.ACTIVE ? -1 : 1;
+            }
+            return String(b.version).localeCompare(String(a.version), undefined, { numeric: true });
+        });
+
+        return pool[0] || null;
+    }
+
+    /**
+     * Layer a brand's overrides on top of a ruleset.
+     * Overrides linked to specific rulesets only apply to those rulesets.
+     */
+    applyBrandOverrides(ruleset, overrides, brandId) {
+        const applicable = overrides.filter(override =>
+            override.brandIds.includes(brandId) &&
+            (override.rulesetIds.length === 0 || override.rulesetIds.includes(ruleset.id))
+        );
+
+        if (applicable.length === 0) {
+            return ruleset;
+        }
+
+        return applicable.reduce((result, override) => ({
+            ...result,
+            ...override.values,
+            overriddenFields: [...new Set([...result.overriddenFields, ...Object.keys(override.values)])]
+        }), { ...ruleset, brandId: brandId, overriddenFields: [] });
+    }
+
+    /**
+     * Ruleset used when none is in force, built on the adapter's default segments
+     */
+    async getDefaultRuleset() {
+        return {
+            id: null,
+            name: 'Default',
+            version: null,
+            status: Config.PROMOCODE.RULESET_STATUSES.ACTIVE,
+            effectiveFrom: null,
+            effectiveTo: null,
+            defaultForBrands: [],
+            separator: '-',
+            casing: 'UPPER',
+            periodMap: Config.PROMOCODE.PERIODS,
+            termMap: Config.PROMOCODE.TERMS,
+            priceTypeMap: Config.PROMOCODE.DISCOUNT_TYPES,
+            freetextMaxLength: 15,
+            initialOfferRegex: null,
+            renewalPlanRegex: null,
+            segments: await this.adapter.getDefaultSegments()
+        };
+    }
+}
+
+// Create singleton instance with the configured adapter
+const dataSource = new DataSource();
+dataSource.use(dataSource.createAdapter());
+
+// Export for use in other modules
+window.dataSource = dataSource;
+window.DataSource = DataSource;
+
+if (Config.FEATURES.DEBUG_MODE) {
+    console.log('🔌 Data Source initialized', dataSource);
+}
@@ -0,0 +1,121 @@
+/* ============================================================================
+   CODEX NOVA NEBULA - Airtable Data Source
+   Data source adapter backed by the live Airtable base (via AirtableService)
+   ============================================================================ */
+
+class AirtableDataSource {
+    constructor(service = airtableService) {
+        this.type = 'airtable';
+        this.service = service;
+    }
+
+    /**
+     * All brands
+     */
+    listBrands() {
+        return this.service.fetchBrands();
+    }
+
+    /**
+     * Products, all or those of a brand (filter: { brandId })
+     */
+    listProducts(filter = {}) {
+        return filter.brandId
+            ? this.service.fetchProductsByBrand(filter.brandId)
+            : this.service.fetchAllProducts();
+    }
+
+    /**
+     * Rate plans, all or those of a product (filter: { productId })
+     */
+    listRatePlans(filter = {}) {
+        return filter.productId
+            ? this.service.fetchRatePlansByProduct(filter.productId)
+            : this.service.fetchAllRatePlans();
+    }
+
+    /**
+     * Promocode code types, including inactive ones
+     */
+    listCodeTypes() {
+        return this.service.fetchCodeTypes();
+    }
+
+    /**
+     * Every promocode ruleset version
+     */
+    listRulesets() {
+        return this.service.fetchPromocodeRulesets();
+    }
+
+    /**
+     * Per-brand ruleset overrides
+     */
+    listBrandOverrides() {
+        return this.service.fetchBrandOverrides();
+    }
+
+    /**
+     * Segments for the default ruleset: the Rule_Components table
+     * (Config.PROMOCODE.SEGMENTS when it is missing)
+     */
+    getDefaultSegments() {
+        return this.service.fetchPromocodeSegments();
+    }
+
+    /**
+     * Shared history records for a code
+     */
+    findHistory(code) {
+        return this.service.fetchPromocodeHistoryByCode(code);
+    }
+
+    /**
+     * Shared history records whose code starts with a prefix
+     */
+    findHistoryByPrefix(prefix) {
+        return this.service.fetchPromocodeHistoryByPrefix(prefix);
+    }
+
+    /**
+     * Add a record to the shared history (fields keyed by Promocode_History field names)
+     */
+    appendHistory(fields) {
+        return this.service.createRecord(Config.AIRTABLE.TABLES.PROMOCODE_HISTORY, fields);
+    }
+
+    /**
+     * Conformance fixtures from the Tests_Fixtures table
+     */
+    listTestFixtures() {
+        return this.service.fetchTestFixtures();
+    }
+
+    /**
+     * Braze object types, including inactive ones
+     */
+    listBrazeObjectTypes() {
+        return this.service.fetchBrazeObjectTypes();
+    }
+
+    /**
+     * Braze code classes, including inactive ones
+     */
+    listBrazeCodeClasses() {
+        return this.service.fetchBrazeCodeClasses();
+    }
+
+    /**
+     * Drop cached data for a table (all tables if none is given)
+     */
+    clearCache(tableName = null) {
+        this.service.clearCache(tableName);
+    }
+}
+
+// Export for use in other modules
+window.AirtableDataSource = AirtableDataSource;
+
+if (Config.FEATURES.DEBUG_MODE) {
+    console.log('🔌 Airtable Data Source loaded');
+}
@@ -0,0 +1,190 @@
+/* ============================================================================
+   CODEX NOVA NEBULA - Catalog Export Data Source
+   Data source adapter reading an Airtable export of the catalog tables:
+   CSV downloads (one per table) or JSON (API records or plain rows).
+   Columns are read through Config.AIRTABLE.FIELDS like live records.
+   ============================================================================ */
+
+class CatalogExportDataSource extends StaticDataSource {
+    /**
+     * Options: tables ({ BRANDS, PRODUCTS, RATE_PLANS, PROMOCODE_CODE_TYPES, TESTS_FIXTURES,
+     * BRAZE_OBJECT_TYPES, BRAZE_CODE_CLASSES } as CSV/JSON text or arrays) or urls
+     * (the same keys, loaded on first use)
+     */
+    constructor(options = {}) {
+        super();
+        this.type = 'export';
+        this.urls = options.urls || {};
+
+        if (options.tables) {
+            this.catalog = this.normalizeCatalog(this.buildCatalog(options.tables));
+        }
+    }
+
+    /**
+     * Fetch every configured export file
+     */
+    async fetchCatalog() {
+        const tables = {};
+
+        for (const [tableKey, url] of Object.entries(this.urls)) {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Could not load ${url}: HTTP ${response.status}`);
+            }
+            tables[tableKey] = await response.text();
+        }
+
+        return this.buildCatalog(tables);
+    }
+
+    /**
+     * Convert exported tables to a catalog.
+     * CSV exports show links by the linked record's primary value instead of
+     * its id, so links are matched on id, code or name.
+     */
+    buildCatalog(tables) {
+        const brands = this.toRecords(tables.BRANDS, 'brand')
+            .map(record => airtableRecords.normalizeBrand(record));
+
+        const productFields = Config.AIRTABLE.FIELDS.PRODUCTS;
+        const products = this.toRecords(tables.PRODUCTS, 'product').map(record => ({
+            ...airtableRecords.normalizeProduct(record),
+            brandIds: this.resolveLinks(record.fields[productFields.BRAND], brands)
+        }));
+
+        const ratePlanFields = Config.AIRTABLE.FIELDS.RATE_PLANS;
+        const ratePlans = this.toRecords(tables.RATE_PLANS, 'rate-plan').map(record => ({
+            ...airtableRecords.normalizeRatePlan(record),
+            price: this.parseNumber(record.fields[ratePlanFields.PRICE]),
+            productIds: this.resolveLinks(record.fields[ratePlanFields.PRODUCT], products)
+        }));
+
+        const codeTypeFields = Config.AIRTABLE.FIELDS.PROMOCODE_CODE_TYPES;
+        const codeTypes = this.toRecords(tables.PROMOCODE_CODE_TYPES, 'code-type').map(record => ({
+            ...airtableRecords.normalizeCodeType(record),
+            active: this.parseBoolean(record.fields[codeTypeFields.ACTIVE])
+        }));
+
+        const testFixtures = this.toRecords(tables.TESTS_FIXTURES, 'fixture').map(record => ({
+            ...airtableRecords.normalizeTestFixture(record),
+            skip: this.parseBoolean(record.fields[Config.AIRTABLE.FIELDS.TESTS_FIXTURES.SKIP])
+        }));
+
+        const [brazeObjectTypes, brazeCodeClasses] = ['BRAZE_OBJECT_TYPES', 'BRAZE_CODE_CLASSES'].map(tableKey =>
+            this.toRecords(tables[tableKey], tableKey.toLowerCase().replace(/_/g, '-')).map(record => ({
+                ...airtableRecords.normalizeBrazeVocabularyEntry(record, tableKey),
+                active: this.parseBoolean(record.fields[Config.AIRTABLE.FIELDS[tableKey].ACTIVE])
+            })));
+
+        return { brands, products, ratePlans, codeTypes, testFixtures, brazeObjectTypes, brazeCodeClasses };
+    }
+
+    /**
+     * Turn a table export into { id, fields } records.
+     * Rows without an id (CSV) get one made up from their position.
+     */
+    toRecords(source, idPrefix) {
+        if (!source) return [];
+
+        let rows = source;
+        if (typeof source === 'string') {
+            const text = source.trim();
+            rows = text.startsWith('[') || text.startsWith('{')
+                ? JSON.parse(text)
+                : CsvUtils.parseObjects(text).rows;
+        }
+
+        if (!Array.isArray(rows)) {
+            rows = rows.records || [];
+        }
+
+        return rows.map((row, index) => {
+            const isRecord = row.fields && typeof row.fields === 'object';
+            return {
+                id: (isRecord && row.id) || `${idPrefix}-${index + 1}`,
+                fields: isRecord ? row.fields : row
+            };
+        });
+    }
+
+    /**
+     * Ids of linked records, from an id array (JSON) or comma-separated names or codes (CSV)
+     */
+    resolveLinks(value, targets) {
+        if (!value) return [];
+
+        if (Array.isArray(value)) {
+            return value
+                .map(reference => this.findLinkTarget(String(reference).trim(), targets))
+                .filter(Boolean)
+                .map(target => target.id);
+        }
+
+        // Names may contain commas themselves ("Nova Plus, Digital"): quoted names are
+        // split as CSV, and unquoted parts are joined back while they name a record
+        const parts = (CsvUtils.parse(String(value), ',')[0] || []).map(part => part.trim());
+        const ids = [];
+
+        for (let start = 0; start < parts.length; start++) {
+            for (let end = parts.length; end > start; end--) {
+                const target = this.findLinkTarget(parts.slice(start, end).join(', '), targets) ||
+                    this.findLinkTarget(parts.slice(start, end).join(','), targets);
+
+                if (target) {
+                    ids.push(target.id);
+                    start = end - 1;
+                    break;
+                }
+            }
+        }
+
+        return ids;
+    }
+
+    /**
+     * Find a linked record by id, code or name
+     */
+    findLinkTarget(reference, targets) {
+        if (!reference) return null;
+
+        const upperReference = reference.toUpperCase();
+        return targets.find(item => item.id === reference) ||
+            targets.find(item => String(item.code).toUpperCase() === upperReference ||
+                String(item.name).toUpperCase() === upperReference) ||
+            null;
+    }
+
+    /**
+     * Parse an exported number or currency value ("kr 249.00", "$1,249.00", "kr 1.249,50", "1 249,50").
+     * The last "." or "," is the decimal separator when 1-2 digits follow it; other separators group thousands.
+     */
+    parseNumber(value) {
+        if (typeof value === 'number') return value;
+
+        const match = String(value || '').replace(/\s/g, '').match(/-?\d[\d.,]*/);
+        if (!match) return 0;
+
+        const number = match[0].replace(/[.,]+$/, '');
+        const decimal = number.match(/[.,](\d{1,2})$/);
+        const integerPart = decimal ? number.slice(0, -decimal[0].length) : number;
+        const digits = integerPart.replace(/[.,]/g, '') + (decimal ? `.${decimal[1]}` : '');
+
+        return parseFloat(digits) || 0;
+    }
+
+    /**
+     * Parse an exported checkbox ("checked", "true", "1", "yes")
+     */
+    parseBoolean(value) {
+        if (typeof value === 'boolean') return value;
+        return ['checked', 'true', '1', 'yes', 'x'].includes(String(value || '').trim().toLowerCase());
+    }
+}
+
+// Export for use in other modules
+window.CatalogExportDataSource = CatalogExportDataSource;
+
+if (Config.FEATURES.DEBUG_MODE) {
+    console.log('🔌 Catalog Export Data Source loaded');
+}
@@ -0,0 +1,264 @@
+/* ============================================================================
+   CODEX NOVA NEBULA - Static Data Source
+   Data source adapter serving a JSON catalog in the app's own shape:
+   { brands, products, ratePlans, codeTypes, rulesets, brandOverrides, history, testFixtures,
+   brazeObjectTypes, brazeCodeClasses }
+   ============================================================================ */
+
+class StaticDataSource {
+    /**
+     * Options: catalog (object) or url (JSON file loaded on first use),
+     * type (reported type, 'static' by default)
+     */
+    constructor(options = {}) {
+        this.type = options.type || 'static';
+        this.url = options.url || null;
+        this.catalog = options.catalog ? this.normalizeCatalog(options.catalog) : null;
+        this.loadPromise = null;
+        this.nextHistoryId = 1;
+    }
+
+    /**
+     * Load the catalog (once)
+     */
+    async load() {
+        if (this.catalog) {
+            return this.catalog;
+        }
+
+        if (!this.loadPromise) {
+            this.loadPromise = this.fetchCatalog()
+                .then(catalog => {
+                    this.catalog = this.normalizeCatalog(catalog);
+                    return this.catalog;
+                })
+                .finally(() => {
+                    this.loadPromise = null;
+                });
+        }
+
+        return this.loadPromise;
+    }
+
+    /**
+     * Fetch the catalog JSON from the configured URL
+     */
+    async fetchCatalog() {
+        if (!this.url) {
+            throw new Error('Static data source has no catalog or URL');
+        }
+
+        const response = await fetch(this.url);
+        if (!response.ok) {
+            throw new Error(`Could not load catalog ${this.url}: HTTP ${response.status}`);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Fill in defaults so hand-written catalogs can leave fields out
+     */
+    normalizeCatalog(catalog) {
+        return {
+            brands: (catalog.brands || []).map(brand => ({
+                id: brand.id,
+                code: brand.code || '',
+                name: brand.name || '',
+                country: brand.country || '',
+                brazeCode: brand.brazeCode || brand.code || '',
+                raw: brand.raw || brand
+            })),
+            products: (catalog.products || []).map(product => ({
+                id: product.id,
+                name: product.name || 'Unknown Product',
+                type: product.type || '',
+                code: product.code || '',
+                brandIds: product.brandIds || [],
+                promocodeId: product.promocodeId || '',
+                raw: product.raw || product
+            })),
+            ratePlans: (catalog.ratePlans || []).map(ratePlan => ({
+                id: ratePlan.id,
+                code: ratePlan.code || '',
+                name: ratePlan.name || '',
+                price: ratePlan.price || 0,
+                category: ratePlan.category || '',
+                productIds: ratePlan.productIds || [],
+                planId: ratePlan.planId || '',
+                raw: ratePlan.raw || ratePlan
+            })),
+            codeTypes: (catalog.codeTypes || []).map(codeType => ({
+                id: codeType.id || null,
+                code: String(codeType.code || '').trim().toUpperCase(),
+                label: codeType.label || '',
+                active: codeType.active !== false,
+                description: codeType.description || ''
+            })),
+            // Partial rulesets are completed from the default ruleset by DataSource
+            rulesets: catalog.rulesets || [],
+            brandOverrides: (catalog.brandOverrides || []).map(override => ({
+                id: override.id || null,
+                brandIds: override.brandIds || [],
+                rulesetIds: override.rulesetIds || [],
+                values: override.values || {}
+            })),
+            history: (catalog.history || []).map(entry => ({
+                id: entry.id || null,
+                code: entry.code || '',
+                generatedDate: entry.generatedDate || null,
+                generatedBy: entry.generatedBy || '',
+                brandIds: entry.brandIds || [],
+                productIds: entry.productIds || []
+            })),
+            testFixtures: (catalog.testFixtures || []).map((fixture, index) => ({
+                id: fixture.id || `fixture-${index + 1}`,
+                name: fixture.name || fixture.id || `Fixture ${index + 1}`,
+                kind: fixture.kind || (fixture.inputs ? 'generate' : 'parse'),
+                inputs: fixture.inputs || null,
+                code: fixture.code || '',
+                expected: fixture.expected || null,
+                expectedError: fixture.expectedError || '',
+                rulesetVersion: fixture.rulesetVersion ? String(fixture.rulesetVersion) : null,
+                date: fixture.date || null,
+                skip: Boolean(fixture.skip),
+                error: fixture.error || null
+            })),
+            brazeObjectTypes: (catalog.brazeObjectTypes || []).map(entry => this.normalizeVocabularyEntry(entry)),
+            brazeCodeClasses: (catalog.brazeCodeClasses || []).map(entry => this.normalizeVocabularyEntry(entry))
+        };
+    }
+
+    /**
+     * Braze vocabulary entry: { code, label, description, active }
+     */
+    normalizeVocabularyEntry(entry) {
+        return {
+            id: entry.id || null,
+            code: String(entry.code ?? '').trim().toUpperCase(),
+            label: entry.label || '',
+            description: entry.description || '',
+            active: entry.active !== false
+        };
+    }
+
+    /**
+     * All brands
+     */
+    async listBrands() {
+        return (await this.load()).brands;
+    }
+
+    /**
+     * Products, all or those of a brand (filter: { brandId })
+     */
+    async listProducts(filter = {}) {
+        const { products } = await this.load();
+        return filter.brandId
+            ? products.filter(product => product.brandIds.includes(filter.brandId))
+            : products;
+    }
+
+    /**
+     * Rate plans, all or those of a product (filter: { productId })
+     */
+    async listRatePlans(filter = {}) {
+        const { ratePlans } = await this.load();
+        return filter.productId
+            ? ratePlans.filter(ratePlan => ratePlan.productIds.includes(filter.productId))
+            : ratePlans;
+    }
+
+    /**
+     * Promocode code types (none means the configured defaults are used)
+     */
+    async listCodeTypes() {
+        return (await this.load()).codeTypes;
+    }
+
+    /**
+     * Ruleset versions from the catalog (none means the default ruleset is used)
+     */
+    async listRulesets() {
+        return (await this.load()).rulesets;
+    }
+
+    /**
+     * Per-brand ruleset overrides
+     */
+    async listBrandOverrides() {
+        return (await this.load()).brandOverrides;
+    }
+
+    /**
+     * Segments for the default ruleset
+     */
+    async getDefaultSegments() {
+        return Config.PROMOCODE.SEGMENTS;
+    }
+
+    /**
+     * History entries for a code (case-insensitive)
+     */
+    async findHistory(code) {
+        const upperCode = code.toUpperCase();
+        return (await this.load()).history.filter(entry => entry.code.toUpperCase() === upperCode);
+    }
+
+    /**
+     * History entries whose code starts with a prefix (case-insensitive)
+     */
+    async findHistoryByPrefix(prefix) {
+        const upperPrefix = prefix.toUpperCase();
+        return (await this.load()).history.filter(entry => entry.code.toUpperCase().startsWith(upperPrefix));
+    }
+
+    /**
+     * Add a history entry (kept in memory for this page load)
+     */
+    async appendHistory(fields) {
+        const catalog = await this.load();
+        const record = {
+            id: `static-history-${this.nextHistoryId++}`,
+            createdTime: new Date().toISOString(),
+            fields: fields
+        };
+
+        catalog.history.push(airtableRecords.normalizeHistoryRecord(record));
+        return record;
+    }
+
+    /**
+     * Conformance fixtures
+     */
+    async listTestFixtures() {
+        return (await this.load()).testFixtures;
+    }
+
+    /**
+     * Braze object types (none means the configured defaults are used)
+     */
+    async listBrazeObjectTypes() {
+        return (await this.load()).brazeObjectTypes;
+    }
+
+    /**
+     * Braze code classes (none means the configured defaults are used)
+     */
+    async listBrazeCodeClasses() {
+        return (await this.load()).brazeCodeClasses;
+    }
+
+    /**
+     * Nothing is cached beyond the catalog itself
+     */
+    clearCache() {
+    }
+}
+
+// Export for use in other modules
+window.StaticDataSource = StaticDataSource;
+
+if (Config.FEATURES.DEBUG_MODE) {
+    console.log('🔌 Static Data Source loaded');
+}
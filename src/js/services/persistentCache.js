@@ -0,0 +1,124 @@
+/* ============================================================================
+   CODEX NOVA NEBULA - Persistent Cache
+   localStorage-backed cache (under Config.STORAGE.CACHE_PREFIX) that keeps
+   catalog responses across page loads
+   ============================================================================ */
+
+class PersistentCache {
+    constructor(options = {}) {
+        this.prefix = options.prefix || Config.STORAGE.CACHE_PREFIX;
+        // Entries older than this are dropped, even as an offline fallback
+        this.maxAge = options.maxAge ?? Config.API.CACHE_MAX_AGE;
+
+        this.prune();
+    }
+
+    /**
+     * Get an entry: { data, timestamp }, or null if missing or too old
+     */
+    get(key) {
+        try {
+            const entryJson = localStorage.getItem(this.prefix + key);
+            if (!entryJson) return null;
+
+            const entry = JSON.parse(entryJson);
+            if (this.isExpired(entry)) {
+                this.remove(key);
+                return null;
+            }
+
+            return entry;
+        } catch (error) {
+            console.error('Failed to read cache entry:', error);
+            this.remove(key);
+            return null;
+        }
+    }
+
+    /**
+     * Store an entry. When storage is full, expired entries are dropped and the write is tried once more.
+     */
+    set(key, data, timestamp = Date.now()) {
+        const entryJson = JSON.stringify({ data, timestamp });
+
+        try {
+            localStorage.setItem(this.prefix + key, entryJson);
+            return true;
+        } catch (error) {
+            this.prune();
+        }
+
+        try {
+            localStorage.setItem(this.prefix + key, entryJson);
+            return true;
+        } catch (error) {
+            console.warn(`Could not persist cache entry ${key}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Remove an entry
+     */
+    remove(key) {
+        try {
+            localStorage.removeItem(this.prefix + key);
+        } catch (error) {
+            // Storage unavailable: nothing to remove
+        }
+    }
+
+    /**
+     * Remove every entry whose key starts with a prefix (all entries if none is given)
+     */
+    removeByPrefix(keyPrefix = '') {
+        this.getKeys()
+            .filter(key => key.startsWith(keyPrefix))
+            .forEach(key => this.remove(key));
+    }
+
+    /**
+     * Drop expired and unreadable entries
+     */
+    prune() {
+        this.getKeys().forEach(key => this.get(key));
+    }
+
+    /**
+     * Check if an entry is past the maximum age
+     */
+    isExpired(entry) {
+        return !entry || typeof entry.timestamp !== 'number' ||
+            Date.now() - entry.timestamp > this.maxAge;
+    }
+
+    /**
+     * Keys of all entries (without the prefix)
+     */
+    getKeys() {
+        const keys = [];
+
+        try {
+            for (let i = 0; i < localStorage.length; i++) {
+                const storageKey = localStorage.key(i);
+                if (storageKey && storageKey.startsWith(this.prefix)) {
+                    keys.push(storageKey.slice(this.prefix.length));
+                }
+            }
+        } catch (error) {
+            console.error('Failed to list cache entries:', error);
+        }
+
+        return keys;
+    }
+}
+
+// Create singleton instance
+const persistentCache = new PersistentCache();
+
+// Export for use in other modules
+window.persistentCache = persistentCache;
+
+if (Config.FEATURES.DEBUG_MODE) {
+    console.log('💾 Persistent Cache initialized', persistentCache);
+}
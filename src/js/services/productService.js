@@ -36,7 +36,7 @@ class ProductService {
                 console.log('📦 Fetching all products...');
             }
 
-            this.allProducts = await airtableService.fetchAllProducts();
+            this.allProducts = await dataSource.listProducts();
             
             if (Config.FEATURES.DEBUG_MODE) {
                 console.log(`✅ Fetched ${this.allProducts.length} products`, this.allProducts);
@@ -73,7 +73,7 @@ class ProductService {
                 console.log(`📦 Fetching products for brand: ${brandId}`);
             }
 
-            this.filteredProducts = await airtableService.fetchProductsByBrand(brandId);
+            this.filteredProducts = await dataSource.listProducts({ brandId });
             
             if (Config.FEATURES.DEBUG_MODE) {
                 console.log(`✅ Fetched ${this.filteredProducts.length} products for brand`, this.filteredProducts);
@@ -301,7 +301,7 @@ class ProductService {
      */
     async refresh() {
         // Clear cache
-        airtableService.clearCache(Config.AIRTABLE.TABLES.PRODUCTS);
+        dataSource.clearCache(Config.AIRTABLE.TABLES.PRODUCTS);
         
         // Clear current state
         this.allProducts = [];
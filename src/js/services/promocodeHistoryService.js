@@ -0,0 +1,271 @@
+/* ============================================================================
+   CODEX NOVA NEBULA - Promocode History Service
+   Writes generated codes to the shared Promocode_History table,
+   queueing writes that fail (e.g. offline) and retrying them later
+   ============================================================================ */
+
+class PromocodeHistoryService {
+    constructor() {
+        this.isFlushing = false;
+
+        // Retry queued writes as soon as the connection comes back
+        window.addEventListener('online', () => this.flushQueue());
+    }
+
+    /**
+     * Record a generated code in the shared history.
+     * Never throws: writes that may succeed later are queued and retried,
+     * writes Airtable rejects (see isRetryable) go straight to the failed list.
+     * Returns { status: 'saved' | 'queued' | 'failed', error }
+     */
+    async record(entry) {
+        const fields = this.buildFields(entry);
+
+        try {
+            await dataSource.appendHistory(fields);
+
+            if (Config.FEATURES.DEBUG_MODE) {
+                console.log('🗄️ Saved to shared history:', fields[Config.AIRTABLE.FIELDS.PROMOCODE_HISTORY.CODE]);
+            }
+
+            // Connection works: send anything still waiting
+            this.flushQueue();
+
+            return { status: 'saved', error: null };
+        } catch (error) {
+            if (!this.isRetryable(error)) {
+                console.error('Shared history rejected the write:', error);
+                this.saveFailed([...this.getFailed(), this.createQueueItem(fields, error)]);
+                return { status: 'failed', error: error.message };
+            }
+
+            console.warn('Could not save to shared history, queued for retry:', error);
+            this.enqueue(fields, error);
+            return { status: 'queued', error: error.message };
+        }
+    }
+
+    /**
+     * Build Promocode_History fields for a generated code
+     */
+    buildFields(entry) {
+        const fieldMap = Config.AIRTABLE.FIELDS.PROMOCODE_HISTORY;
+        const fields = {
+            [fieldMap.CODE]: entry.code,
+            [fieldMap.GENERATED_DATE]: entry.generatedDate || new Date().toISOString(),
+            [fieldMap.GENERATED_BY]: entry.generatedBy || this.getUserName(),
+            [fieldMap.INPUTS]: JSON.stringify(entry.inputs || {})
+        };
+
+        // Linked records take arrays of record ids
+        if (entry.brandId) {
+            fields[fieldMap.BRAND] = [entry.brandId];
+        }
+        if (entry.productId) {
+            fields[fieldMap.PRODUCT] = [entry.productId];
+        }
+        if (entry.rulesetVersion) {
+            fields[fieldMap.RULESET_VERSION] = String(entry.rulesetVersion);
+        }
+
+        return fields;
+    }
+
+    /**
+     * Write queued records in order, stopping at the first retryable failure.
+     * The queue is re-read around every write: record() may queue more while a write is in flight.
+     */
+    async flushQueue() {
+        if (this.isFlushing || navigator.onLine === false) return;
+
+        // Queued writes are meant for the Airtable base, not mock or static data
+        if (dataSource.type !== 'airtable') return;
+
+        if (this.getQueue().length === 0) return;
+
+        this.isFlushing = true;
+
+        try {
+            let item;
+
+            while ((item = this.getQueue()[0])) {
+                try {
+                    await dataSource.appendHistory(item.fields);
+                    this.removeFromQueue(item.id);
+                } catch (error) {
+                    const failed = {
+                        ...item,
+                        attempts: (item.attempts || 0) + 1,
+                        lastError: error.message,
+                        lastAttempt: new Date().toISOString()
+                    };
+
+                    // A write Airtable rejects (e.g. 422 on a bad link) would block every later one
+                    if (!this.isRetryable(error) || failed.attempts >= Config.API.HISTORY_QUEUE_MAX_ATTEMPTS) {
+                        console.error('Giving up on queued history write:', failed);
+                        this.removeFromQueue(item.id);
+                        this.saveFailed([...this.getFailed(), failed]);
+                        continue;
+                    }
+
+                    this.saveQueue(this.getQueue().map(queued => queued.id === item.id ? failed : queued));
+                    break;
+                }
+            }
+        } finally {
+            this.isFlushing = false;
+        }
+
+        if (Config.FEATURES.DEBUG_MODE) {
+            console.log(`🗄️ History queue flushed, ${this.getQueue().length} still waiting`);
+        }
+    }
+
+    /**
+     * Offline, gateway, timeout and rate-limit failures are worth retrying; other 4xx are not
+     */
+    isRetryable(error) {
+        return !error.status || error.status >= 500 || [408, 429].includes(error.status);
+    }
+
+    /**
+     * Remove a written (or abandoned) item from the queue
+     */
+    removeFromQueue(id) {
+        this.saveQueue(this.getQueue().filter(item => item.id !== id));
+    }
+
+    /**
+     * Queued (not yet written) records for a code, shaped like history records
+     */
+    findQueued(code) {
+        const upperCode = code.toUpperCase();
+        return this.findQueuedByPrefix(code).filter(record => record.code.toUpperCase() === upperCode);
+    }
+
+    /**
+     * Queued records whose code starts with a prefix, shaped like history records
+     */
+    findQueuedByPrefix(prefix) {
+        const fieldMap = Config.AIRTABLE.FIELDS.PROMOCODE_HISTORY;
+        const upperPrefix = prefix.toUpperCase();
+
+        return this.getQueue()
+            .filter(item => String(item.fields[fieldMap.CODE] || '').toUpperCase().startsWith(upperPrefix))
+            .map(item => ({
+                id: null,
+                code: item.fields[fieldMap.CODE],
+                generatedDate: item.fields[fieldMap.GENERATED_DATE],
+                generatedBy: item.fields[fieldMap.GENERATED_BY],
+                brandIds: item.fields[fieldMap.BRAND] || [],
+                productIds: item.fields[fieldMap.PRODUCT] || [],
+                queued: true
+            }));
+    }
+
+    /**
+     * Add a failed write to the retry queue
+     */
+    enqueue(fields, error) {
+        this.saveQueue([...this.getQueue(), this.createQueueItem(fields, error)]);
+    }
+
+    /**
+     * Queue (or failed list) entry for a write that failed once
+     */
+    createQueueItem(fields, error) {
+        return {
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            fields: fields,
+            queuedAt: new Date().toISOString(),
+            attempts: 1,
+            lastError: error?.message || null,
+            lastAttempt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Get queued writes (items queued before ids existed are identified by time and code)
+     */
+    getQueue() {
+        try {
+            const queueJson = localStorage.getItem(Config.STORAGE.HISTORY_QUEUE);
+            const queue = queueJson ? JSON.parse(queueJson) : [];
+            const codeField = Config.AIRTABLE.FIELDS.PROMOCODE_HISTORY.CODE;
+            return queue.map(item => item.id ? item : { ...item, id: `${item.queuedAt}-${item.fields?.[codeField]}` });
+        } catch (error) {
+            console.error('Failed to read history queue:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Writes that were given up on, kept so they can be checked and re-entered by hand
+     */
+    getFailed() {
+        try {
+            const failedJson = localStorage.getItem(Config.STORAGE.HISTORY_FAILED);
+            return failedJson ? JSON.parse(failedJson) : [];
+        } catch (error) {
+            console.error('Failed to read failed history writes:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Persist writes that were given up on
+     */
+    saveFailed(failed) {
+        try {
+            localStorage.setItem(Config.STORAGE.HISTORY_FAILED, JSON.stringify(failed));
+        } catch (error) {
+            console.error('Failed to save failed history writes:', error);
+        }
+    }
+
+    /**
+     * Persist queued writes
+     */
+    saveQueue(queue) {
+        try {
+            localStorage.setItem(Config.STORAGE.HISTORY_QUEUE, JSON.stringify(queue));
+        } catch (error) {
+            console.error('Failed to save history queue:', error);
+        }
+    }
+
+    /**
+     * Name recorded as Generated_By (kept in user preferences)
+     */
+    getUserName() {
+        try {
+            const prefs = JSON.parse(localStorage.getItem(Config.STORAGE.USER_PREFS) || '{}');
+            return prefs.userName || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Save the name recorded as Generated_By
+     */
+    setUserName(userName) {
+        try {
+            const prefs = JSON.parse(localStorage.getItem(Config.STORAGE.USER_PREFS) || '{}');
+            prefs.userName = userName.trim();
+            localStorage.setItem(Config.STORAGE.USER_PREFS, JSON.stringify(prefs));
+        } catch (error) {
+            console.error('Failed to save user name:', error);
+        }
+    }
+}
+
+// Create singleton instance
+const promocodeHistoryService = new PromocodeHistoryService();
+
+// Export for use in other modules
+window.promocodeHistoryService = promocodeHistoryService;
+
+if (Config.FEATURES.DEBUG_MODE) {
+    console.log('🗄️ Promocode History Service initialized', promocodeHistoryService);
+}
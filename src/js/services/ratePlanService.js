@@ -41,7 +41,7 @@ class RatePlanService {
                 console.log(`💰 Fetching rate plans for product: ${productId}`);
             }
 
-            this.filteredRatePlans = await airtableService.fetchRatePlansByProduct(productId);
+            this.filteredRatePlans = await dataSource.listRatePlans({ productId });
             
             if (Config.FEATURES.DEBUG_MODE) {
                 console.log(`✅ Fetched ${this.filteredRatePlans.length} rate plans`, this.filteredRatePlans);
@@ -339,7 +339,7 @@ class RatePlanService {
      */
     async refresh(productId) {
         // Clear cache for rate plans
-        airtableService.clearCache(Config.AIRTABLE.TABLES.RATE_PLANS);
+        dataSource.clearCache(Config.AIRTABLE.TABLES.RATE_PLANS);
         
         // Clear current state
         this.filteredRatePlans = [];
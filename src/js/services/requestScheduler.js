@@ -0,0 +1,176 @@
+/* ============================================================================
+   CODEX NOVA NEBULA - Request Scheduler
+   Central queue for Airtable requests: enforces the per-base rate limit and
+   retries throttled or failed requests with jittered exponential backoff
+   ============================================================================ */
+
+class RequestScheduler {
+    constructor(options = {}) {
+        this.requestsPerSecond = options.requestsPerSecond || Config.API.RATE_LIMIT.REQUESTS_PER_SECOND;
+        this.maxRetries = options.maxRetries ?? Config.API.RETRY_ATTEMPTS;
+        this.baseDelay = options.baseDelay ?? Config.API.RETRY_DELAY;
+        this.maxDelay = options.maxDelay ?? Config.API.RATE_LIMIT.MAX_RETRY_DELAY;
+        // A little over a second, so network jitter can't squeeze extra requests into Airtable's window
+        this.windowMs = options.windowMs || 1100;
+
+        this.queue = [];
+        this.startTimes = [];
+        this.timer = null;
+        // No requests are sent before this time (set by 429 / Retry-After)
+        this.pausedUntil = 0;
+    }
+
+    /**
+     * Fetch through the queue, retrying retryable failures.
+     * Resolves with the final response (which may still be an error response);
+     * rejects only when the network request itself keeps failing.
+     */
+    async fetch(url, init = {}) {
+        const method = (init.method || 'GET').toUpperCase();
+
+        for (let attempt = 0; ; attempt++) {
+            let response = null;
+            let networkError = null;
+
+            try {
+                response = await this.schedule(() => fetch(url, {
+                    ...init,
+                    // A fresh timeout per attempt
+                    signal: AbortSignal.timeout(Config.API.TIMEOUT)
+                }));
+            } catch (error) {
+                networkError = error;
+            }
+
+            const status = response ? response.status : null;
+            const retryable = networkError
+                ? this.isIdempotent(method)
+                : this.isRetryableStatus(status, method);
+
+            if (!retryable || attempt >= this.maxRetries) {
+                if (networkError) throw networkError;
+                return response;
+            }
+
+            const delay = this.getRetryDelay(attempt, response);
+
+            if (status === 429) {
+                // Throttled: hold back every queued request, not just this one
+                this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+            }
+
+            if (Config.FEATURES.DEBUG_MODE) {
+                console.log(`⚠️ Retry ${attempt + 1}/${this.maxRetries} in ${delay}ms (${status || networkError.message}): ${method} ${url}`);
+            }
+
+            await this.sleep(delay);
+        }
+    }
+
+    /**
+     * Queue a task and run it when the rate limit allows
+     */
+    schedule(task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, resolve, reject });
+            this.processQueue();
+        });
+    }
+
+    /**
+     * Start as many queued tasks as the rate limit allows, then wait for the next slot
+     */
+    processQueue() {
+        if (this.timer) return;
+
+        while (this.queue.length > 0) {
+            const wait = this.getWaitTime();
+            if (wait > 0) {
+                this.timer = setTimeout(() => {
+                    this.timer = null;
+                    this.processQueue();
+                }, wait);
+                return;
+            }
+
+            const { task, resolve, reject } = this.queue.shift();
+            this.startTimes.push(Date.now());
+            Promise.resolve().then(task).then(resolve, reject);
+        }
+    }
+
+    /**
+     * Milliseconds until the next request may start
+     */
+    getWaitTime() {
+        const now = Date.now();
+
+        if (this.pausedUntil > now) {
+            return this.pausedUntil - now;
+        }
+
+        // Sliding window of request start times
+        this.startTimes = this.startTimes.filter(time => now - time < this.windowMs);
+        if (this.startTimes.length < this.requestsPerSecond) {
+            return 0;
+        }
+
+        return this.windowMs - (now - this.startTimes[0]);
+    }
+
+    /**
+     * Rate limiting and server errors are retryable; other client errors are not.
+     * Server errors on POST aren't retried since the record may have been created.
+     */
+    isRetryableStatus(status, method = 'GET') {
+        if (status === 429) return true;
+        if ([500, 502, 503, 504].includes(status)) return this.isIdempotent(method);
+        return false;
+    }
+
+    /**
+     * Check if repeating a request can't create duplicates
+     */
+    isIdempotent(method) {
+        return method !== 'POST';
+    }
+
+    /**
+     * Retry-After when the server sends it, otherwise exponential backoff with full jitter
+     */
+    getRetryDelay(attempt, response = null) {
+        const retryAfter = response?.headers?.get?.('Retry-After');
+
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            const delay = isNaN(seconds)
+                ? new Date(retryAfter).getTime() - Date.now()
+                : seconds * 1000;
+
+            if (delay >= 0) {
+                return Math.min(delay, this.maxDelay);
+            }
+        }
+
+        const exponential = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt));
+        return Math.round(Math.random() * exponential);
+    }
+
+    /**
+     * Wait for a number of milliseconds
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+// Create singleton instance (one queue per Airtable base)
+const requestScheduler = new RequestScheduler();
+
+// Export for use in other modules
+window.requestScheduler = requestScheduler;
+window.RequestScheduler = RequestScheduler;
+
+if (Config.FEATURES.DEBUG_MODE) {
+    console.log('🚦 Request Scheduler initialized', requestScheduler);
+}
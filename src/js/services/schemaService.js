@@ -0,0 +1,238 @@
+/* ============================================================================
+   CODEX NOVA NEBULA - Schema Service
+   Checks Config.AIRTABLE.FIELDS against the actual tables of the base and
+   reports missing or renamed columns
+   ============================================================================ */
+
+class SchemaService {
+    constructor() {
+        this.report = null;
+        this.checkPromise = null;
+    }
+
+    /**
+     * Check the configured field map (once per page load)
+     */
+    async validate() {
+        if (this.report) {
+            return this.report;
+        }
+
+        if (!this.checkPromise) {
+            this.checkPromise = this.checkSchema().finally(() => {
+                this.checkPromise = null;
+            });
+        }
+
+        return this.checkPromise;
+    }
+
+    /**
+     * Compare every table in Config.AIRTABLE.FIELDS with the base.
+     * Uses the metadata API when the token allows it, otherwise a sample of records.
+     * Returns { source, checkedAt, tables: [...], hasErrors, hasWarnings }
+     */
+    async checkSchema() {
+        let schemas = null;
+
+        try {
+            schemas = await airtableService.fetchTableSchemas();
+        } catch (error) {
+            console.log('📐 Metadata API unavailable, checking sampled records instead:', error.message);
+        }
+
+        const tables = [];
+        for (const tableKey of Object.keys(Config.AIRTABLE.FIELDS)) {
+            const tableName = Config.AIRTABLE.TABLES[tableKey];
+            if (!tableName) continue;
+
+            tables.push(schemas
+                ? this.checkTableSchema(tableKey, tableName, schemas)
+                : await this.checkTableSample(tableKey, tableName));
+        }
+
+        this.report = {
+            source: schemas ? 'metadata' : 'records',
+            checkedAt: Date.now(),
+            tables: tables,
+            hasErrors: tables.some(table => table.severity === 'error'),
+            hasWarnings: tables.some(table => table.severity === 'warning')
+        };
+
+        if (this.report.hasErrors || this.report.hasWarnings) {
+            console.warn('📐 Airtable field map mismatch:', this.getProblems());
+        } else if (Config.FEATURES.DEBUG_MODE) {
+            console.log('📐 Airtable field map matches the base', this.report);
+        }
+
+        return this.report;
+    }
+
+    /**
+     * Check a table against the metadata API's schema
+     */
+    checkTableSchema(tableKey, tableName, schemas) {
+        const schema = schemas.find(table => table.name === tableName);
+        if (!schema) {
+            return this.createMissingTableResult(tableKey, tableName, schemas.map(table => table.name));
+        }
+
+        const fieldNames = schema.fields.map(field => field.name);
+        return this.createFieldResult(tableKey, tableName, fieldNames, false);
+    }
+
+    /**
+     * Check a table against the fields present in a sample of its records
+     */
+    async checkTableSample(tableKey, tableName) {
+        let sample;
+
+        try {
+            sample = await airtableService.fetchSampleFieldNames(tableName);
+        } catch (error) {
+            if (error.status === 404 || error.type === 'TABLE_NOT_FOUND') {
+                return this.createMissingTableResult(tableKey, tableName, []);
+            }
+
+            return {
+                ...this.createResult(tableKey, tableName),
+                status: 'unchecked',
+                severity: 'info',
+                message: `Could not be checked: ${error.message}`
+            };
+        }
+
+        if (sample.recordCount === 0) {
+            return {
+                ...this.createResult(tableKey, tableName),
+                status: 'unchecked',
+                severity: 'info',
+                message: 'Table is empty, so its fields could not be checked'
+            };
+        }
+
+        return this.createFieldResult(tableKey, tableName, sample.fieldNames, true);
+    }
+
+    /**
+     * Result for a table whose configured fields are compared to the actual field names.
+     * Sampled records leave out empty fields, so misses there are only warnings.
+     */
+    createFieldResult(tableKey, tableName, fieldNames, isSampled) {
+        const result = this.createResult(tableKey, tableName);
+        const fieldMap = Config.AIRTABLE.FIELDS[tableKey];
+        const configuredNames = Object.values(fieldMap);
+        // Columns that no configured field uses are the likely renames
+        const unusedNames = fieldNames.filter(name => !configuredNames.includes(name));
+
+        Object.entries(fieldMap).forEach(([key, name]) => {
+            if (fieldNames.includes(name)) return;
+
+            result.missingFields.push({
+                key: key,
+                name: name,
+                suggestion: this.findRenamedField(name, unusedNames)
+            });
+        });
+
+        result.fieldNames = fieldNames;
+
+        if (result.missingFields.length === 0) {
+            return result;
+        }
+
+        result.status = 'mismatch';
+        result.severity = result.optional || isSampled ? 'warning' : 'error';
+        result.message = isSampled
+            ? 'Some fields were not seen in the sampled records (they may just be empty)'
+            : 'Some configured fields do not exist';
+        return result;
+    }
+
+    /**
+     * Result for a table that doesn't exist in the base
+     */
+    createMissingTableResult(tableKey, tableName, tableNames) {
+        const result = this.createResult(tableKey, tableName);
+        const suggestion = this.findRenamedField(tableName, tableNames);
+
+        result.status = 'missing-table';
+        result.severity = result.optional ? 'info' : 'error';
+        result.message = result.optional
+            ? 'Optional table not found, defaults are used'
+            : `Table not found${suggestion ? ` (renamed to "${suggestion}"?)` : ''}`;
+        return result;
+    }
+
+    /**
+     * Base result for a table
+     */
+    createResult(tableKey, tableName) {
+        return {
+            tableKey: tableKey,
+            tableName: tableName,
+            optional: Config.AIRTABLE.OPTIONAL_TABLES.includes(tableKey),
+            status: 'ok',
+            severity: 'ok',
+            message: '',
+            missingFields: [],
+            fieldNames: []
+        };
+    }
+
+    /**
+     * Find the actual name a configured name was probably renamed to: the same
+     * name with different casing or separators, a prefixed or shortened name
+     * (Code / Product_Code), or one within two edits
+     */
+    findRenamedField(name, candidates) {
+        const simplify = value => value.toLowerCase().replace(/[^a-z0-9]/g, '');
+        const target = simplify(name);
+
+        const sameName = candidates.find(candidate => simplify(candidate) === target);
+        if (sameName) return sameName;
+
+        const overlapping = candidates
+            .filter(candidate => {
+                const simple = simplify(candidate);
+                return simple && (simple.includes(target) || target.includes(simple));
+            })
+            .sort((a, b) => a.length - b.length);
+        if (overlapping.length > 0) return overlapping[0];
+
+        let best = null;
+        let bestDistance = 3;
+
+        candidates.forEach(candidate => {
+            const distance = TextUtils.distance(target, simplify(candidate));
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Problems in the last report, worst first
+     */
+    getProblems() {
+        if (!this.report) return [];
+
+        const order = { error: 0, warning: 1, info: 2 };
+        return this.report.tables
+            .filter(table => table.severity !== 'ok')
+            .sort((a, b) => order[a.severity] - order[b.severity]);
+    }
+}
+
+// Create singleton instance
+const schemaService = new SchemaService();
+
+// Export for use in other modules
+window.schemaService = schemaService;
+
+if (Config.FEATURES.DEBUG_MODE) {
+    console.log('📐 Schema Service initialized', schemaService);
+}
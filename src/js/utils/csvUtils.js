@@ -0,0 +1,171 @@
+/* ============================================================================
+   CODEX NOVA NEBULA - CSV Utilities
+   Parsing, serializing and downloading CSV / pasted spreadsheet grids
+   ============================================================================ */
+
+const CsvUtils = {
+    /**
+     * Detect the delimiter from the first line (tab for pasted grids)
+     */
+    detectDelimiter(text) {
+        const firstLine = (text || '').split(/\r?\n/)[0] || '';
+        const candidates = ['\t', ';', ','];
+
+        let best = ',';
+        let bestCount = 0;
+        candidates.forEach(candidate => {
+            const count = firstLine.split(candidate).length - 1;
+            if (count > bestCount) {
+                best = candidate;
+                bestCount = count;
+            }
+        });
+
+        return best;
+    },
+
+    /**
+     * Parse CSV text into an array of rows (arrays of strings).
+     * Handles quoted values, escaped quotes and newlines inside quotes.
+     * Each row also carries row.line, the 1-based line it starts on in the text.
+     */
+    parse(text, delimiter = null) {
+        const separator = delimiter || this.detectDelimiter(text);
+        const rows = [];
+        let row = [];
+        let value = '';
+        let inQuotes = false;
+        let line = 1;
+        let rowLine = 1;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    // Count lines inside quoted values too, so later rows keep their real line
+                    if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) line++;
+                    value += char;
+                }
+            } else if (char === '"' && value === '') {
+                inQuotes = true;
+            } else if (char === separator) {
+                row.push(value);
+                value = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(value);
+                row.line = rowLine;
+                rows.push(row);
+                row = [];
+                value = '';
+                line++;
+                rowLine = line;
+            } else {
+                value += char;
+            }
+        }
+
+        // Last row (no trailing newline)
+        if (value !== '' || row.length > 0) {
+            row.push(value);
+            row.line = rowLine;
+            rows.push(row);
+        }
+
+        // Drop blank lines
+        return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    },
+
+    /**
+     * Parse CSV text with a header row into objects keyed by header.
+     * lines[i] is the line in the text that rows[i] starts on.
+     */
+    parseObjects(text, delimiter = null) {
+        const rows = this.parse(text, delimiter);
+        if (rows.length === 0) {
+            return { headers: [], rows: [], lines: [] };
+        }
+
+        const headers = rows[0].map(header => header.trim());
+        const objects = rows.slice(1).map(cells => {
+            const object = {};
+            headers.forEach((header, index) => {
+                object[header] = (cells[index] || '').trim();
+            });
+            return object;
+        });
+
+        return { headers, rows: objects, lines: rows.slice(1).map(cells => cells.line) };
+    },
+
+    /**
+     * Serialize objects to CSV text using the given columns
+     * Columns: [{ key, label }] or header strings
+     */
+    stringify(objects, columns) {
+        const normalizedColumns = columns.map(column =>
+            typeof column === 'string' ? { key: column, label: column } : column
+        );
+
+        const lines = [normalizedColumns.map(column => this.escapeValue(column.label)).join(',')];
+
+        objects.forEach(object => {
+            lines.push(normalizedColumns
+                .map(column => this.escapeValue(object[column.key]))
+                .join(','));
+        });
+
+        return lines.join('\r\n');
+    },
+
+    /**
+     * Quote a value if it contains a delimiter, quote or newline
+     */
+    escapeValue(value) {
+        if (value === undefined || value === null) return '';
+
+        const text = String(value);
+        if (/[",;\t\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    },
+
+    /**
+     * Read a File object as text
+     */
+    readFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error || new Error('Failed to read file'));
+            reader.readAsText(file);
+        });
+    },
+
+    /**
+     * Trigger a browser download of text content
+     */
+    download(filename, content, mimeType = 'text/csv') {
+        const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        URL.revokeObjectURL(url);
+    }
+};
+
+// Export for use in other modules
+window.CsvUtils = CsvUtils;
@@ -0,0 +1,20 @@
+/* ============================================================================
+   CODEX NOVA NEBULA - HTML Utilities
+   Helpers for building markup from untrusted text
+   ============================================================================ */
+
+const HtmlUtils = {
+    /**
+     * Escape text for use in HTML (element content and quoted attributes)
+     */
+    escape(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+};
+
+// Export for use in other modules
+window.HtmlUtils = HtmlUtils;
@@ -0,0 +1,40 @@
+/* ============================================================================
+   CODEX NOVA NEBULA - Text Utilities
+   Helpers for comparing user-facing text, e.g. for "did you mean" hints
+   ============================================================================ */
+
+const TextUtils = {
+    /**
+     * Edit distance counting adjacent transpositions as one edit
+     * (optimal string alignment)
+     */
+    distance(a, b) {
+        const rows = [];
+        for (let i = 0; i <= a.length; i++) {
+            rows[i] = [i];
+        }
+        for (let j = 0; j <= b.length; j++) {
+            rows[0][j] = j;
+        }
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(
+                    rows[i - 1][j] + 1,
+                    rows[i][j - 1] + 1,
+                    rows[i - 1][j - 1] + cost
+                );
+
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+
+        return rows[a.length][b.length];
+    }
+};
+
+// Export for use in other modules
+window.TextUtils = TextUtils;